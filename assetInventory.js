@@ -0,0 +1,281 @@
+// assetInventory.js - The simulated organization's hosts and users
+import eventBus from './eventBus.js';
+import gameModel from './gameModel.js';
+import { createSeededRandom, ipToNumber } from './utils.js';
+
+/**
+ * AssetInventory models the organization events happen in: hosts with a
+ * hostname, IP, OS, subnet, business owner and criticality, and users with a
+ * department and privilege level. The inventory is generated from the session
+ * seed (so a seed replays the same organization) unless one has been loaded,
+ * in which case the loaded one is kept in `gameModel.state.inventory`.
+ */
+const assetInventory = {
+    // Criticality levels, least critical first, and how much they scale escalation damage
+    criticalityLevels: ['low', 'medium', 'high', 'critical'],
+    criticalityImpact: { low: 0.5, medium: 1, high: 1.5, critical: 2 },
+    
+    // User privilege levels
+    privilegeLevels: ['standard', 'elevated', 'admin', 'service'],
+    
+    // Subnets of the generated organization
+    subnets: [
+        {
+            name: 'Workstations',
+            cidr: '192.168.10.0/24',
+            prefix: 'ws',
+            hostCount: 8,
+            os: ['Windows 11', 'Windows 10', 'macOS 14'],
+            criticality: ['low', 'low', 'medium']
+        },
+        {
+            name: 'Servers',
+            cidr: '192.168.20.0/24',
+            prefix: 'srv-app',
+            hostCount: 4,
+            os: ['Ubuntu 22.04', 'Windows Server 2022', 'RHEL 9'],
+            criticality: ['medium', 'high']
+        },
+        {
+            name: 'DMZ',
+            cidr: '192.168.30.0/24',
+            prefix: 'web',
+            hostCount: 3,
+            os: ['Ubuntu 22.04', 'Debian 12'],
+            criticality: ['high']
+        },
+        {
+            name: 'Data',
+            cidr: '192.168.40.0/24',
+            prefix: 'db',
+            hostCount: 2,
+            os: ['RHEL 9', 'Windows Server 2022'],
+            criticality: ['critical']
+        }
+    ],
+    
+    // Departments that own hosts and employ users
+    departments: ['Finance', 'Engineering', 'Sales', 'Human Resources', 'IT Operations', 'Legal'],
+    
+    // Names generated users are made from
+    firstNames: ['alice', 'bob', 'carol', 'dave', 'erin', 'frank', 'grace', 'heidi', 'ivan', 'judy'],
+    lastNames: ['smith', 'jones', 'nguyen', 'garcia', 'patel', 'kim', 'brown', 'lopez'],
+    
+    // Generated users besides the built-in accounts
+    userCount: 10,
+    
+    // Inventory generated from the current seed
+    generated: null,
+    
+    /**
+     * Generate the organization for a session
+     * @param {string} seed - Session seed
+     */
+    init: function(seed) {
+        this.generated = this.generate(seed);
+        
+        eventBus.publish('inventory:changed', { inventory: this.getInventory() });
+    },
+    
+    /**
+     * Generate an organization; its own random source keeps the event stream untouched
+     * @param {string} seed - Session seed
+     * @returns {object} Inventory ({ hosts, users, source })
+     */
+    generate: function(seed) {
+        const random = createSeededRandom(`${seed}:inventory`);
+        const pick = list => list[Math.floor(random() * list.length)];
+        
+        const hosts = [];
+        this.subnets.forEach(subnet => {
+            const base = subnet.cidr.split('/')[0].split('.').slice(0, 3).join('.');
+            
+            for (let i = 1; i <= subnet.hostCount; i++) {
+                hosts.push({
+                    hostname: `${subnet.prefix}-${String(i).padStart(3, '0')}`,
+                    ip: `${base}.${10 + i}`,
+                    os: pick(subnet.os),
+                    subnet: subnet.name,
+                    owner: subnet.name === 'Workstations' ? pick(this.departments) : 'IT Operations',
+                    criticality: pick(subnet.criticality)
+                });
+            }
+        });
+        
+        // Built-in accounts, then generated staff (mostly standard users)
+        const users = [
+            { username: 'admin', department: 'IT Operations', privilege: 'admin' },
+            { username: 'system', department: 'IT Operations', privilege: 'service' }
+        ];
+        
+        while (users.length < this.userCount + 2) {
+            const username = `${pick(this.firstNames)}.${pick(this.lastNames)}`;
+            if (users.some(user => user.username === username)) continue;
+            
+            users.push({
+                username: username,
+                department: pick(this.departments),
+                privilege: random() < 0.2 ? 'elevated' : 'standard'
+            });
+        }
+        
+        return { hosts, users, source: 'generated' };
+    },
+    
+    /**
+     * Get the inventory in use: the loaded one, or the generated one
+     * @returns {object} Inventory ({ hosts, users, source })
+     */
+    getInventory: function() {
+        return gameModel.state.inventory || this.generated;
+    },
+    
+    /**
+     * Validate an inventory file
+     * @param {object} data - Parsed inventory ({ hosts, users })
+     * @returns {array} Issues; empty if the inventory is usable
+     */
+    validateInventory: function(data) {
+        const issues = [];
+        
+        if (!data || typeof data !== 'object' || !Array.isArray(data.hosts) || !Array.isArray(data.users)) {
+            issues.push('The inventory must be an object with "hosts" and "users" arrays.');
+            return issues;
+        }
+        
+        if (data.hosts.length === 0 || data.users.length === 0) {
+            issues.push('The inventory needs at least one host and one user.');
+        }
+        
+        data.hosts.forEach((host, index) => {
+            const label = `Host ${index + 1}`;
+            if (!host || typeof host.hostname !== 'string' || !host.hostname.trim()) {
+                issues.push(`${label} has no hostname.`);
+                return;
+            }
+            if (ipToNumber(host.ip) === null) {
+                issues.push(`${label} (${host.hostname}) has an invalid IP address.`);
+            }
+            if (!this.criticalityLevels.includes(host.criticality)) {
+                issues.push(`${label} (${host.hostname}) needs a criticality of ${this.criticalityLevels.join(', ')}.`);
+            }
+        });
+        
+        data.users.forEach((user, index) => {
+            if (!user || typeof user.username !== 'string' || !user.username.trim()) {
+                issues.push(`User ${index + 1} has no username.`);
+            } else if (!this.privilegeLevels.includes(user.privilege)) {
+                issues.push(`User ${index + 1} (${user.username}) needs a privilege of ${this.privilegeLevels.join(', ')}.`);
+            }
+        });
+        
+        return issues;
+    },
+    
+    /**
+     * Use a loaded inventory in place of the generated one
+     * @param {object} data - Parsed inventory ({ hosts, users })
+     * @param {string} fileName - Name of the file it came from
+     * @returns {array} Issues; the inventory is only loaded if there are none
+     */
+    loadInventory: function(data, fileName) {
+        const issues = this.validateInventory(data);
+        if (issues.length > 0) {
+            return issues;
+        }
+        
+        // Keep only the modelled fields; missing descriptive ones are blank
+        gameModel.state.inventory = {
+            hosts: data.hosts.map(host => ({
+                hostname: host.hostname.trim(),
+                ip: String(host.ip).trim(),
+                os: String(host.os || ''),
+                subnet: String(host.subnet || ''),
+                owner: String(host.owner || ''),
+                criticality: host.criticality
+            })),
+            users: data.users.map(user => ({
+                username: user.username.trim(),
+                department: String(user.department || ''),
+                privilege: user.privilege
+            })),
+            source: fileName
+        };
+        gameModel.saveGameState();
+        
+        eventBus.publish('inventory:changed', { inventory: this.getInventory() });
+        
+        return issues;
+    },
+    
+    /**
+     * Drop a loaded inventory and go back to the generated one
+     */
+    useGeneratedInventory: function() {
+        gameModel.state.inventory = null;
+        gameModel.saveGameState();
+        
+        eventBus.publish('inventory:changed', { inventory: this.getInventory() });
+    },
+    
+    /**
+     * Pick a host for an event
+     * @param {function} random - Random source
+     * @returns {object} Host
+     */
+    pickHost: function(random) {
+        const hosts = this.getInventory().hosts;
+        return hosts[Math.floor(random() * hosts.length)];
+    },
+    
+    /**
+     * Pick a user for an event
+     * @param {function} random - Random source
+     * @returns {object} User
+     */
+    pickUser: function(random) {
+        const users = this.getInventory().users;
+        return users[Math.floor(random() * users.length)];
+    },
+    
+    /**
+     * Find a host by hostname or IP address
+     * @param {string} hostnameOrIp - Hostname or IP
+     * @returns {object|undefined} Host
+     */
+    findHost: function(hostnameOrIp) {
+        return this.getInventory().hosts.find(host =>
+            host.hostname === hostnameOrIp || host.ip === hostnameOrIp
+        );
+    },
+    
+    /**
+     * Find a user by username
+     * @param {string} username - Username
+     * @returns {object|undefined} User
+     */
+    findUser: function(username) {
+        return this.getInventory().users.find(user => user.username === username);
+    },
+    
+    /**
+     * Get the host an event happened on
+     * @param {object} event - Event
+     * @returns {object|undefined} Host, by hostname or else by IP
+     */
+    getEventHost: function(event) {
+        return (event.host && this.findHost(event.host)) || (event.ip && this.findHost(event.ip));
+    },
+    
+    /**
+     * Get how much an event's asset scales escalation damage
+     * @param {object} event - Event
+     * @returns {number} Multiplier (1 when the asset isn't in the inventory)
+     */
+    getCriticalityImpact: function(event) {
+        const host = this.getEventHost(event);
+        return host ? this.criticalityImpact[host.criticality] : 1;
+    }
+};
+
+export default assetInventory;
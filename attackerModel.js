@@ -0,0 +1,358 @@
+// attackerModel.js - An adversary that adapts to the defender's actions
+import eventBus from './eventBus.js';
+import gameModel from './gameModel.js';
+import eventGenerator from './eventGenerator.js';
+import campaignGenerator from './campaignGenerator.js';
+import possibleEvents from './threats.js';
+import ipIntelligence from './ipIntelligence.js';
+import { createSeededRandom } from './utils.js';
+
+/**
+ * AttackerModel stands behind the malicious event stream. The attacker works
+ * from a small pool of infrastructure (source addresses, C2 domains and tool
+ * names) that most of its events reuse, and remembers every address the
+ * defender blocked, domain they blacklisted and process they terminated:
+ * anything it sends through a burned indicator is stopped before it becomes
+ * an event.
+ *
+ * How it reacts when its own infrastructure is burned follows the level's
+ * attackSophistication. A basic attacker keeps using it. An intermediate one
+ * usually rotates to a new address in the same network, and now and then
+ * switches technique or goes quiet. An advanced one moves to other networks,
+ * fresh domains and living-off-the-land tools, and switches or lies low far
+ * more readily.
+ *
+ * The attacker's choices draw from their own random source, derived from the
+ * session seed, so how the defender responds never shifts the generated
+ * event stream.
+ */
+const attackerModel = {
+    // Reactions to burned infrastructure by attackSophistication (chances from 0 to 1);
+    // evasive attackers rotate to unrelated infrastructure
+    profiles: {
+        basic: { rotateChance: 0, switchChance: 0, quietChance: 0, evasive: false },
+        intermediate: { rotateChance: 0.7, switchChance: 0.2, quietChance: 0.1, evasive: false },
+        advanced: { rotateChance: 1, switchChance: 0.5, quietChance: 0.3, evasive: true }
+    },
+    
+    // Indicators of each kind in the attacker's pool
+    poolSize: 3,
+    
+    // Chance a malicious event reuses the pool rather than one-off infrastructure
+    reuseChance: 0.6,
+    
+    // Seconds a switched-away technique is avoided, and the attacker stays quiet ([min, max])
+    switchSeconds: 300,
+    quietSeconds: [60, 180],
+    
+    // Top-level domains and binaries evasive attackers rotate to
+    dgaTlds: ['top', 'xyz', 'info', 'site'],
+    lolBins: ['powershell.exe', 'rundll32.exe', 'mshta.exe', 'certutil.exe', 'wmic.exe'],
+    
+    // Response actions that burn an indicator: its kind, the event field it's
+    // read from, and the event type that field is an indicator on (any if unset)
+    burningActions: {
+        block_ip: { kind: 'ips', field: 'ip' },
+        blacklist_domain: { kind: 'domains', field: 'domain', eventType: 'dns_query' },
+        terminate_process: { kind: 'processes', field: 'process', eventType: 'process_spawn' }
+    },
+    
+    // Random source of the attacker's choices (Math.random until seeded)
+    random: Math.random,
+    
+    /**
+     * Seed the attacker's choices from the session seed
+     * @param {string} seed - Session seed
+     */
+    init: function(seed) {
+        this.random = createSeededRandom(`${seed}:attacker`);
+    },
+    
+    /**
+     * Roll for a chance, drawing nothing when it can't happen
+     * @param {number} chance - Chance from 0 to 1
+     * @returns {boolean} True if it happens
+     */
+    roll: function(chance) {
+        return chance > 0 && this.random() < chance;
+    },
+    
+    /**
+     * Get the attacker's state, setting up its infrastructure on first use
+     * @returns {object} { pool, blocked, avoidedTypes, quietUntil }
+     */
+    getState: function() {
+        if (!gameModel.state.attacker) {
+            const random = this.random;
+            const pool = { ips: [], domains: [], processes: [] };
+            
+            for (let i = 0; i < this.poolSize; i++) {
+                pool.ips.push(eventGenerator.generators.externalIp(random, true));
+                pool.domains.push(eventGenerator.generators.domain(random));
+                pool.processes.push(eventGenerator.generators.processName(random));
+            }
+            
+            gameModel.state.attacker = {
+                pool: pool,
+                blocked: { ips: [], domains: [], processes: [] },
+                avoidedTypes: {}, // Time each avoided event type is used again, by type
+                quietUntil: 0
+            };
+        }
+        
+        return gameModel.state.attacker;
+    },
+    
+    /**
+     * Get the reactions of the current level's attacker
+     * @returns {object} Profile
+     */
+    getProfile: function() {
+        return this.profiles[gameModel.settings.attackSophistication] || this.profiles.basic;
+    },
+    
+    /**
+     * Get the indicator a burning action takes from an event
+     * @param {object} event - Event
+     * @param {object} entry - Entry of burningActions
+     * @returns {string|undefined} Indicator
+     */
+    getIndicator: function(event, entry) {
+        if (entry.eventType && event.type !== entry.eventType) {
+            return undefined;
+        }
+        
+        return event[entry.field];
+    },
+    
+    /**
+     * Put a generated event through the attacker: it may be dropped while the
+     * attacker is quiet, swapped for another technique, moved onto the pool's
+     * infrastructure, or stopped by an earlier block
+     * @param {object} event - Generated event
+     * @param {number} now - Simulated time in milliseconds
+     * @returns {object|null} Event to add, or null if it never happens
+     */
+    adapt: function(event, now = gameModel.now()) {
+        if (event.category !== 'malicious') {
+            return event;
+        }
+        
+        const attacker = this.getState();
+        const random = this.random;
+        
+        if (attacker.quietUntil) {
+            if (now < attacker.quietUntil) {
+                return null;
+            }
+            
+            attacker.quietUntil = 0;
+            eventBus.publish('attacker:adapted', {
+                reaction: 'returned',
+                message: 'The attacker is back after lying low.'
+            });
+        }
+        
+        // Campaign stages keep their own actor
+        if (!event.campaignId) {
+            if (attacker.avoidedTypes[event.type] > now) {
+                event = this.switchTechnique(now, random);
+                if (!event) {
+                    return null;
+                }
+            }
+            
+            this.useInfrastructure(event, random);
+        }
+        
+        return this.isBlocked(event) ? null : event;
+    },
+    
+    /**
+     * Create an event of a technique the attacker isn't avoiding
+     * @param {number} now - Simulated time in milliseconds
+     * @param {function} random - Random source
+     * @returns {object|null} Event, or null if every technique is avoided
+     */
+    switchTechnique: function(now, random) {
+        const avoidedTypes = this.getState().avoidedTypes;
+        const templates = possibleEvents.filter(template =>
+            template.category === 'malicious' && !(avoidedTypes[template.type] > now)
+        );
+        
+        if (templates.length === 0) {
+            return null;
+        }
+        
+        return eventGenerator.createEvent(templates[Math.floor(random() * templates.length)], random);
+    },
+    
+    /**
+     * Move an event onto the pool's infrastructure some of the time
+     * @param {object} event - Event to modify
+     * @param {function} random - Random source
+     */
+    useInfrastructure: function(event, random) {
+        const pool = this.getState().pool;
+        const pick = list => list[Math.floor(random() * list.length)];
+        
+        if (event.network === 'external' && this.roll(this.reuseChance)) {
+            event.ip = pick(pool.ips);
+            ipIntelligence.enrich(event);
+        }
+        
+        if (event.type === 'dns_query' && this.roll(this.reuseChance)) {
+            event.domain = pick(pool.domains);
+        }
+        
+        if (event.type === 'process_spawn' && this.roll(this.reuseChance)) {
+            event.process = pick(pool.processes);
+        }
+    },
+    
+    /**
+     * Check whether an event goes through burned infrastructure
+     * @param {object} event - Event
+     * @returns {boolean} True if one of its indicators was blocked
+     */
+    isBlocked: function(event) {
+        const blocked = this.getState().blocked;
+        
+        return Object.values(this.burningActions).some(entry => {
+            const indicator = this.getIndicator(event, entry);
+            return indicator !== undefined && blocked[entry.kind].includes(indicator);
+        });
+    },
+    
+    /**
+     * Remember a response action, and react if it burned the attacker's infrastructure
+     * @param {object} data - Event and action from the event bus
+     */
+    recordAction: function(data) {
+        const entry = this.burningActions[data.action];
+        const indicator = entry && this.getIndicator(data.event, entry);
+        if (!indicator) {
+            return;
+        }
+        
+        const attacker = this.getState();
+        if (attacker.blocked[entry.kind].includes(indicator)) {
+            return;
+        }
+        attacker.blocked[entry.kind].push(indicator);
+        
+        // Only losing its own infrastructure makes the attacker react
+        const campaigns = entry.kind === 'ips' ? gameModel.state.campaigns.filter(campaign =>
+            campaignGenerator.isRunning(campaign) && campaign.actor.ip === indicator
+        ) : [];
+        
+        if (attacker.pool[entry.kind].includes(indicator) || campaigns.length > 0) {
+            this.react(entry.kind, indicator, data.event, campaigns);
+        }
+    },
+    
+    /**
+     * React to burned infrastructure: rotate it, switch technique and/or go quiet
+     * @param {string} kind - Indicator kind ('ips', 'domains' or 'processes')
+     * @param {string} indicator - Burned indicator
+     * @param {object} event - Event it was burned on
+     * @param {array} campaigns - Running campaigns whose actor used it
+     */
+    react: function(kind, indicator, event, campaigns) {
+        const attacker = this.getState();
+        const profile = this.getProfile();
+        const random = this.random;
+        const now = gameModel.now();
+        
+        if (this.roll(profile.rotateChance)) {
+            const replacement = this.rotate(kind, indicator, profile, random);
+            
+            attacker.pool[kind] = attacker.pool[kind].map(value => value === indicator ? replacement : value);
+            campaigns.forEach(campaign => {
+                campaign.actor.ip = replacement;
+            });
+            
+            eventBus.publish('attacker:adapted', {
+                reaction: 'rotated',
+                message: `The attacker rotated off ${indicator} to new infrastructure.`
+            });
+        }
+        
+        if (this.roll(profile.switchChance)) {
+            attacker.avoidedTypes[event.type] = now + this.switchSeconds * 1000;
+            
+            eventBus.publish('attacker:adapted', {
+                reaction: 'switched',
+                message: `The attacker is switching away from ${event.type} attacks.`
+            });
+        }
+        
+        if (this.roll(profile.quietChance)) {
+            const [minQuiet, maxQuiet] = this.quietSeconds;
+            attacker.quietUntil = now + (minQuiet + random() * (maxQuiet - minQuiet)) * 1000;
+            
+            eventBus.publish('attacker:adapted', {
+                reaction: 'quiet',
+                message: 'The attacker has gone quiet. Expect them back.'
+            });
+        }
+    },
+    
+    /**
+     * Pick infrastructure to replace a burned indicator
+     * @param {string} kind - Indicator kind ('ips', 'domains' or 'processes')
+     * @param {string} indicator - Burned indicator
+     * @param {object} profile - Attacker profile
+     * @param {function} random - Random source
+     * @returns {string} Replacement indicator
+     */
+    rotate: function(kind, indicator, profile, random) {
+        const pick = list => list[Math.floor(random() * list.length)];
+        
+        switch (kind) {
+            case 'ips': {
+                // Same network unless evasive, in which case any other hostile one
+                // (or the same network again if there's no other)
+                const range = ipIntelligence.findRange(indicator);
+                const others = ipIntelligence.ranges.filter(entry =>
+                    entry.reputation < ipIntelligence.hostileBelow && entry !== range
+                );
+                const ranges = range && (!profile.evasive || others.length === 0) ? [range] : others;
+                
+                // An address outside every known network has nowhere to stay
+                if (ranges.length === 0) {
+                    return ipIntelligence.randomExternalIp(random);
+                }
+                return ipIntelligence.randomIpInRange(random, pick(ranges).cidr);
+            }
+            
+            case 'domains': {
+                // A generated domain when evasive, otherwise a new subdomain of the same one
+                if (profile.evasive) {
+                    let label = '';
+                    for (let i = 0; i < 10; i++) {
+                        label += String.fromCharCode(97 + Math.floor(random() * 26));
+                    }
+                    return `${label}.${pick(this.dgaTlds)}`;
+                }
+                return `cdn${Math.floor(random() * 100)}.${indicator.split('.').slice(-2).join('.')}`;
+            }
+            
+            case 'processes': {
+                // A built-in binary when evasive, otherwise the same tool renamed
+                const blocked = this.getState().blocked.processes;
+                const lolBins = this.lolBins.filter(name => !blocked.includes(name));
+                if (profile.evasive && lolBins.length > 0) {
+                    return pick(lolBins);
+                }
+                const suffix = Math.floor(random() * 0x10000).toString(16).padStart(4, '0');
+                return indicator.replace(/(\.[^.]+)?$/, extension => `_${suffix}${extension}`);
+            }
+            
+            default:
+                return indicator;
+        }
+    }
+};
+
+export default attackerModel;
@@ -1,5 +1,6 @@
 // briefsController.js - Manages threat intelligence briefings
 import eventBus from './eventBus.js';
+import gameClock from './gameClock.js';
 import { sanitizeString } from './utils.js';
 
 /**
@@ -42,7 +43,7 @@ const briefsController = {
                 impact: "Reconnaissance could precede targeted attacks against vulnerable systems",
                 tactics: ["Reconnaissance", "Initial Access"],
                 indicators: ["Port scans from specific IP ranges", "Probing of uncommon service ports"],
-                mitigation: "Review firewall rules, implement geographic-based blocking where appropriate"
+                mitigation: "Review firewall rules, implement geographic-based blocking where appropriate (rules can match country, ASN or reputation)"
             },
             reference: "Multiple threat intelligence feeds corroborate this activity",
             moreInfo: "https://www.cisecurity.org/resources/",
@@ -267,7 +268,16 @@ const briefsController = {
                 affected: "Various network and server systems",
                 actions: "No action required - advisable to avoid making system changes during this period"
             },
-            trigger: { type: "event_category", category: "benign" }
+            trigger: { type: "event_category", category: "maintenance_restart" },
+            // Temporary rule put in place for the maintenance window
+            rule: {
+                title: "Maintenance window suppression",
+                ruleType: "query",
+                query: 'type == "maintenance_restart" or type == "system_update" or type == "scheduled_backup"',
+                outcome: "auto_close",
+                stopProcessing: true,
+                expiresInMinutes: 10
+            }
         },
         
         security_update: {
@@ -304,8 +314,8 @@ const briefsController = {
      * Start generating briefs
      */
     startBriefs: function() {
-        // Check for briefs every minute
-        this.briefInterval = setInterval(() => {
+        // Check for briefs every minute of game time
+        this.briefInterval = gameClock.setInterval(() => {
             this.generateTimedBriefs();
         }, 60000);
     },
@@ -314,7 +324,7 @@ const briefsController = {
      * Stop generating briefs
      */
     stopBriefs: function() {
-        clearInterval(this.briefInterval);
+        gameClock.clearInterval(this.briefInterval);
         this.briefInterval = null;
     },
     
@@ -322,7 +332,7 @@ const briefsController = {
      * Generate briefs based on time triggers
      */
     generateTimedBriefs: function() {
-        const now = Date.now();
+        const now = gameClock.now();
         
         // Check all briefs in library
         Object.values(this.briefLibrary).forEach(brief => {
@@ -350,7 +360,7 @@ const briefsController = {
                 brief.trigger.category === event.type) {
                 
                 // Don't show the same brief too frequently (3 min cooldown)
-                const now = Date.now();
+                const now = gameClock.now();
                 if (now - this.lastBriefTimes[brief.id] >= 180000) {
                     this.displayBrief(brief);
                     this.lastBriefTimes[brief.id] = now;
@@ -373,7 +383,7 @@ const briefsController = {
             title: brief.title,
             message: shortMessage,
             briefData: brief, // Include full brief data for modal
-            timestamp: new Date().toLocaleTimeString()
+            timestamp: new Date(gameClock.now()).toLocaleTimeString()
         });
     },
     
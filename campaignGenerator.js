@@ -0,0 +1,229 @@
+// campaignGenerator.js - Generates multi-stage attack campaigns
+import eventBus from './eventBus.js';
+import gameModel from './gameModel.js';
+import eventGenerator from './eventGenerator.js';
+import possibleEvents from './threats.js';
+import mitreAttack from './mitreAttack.js';
+import ipIntelligence from './ipIntelligence.js';
+
+/**
+ * CampaignGenerator runs kill chains alongside the independent event stream:
+ * one actor (shared source address, user and host) moves through the stages of
+ * a campaign over several minutes, and every event it leaves carries the
+ * campaign's ID. Campaigns are scripted or built from the stage options of
+ * each phase, and draw from the event generator's seeded random source so a
+ * seed replays them.
+ *
+ * Handling a recon or initial access stage contains the actor and cancels the
+ * rest of the campaign. Handling a later stage degrades it: the remaining
+ * stages come later and at lower severity, and handling another cancels it.
+ */
+const campaignGenerator = {
+    // Chance of a new campaign starting on each simulation tick
+    startChance: 0.08,
+    
+    // Campaigns running at once
+    maxActive: 1,
+    
+    // Chance a new campaign follows a script rather than being built
+    scriptChance: 0.5,
+    
+    // Seconds between stages ([min, max])
+    stageDelaySeconds: [30, 75],
+    
+    // Tactics whose stages contain the actor when handled
+    containmentTactics: ['TA0043', 'TA0001'],
+    
+    // Severity a degraded stage loses (never below 1), and how much later it comes
+    degradedSeverityDrop: 2,
+    degradedDelayFactor: 2,
+    
+    // Scripted kill chains; each stage is an event type, the tactic it serves and
+    // the technique it's evidence of
+    scripts: [
+        {
+            name: "Web Application Intrusion",
+            stages: [
+                { tactic: 'TA0043', type: 'http_error', technique: 'T1595' },
+                { tactic: 'TA0001', type: 'sql_injection', technique: 'T1190' },
+                { tactic: 'TA0002', type: 'process_spawn', technique: 'T1059' },
+                { tactic: 'TA0011', type: 'dns_query', technique: 'T1071' },
+                { tactic: 'TA0010', type: 'traffic_spike', technique: 'T1048' }
+            ]
+        },
+        {
+            name: "Credential Stuffing to Ransomware",
+            stages: [
+                { tactic: 'TA0043', type: 'http_error', technique: 'T1595' },
+                { tactic: 'TA0001', type: 'login_fail', technique: 'T1110' },
+                { tactic: 'TA0001', type: 'unauthorized_access', technique: 'T1078' },
+                { tactic: 'TA0002', type: 'process_spawn', technique: 'T1059' },
+                { tactic: 'TA0011', type: 'dns_query', technique: 'T1071' },
+                { tactic: 'TA0040', type: 'service_failure', technique: 'T1486' }
+            ]
+        }
+    ],
+    
+    // Stage options by phase for built campaigns, in kill-chain order
+    phases: [
+        [
+            { tactic: 'TA0043', type: 'http_error', technique: 'T1595' }
+        ],
+        [
+            { tactic: 'TA0001', type: 'sql_injection', technique: 'T1190' },
+            { tactic: 'TA0001', type: 'login_fail', technique: 'T1110' },
+            { tactic: 'TA0001', type: 'unauthorized_access', technique: 'T1078' }
+        ],
+        [
+            { tactic: 'TA0002', type: 'process_spawn', technique: 'T1059' }
+        ],
+        [
+            { tactic: 'TA0011', type: 'dns_query', technique: 'T1071' }
+        ],
+        [
+            { tactic: 'TA0010', type: 'traffic_spike', technique: 'T1048' },
+            { tactic: 'TA0009', type: 'unauthorized_access', technique: 'T1213' }
+        ]
+    ],
+    
+    /**
+     * Advance the campaigns by one simulation tick: maybe start one, and emit
+     * every stage that's due
+     * @param {number} now - Current time in milliseconds
+     * @returns {array} Stage events to add to the game
+     */
+    update: function(now = gameModel.now()) {
+        const random = eventGenerator.random;
+        const campaigns = gameModel.state.campaigns;
+        const running = campaigns.filter(campaign => this.isRunning(campaign));
+        
+        if (running.length < this.maxActive && random() < this.startChance) {
+            const campaign = this.startCampaign(now, random);
+            campaigns.push(campaign);
+            running.push(campaign);
+        }
+        
+        // At most one stage per campaign per tick, so stages never bunch up
+        return running
+            .filter(campaign => now >= campaign.nextStageAt)
+            .map(campaign => this.emitStage(campaign, now, random));
+    },
+    
+    /**
+     * Start a campaign with a new actor
+     * @param {number} now - Current time in milliseconds
+     * @param {function} random - Random source
+     * @returns {object} Campaign
+     */
+    startCampaign: function(now, random) {
+        let name;
+        let stages;
+        
+        if (random() < this.scriptChance) {
+            const script = this.scripts[Math.floor(random() * this.scripts.length)];
+            name = script.name;
+            stages = script.stages.slice();
+        } else {
+            name = "Opportunistic Intrusion";
+            stages = this.phases.map(options => options[Math.floor(random() * options.length)]);
+        }
+        
+        const host = eventGenerator.generators.host(random);
+        const campaign = {
+            id: `campaign-${Math.floor(random() * 0x100000).toString(16).padStart(5, '0')}`,
+            name: name,
+            stages: stages,
+            actor: {
+                ip: eventGenerator.generators.externalIp(random, true),
+                user: eventGenerator.generators.username(random),
+                host: host.hostname,
+                hostIp: host.ip
+            },
+            status: 'active', // active, degraded, cancelled or completed
+            nextStage: 0,
+            nextStageAt: now,
+            startedAt: now
+        };
+        
+        eventBus.publish('campaign:started', { campaign });
+        
+        return campaign;
+    },
+    
+    /**
+     * Emit a campaign's next stage and schedule the one after it
+     * @param {object} campaign - Campaign
+     * @param {number} now - Current time in milliseconds
+     * @param {function} random - Random source
+     * @returns {object} Stage event
+     */
+    emitStage: function(campaign, now, random) {
+        const stageIndex = campaign.nextStage;
+        const stage = campaign.stages[stageIndex];
+        const template = possibleEvents.find(event => event.type === stage.type);
+        const event = eventGenerator.createEvent(template, random);
+        
+        // Every stage comes from the same actor: stages from outside from its own
+        // address, the rest from the host it has a foothold on
+        Object.assign(event, {
+            ip: template.origin === 'external' ? campaign.actor.ip : campaign.actor.hostIp,
+            user: campaign.actor.user,
+            host: campaign.actor.host,
+            mitreTechnique: stage.technique,
+            campaignId: campaign.id,
+            campaignStage: mitreAttack.tactics.find(tactic => tactic.id === stage.tactic).name,
+            campaignStageIndex: stageIndex
+        });
+        ipIntelligence.enrich(event);
+        
+        if (campaign.status === 'degraded') {
+            event.severity = Math.max(1, event.severity - this.degradedSeverityDrop);
+            event.degraded = true;
+        }
+        
+        const [minDelay, maxDelay] = this.stageDelaySeconds;
+        const delayFactor = campaign.status === 'degraded' ? this.degradedDelayFactor : 1;
+        const delay = (minDelay + random() * (maxDelay - minDelay)) * delayFactor;
+        
+        campaign.nextStage++;
+        campaign.nextStageAt = now + delay * 1000;
+        
+        if (campaign.nextStage >= campaign.stages.length) {
+            campaign.status = 'completed';
+            eventBus.publish('campaign:completed', { campaign });
+        }
+        
+        return event;
+    },
+    
+    /**
+     * Check whether a campaign still has stages to come
+     * @param {object} campaign - Campaign
+     * @returns {boolean} True if active or degraded
+     */
+    isRunning: function(campaign) {
+        return campaign.status === 'active' || campaign.status === 'degraded';
+    },
+    
+    /**
+     * Cancel or degrade a campaign when one of its stages is handled
+     * @param {object} data - Handled event from the event bus
+     */
+    handleStageHandled: function(data) {
+        const event = data.event;
+        const campaign = event.campaignId &&
+            gameModel.state.campaigns.find(entry => entry.id === event.campaignId);
+        
+        if (!campaign || !this.isRunning(campaign)) {
+            return;
+        }
+        
+        const stage = campaign.stages[event.campaignStageIndex];
+        const contained = this.containmentTactics.includes(stage.tactic) || campaign.status === 'degraded';
+        campaign.status = contained ? 'cancelled' : 'degraded';
+        
+        eventBus.publish(contained ? 'campaign:cancelled' : 'campaign:degraded', { campaign, event });
+    }
+};
+
+export default campaignGenerator;
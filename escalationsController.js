@@ -1,6 +1,7 @@
 // escalationsController.js - Handles threat escalations
 import eventBus from './eventBus.js';
 import gameModel from './gameModel.js';
+import assetInventory from './assetInventory.js';
 import { sanitizeString } from './utils.js';
 
 const escalationsController = {
@@ -110,7 +111,7 @@ const escalationsController = {
             mitigationTip: sanitizeString(scenario.mitigationTip),
             tactics: scenario.tactics || [],
             techniques: scenario.techniques || [],
-            timestamp: new Date().toISOString(),
+            timestamp: new Date(gameModel.now()).toISOString(),
             severity: event.severity || 5,
             affectedSystems: this.generateAffectedSystems(event.type),
             simulatedDamage: this.calculateSimulatedDamage(event)
@@ -159,6 +160,8 @@ const escalationsController = {
      * @returns {object} Damage metrics
      */
     calculateSimulatedDamage: function(event) {
+        const host = assetInventory.getEventHost(event);
+        
         // Base damage values
         const baseDamage = {
             uptimeImpact: event.severity * 2, // Percentage points of uptime loss
@@ -186,6 +189,13 @@ const escalationsController = {
                 break;
         }
         
+        // Scale by how critical the affected asset is
+        const impact = assetInventory.getCriticalityImpact(event);
+        baseDamage.uptimeImpact *= impact;
+        baseDamage.financialImpact *= impact;
+        baseDamage.affectedAsset = host ? host.hostname : null;
+        baseDamage.assetCriticality = host ? host.criticality : null;
+        
         return baseDamage;
     },
     
@@ -1,28 +1,39 @@
 // eventGenerator.js - Generates game events
 import possibleEvents from './threats.js';
 import gameModel from './gameModel.js';
-import { sanitizeString } from './utils.js';
+import eventBus from './eventBus.js';
+import assetInventory from './assetInventory.js';
+import ipIntelligence from './ipIntelligence.js';
+import { sanitizeString, createSeededRandom } from './utils.js';
 
 const eventGenerator = {
+    // Seed of the event stream, and the generator it drives (Math.random until seeded)
+    seed: null,
+    random: Math.random,
+    
     /**
-     * Collection of functions for generating random event data
+     * Collection of functions for generating random event data; each draws
+     * from the random source it's given
      */
     generators: {
-        ip: function() { 
-            return `192.168.${Math.floor(Math.random() * 255)}.${Math.floor(Math.random() * 255)}`; 
+        host: function(random) {
+            return assetInventory.pickHost(random);
+        },
+        
+        username: function(random) { 
+            return assetInventory.pickUser(random).username;
         },
         
-        username: function() { 
-            const usernames = ["user1", "admin", "testuser", "attacker", "system"]; 
-            return usernames[Math.floor(Math.random() * usernames.length)]; 
+        externalIp: function(random, hostile) {
+            return ipIntelligence.randomExternalIp(random, hostile);
         },
         
-        processName: function() {
+        processName: function(random) {
             const processes = ["malware.exe", "suspicious.sh", "trojan.dll", "miner.bin", "unusual_script.py"];
-            return processes[Math.floor(Math.random() * processes.length)];
+            return processes[Math.floor(random() * processes.length)];
         },
         
-        domain: function() {
+        domain: function(random) {
             const domains = [
                 "badsite.com", 
                 "malicious-domain.net", 
@@ -30,15 +41,15 @@ const eventGenerator = {
                 "command-and-control.org", 
                 "data-exfiltration.biz"
             ];
-            return domains[Math.floor(Math.random() * domains.length)];
+            return domains[Math.floor(random() * domains.length)];
         },
         
-        httpErrorCode: function() {
+        httpErrorCode: function(random) {
             const errorCodes = [400, 401, 403, 404, 500, 503];
-            return errorCodes[Math.floor(Math.random() * errorCodes.length)];
+            return errorCodes[Math.floor(random() * errorCodes.length)];
         },
         
-        url: function() {
+        url: function(random) {
             const urls = [
                 "/admin/config.php", 
                 "/api/data-export", 
@@ -46,10 +57,10 @@ const eventGenerator = {
                 "/hidden/backdoor.html", 
                 "/logs/error.log"
             ];
-            return urls[Math.floor(Math.random() * urls.length)];
+            return urls[Math.floor(random() * urls.length)];
         },
         
-        resource: function() {
+        resource: function(random) {
             const resources = [
                 "/sensitive/customer_data.csv", 
                 "/config/secrets.json", 
@@ -57,10 +68,10 @@ const eventGenerator = {
                 "/api/admin_endpoints", 
                 "/internal/system_logs"
             ];
-            return resources[Math.floor(Math.random() * resources.length)];
+            return resources[Math.floor(random() * resources.length)];
         },
         
-        service: function() {
+        service: function(random) {
             const services = [
                 "database-service", 
                 "authentication-service", 
@@ -68,10 +79,21 @@ const eventGenerator = {
                 "monitoring-agent", 
                 "firewall"
             ];
-            return services[Math.floor(Math.random() * services.length)];
+            return services[Math.floor(random() * services.length)];
         }
     },
     
+    /**
+     * Seed the event stream; the same seed always produces the same events
+     * @param {string} seed - Seed
+     */
+    setSeed: function(seed) {
+        this.seed = String(seed);
+        this.random = createSeededRandom(this.seed);
+        
+        eventBus.publish('seed:changed', { seed: this.seed });
+    },
+    
     /**
      * Choose an event template based on level settings
      * @param {object} levelSettings - Current level settings
@@ -95,7 +117,7 @@ const eventGenerator = {
         
         // Calculate total weight
         let totalWeight = weightedTemplates.reduce((sum, wt) => sum + wt.weight, 0);
-        let randomNum = Math.random() * totalWeight;
+        let randomNum = this.random() * totalWeight;
         let weightSum = 0;
         
         // Select template based on weight
@@ -118,9 +140,19 @@ const eventGenerator = {
         const levelSettings = gameModel.getCurrentLevel();
         const eventTemplate = this.chooseEventTemplate(levelSettings);
         
+        return this.createEvent(eventTemplate);
+    },
+    
+    /**
+     * Create an event from a template
+     * @param {object} eventTemplate - Event template
+     * @param {function} random - Random source (the seeded stream by default)
+     * @returns {object} Event with randomized type-specific properties
+     */
+    createEvent: function(eventTemplate, random = this.random) {
         // Create base event
         const event = {
-            timestamp: new Date().toLocaleTimeString(),
+            timestamp: new Date(gameModel.now()).toLocaleTimeString(),
             type: eventTemplate.type,
             description: sanitizeString(eventTemplate.description),
             severity: eventTemplate.baseSeverity,
@@ -129,11 +161,13 @@ const eventGenerator = {
             domain: eventTemplate.domain,
             escalation: eventTemplate.escalation,
             remediation: eventTemplate.remediation,
+            mitreTechnique: eventTemplate.mitreTechnique || null,
             education: sanitizeString(eventTemplate.education)
         };
         
         // Add type-specific properties
-        this.addTypeSpecificProperties(event, eventTemplate);
+        this.addTypeSpecificProperties(event, eventTemplate, random);
+        ipIntelligence.enrich(event);
         
         return event;
     },
@@ -142,44 +176,55 @@ const eventGenerator = {
      * Add type-specific properties to an event
      * @param {object} event - Event to modify
      * @param {object} template - Event template
+     * @param {function} random - Random source
      */
-    addTypeSpecificProperties: function(event, template) {
-        // Add IP to all events by default (for block_ip action)
-        event.ip = this.generators.ip();
+    addTypeSpecificProperties: function(event, template, random) {
+        // Every event happens on an inventory host. Its IP, the one block_ip acts
+        // on, is the host's own unless the event comes from outside, in which
+        // case attacks mostly come from hostile ranges
+        const host = this.generators.host(random);
+        event.host = host.hostname;
+        event.ip = host.ip;
+        
+        if (template.origin === 'external') {
+            const hostile = event.category === 'malicious' && random() < ipIntelligence.hostileSourceChance;
+            event.ip = this.generators.externalIp(random, hostile);
+        }
         
         // Add type-specific properties
         switch (event.type) {
             case "login_fail":
-                event.user = this.generators.username();
-                event.count = Math.floor(Math.random() * 10) + 1; // 1-10 failures
+                event.user = this.generators.username(random);
+                event.count = Math.floor(random() * 10) + 1; // 1-10 failures
                 break;
                 
             case "traffic_spike":
-                event.volume = Math.floor(Math.random() * 500) + 100; // 100-599 volume
+                event.volume = Math.floor(random() * 500) + 100; // 100-599 volume
                 break;
                 
             case "process_spawn":
-                event.process = this.generators.processName();
-                event.user = this.generators.username();
+                event.process = this.generators.processName(random);
+                event.user = this.generators.username(random);
                 break;
                 
             case "dns_query":
-                event.domain = this.generators.domain();
+                event.domain = this.generators.domain(random);
+                event.user = this.generators.username(random);
                 break;
                 
             case "http_error":
-                event.code = this.generators.httpErrorCode();
-                event.url = this.generators.url();
+                event.code = this.generators.httpErrorCode(random);
+                event.url = this.generators.url(random);
                 break;
                 
             case "unauthorized_access":
-                event.user = this.generators.username();
-                event.resource = this.generators.resource();
+                event.user = this.generators.username(random);
+                event.resource = this.generators.resource(random);
                 event.action = "read";
                 break;
                 
             case "service_failure":
-                event.service = this.generators.service();
+                event.service = this.generators.service(random);
                 event.status = "down";
                 break;
                 
@@ -189,8 +234,8 @@ const eventGenerator = {
                 break;
                 
             case "sql_injection":
-                event.user = this.generators.username();
-                event.url = template.url ? template.url() : this.generators.url();
+                event.user = this.generators.username(random);
+                event.url = template.url ? template.url(random) : this.generators.url(random);
                 break;
                 
             default:
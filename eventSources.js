@@ -0,0 +1,260 @@
+// eventSources.js - Registry of event sources and the merge of their streams
+import eventBus from './eventBus.js';
+import gameModel from './gameModel.js';
+import gameClock from './gameClock.js';
+
+/**
+ * EventSources runs every source of events the game takes in and merges their
+ * streams into one. A source is an object with:
+ *
+ *   id, name         - Unique key and display name
+ *   capabilities     - What it supports: { pausable, finite, scalable, live }
+ *                      (finite sources run out; scalable ones replay faster or
+ *                      slower; live ones are fed from outside the page)
+ *   autoStart        - Whether it starts with the simulation
+ *   start(emit)      - Start producing, passing each event to emit(event, time)
+ *                      with its game time in milliseconds (now if omitted);
+ *                      returns false if it has nothing to produce. emit
+ *                      returns false when the buffer is full: a finite
+ *                      source keeps the event and offers it again later,
+ *                      while an event from any other source is dropped
+ *   stop()           - Stop producing and forget its position
+ *   pause()/resume() - Hold and carry on from the same position
+ *   isActive()       - Whether it's producing
+ *   describe()       - { id, name, capabilities, status, detail } for the controls,
+ *                      status being 'running', 'paused' or 'stopped'
+ *
+ * Sources driven by the game clock stand still while the game is paused, so
+ * pause() is for holding one source while the others run. Emitted events wait
+ * in a buffer until game time reaches their time, and are then added through
+ * gameModel.addEvent in time order (ties in the order they were emitted), so
+ * a replayed record that fell due between two generated events lands between
+ * them. A full buffer first takes in the events already due; only if that
+ * frees no room is an event turned away, and a dropped one is reported.
+ */
+const eventSources = {
+    // Registered sources in registration order
+    sources: [],
+    
+    // Methods every source must have
+    requiredMethods: ['start', 'stop', 'pause', 'resume', 'isActive', 'describe'],
+    
+    // Emitted events waiting to be merged ({ time, sequence, sourceId, event })
+    buffer: [],
+    sequence: 0,
+    
+    // Most events held at once
+    maxBuffered: 1000,
+    
+    // Sources whose dropped events have been reported since the buffer last had room
+    droppingSources: new Set(),
+    
+    // Game milliseconds between merges, and the game clock timer running them
+    mergeMs: 250,
+    timer: null,
+    
+    /**
+     * Register a source
+     * @param {object} source - Event source (see above)
+     * @returns {boolean} Whether it was registered
+     */
+    register: function(source) {
+        const missing = this.requiredMethods.filter(method => typeof source[method] !== 'function');
+        if (!source.id || missing.length > 0) {
+            console.error(`Event source ${source.id || '(no id)'} doesn't implement the source contract` +
+                (missing.length > 0 ? `; missing ${missing.join(', ')}.` : '.'));
+            return false;
+        }
+        
+        if (this.get(source.id)) {
+            console.warn(`Event source ${source.id} is already registered.`);
+            return false;
+        }
+        
+        this.sources.push(source);
+        this.publishChange();
+        
+        return true;
+    },
+    
+    /**
+     * Get a registered source
+     * @param {string} id - Source ID
+     * @returns {object|undefined} Source
+     */
+    get: function(id) {
+        return this.sources.find(source => source.id === id);
+    },
+    
+    /**
+     * Describe every registered source
+     * @returns {array} Descriptions ({ id, name, capabilities, status, detail })
+     */
+    describeAll: function() {
+        return this.sources.map(source => source.describe());
+    },
+    
+    /**
+     * Start merging, and start the sources that start with the simulation
+     */
+    start: function() {
+        if (this.timer) {
+            return;
+        }
+        
+        this.timer = gameClock.setInterval(this.merge.bind(this), this.mergeMs);
+        
+        this.sources
+            .filter(source => source.autoStart && !source.isActive())
+            .forEach(source => source.start(this.createEmitter(source)));
+        
+        this.publishChange();
+    },
+    
+    /**
+     * Stop every source and drop the events still waiting
+     */
+    stop: function() {
+        if (this.timer) {
+            gameClock.clearInterval(this.timer);
+            this.timer = null;
+        }
+        
+        this.sources.forEach(source => source.stop());
+        this.buffer = [];
+        this.droppingSources.clear();
+        
+        this.publishChange();
+    },
+    
+    /**
+     * Start one source
+     * @param {string} id - Source ID
+     * @returns {boolean} Whether it's producing
+     */
+    startSource: function(id) {
+        const source = this.get(id);
+        if (!source) {
+            return false;
+        }
+        
+        const started = source.isActive() || source.start(this.createEmitter(source)) !== false;
+        this.publishChange();
+        
+        return started;
+    },
+    
+    /**
+     * Stop one source
+     * @param {string} id - Source ID
+     */
+    stopSource: function(id) {
+        const source = this.get(id);
+        if (source) {
+            source.stop();
+            this.publishChange();
+        }
+    },
+    
+    /**
+     * Hold one source where it is
+     * @param {string} id - Source ID
+     */
+    pauseSource: function(id) {
+        const source = this.get(id);
+        if (source && source.capabilities.pausable) {
+            source.pause();
+            this.publishChange();
+        }
+    },
+    
+    /**
+     * Carry on with a held source
+     * @param {string} id - Source ID
+     */
+    resumeSource: function(id) {
+        const source = this.get(id);
+        if (source) {
+            source.resume();
+            this.publishChange();
+        }
+    },
+    
+    /**
+     * Create the function a source emits its events through
+     * @param {object} source - Source
+     * @returns {function} emit(event, time), returning whether the event was taken in
+     */
+    createEmitter: function(source) {
+        return (event, time) => {
+            const accepted = this.emit(source.id, event, time);
+            
+            // Finite sources hold on to a turned-away event; the rest lose it
+            if (accepted) {
+                this.droppingSources.delete(source.id);
+            } else if (!source.capabilities.finite && !this.droppingSources.has(source.id)) {
+                this.droppingSources.add(source.id);
+                console.warn(`Event buffer full; dropped a ${event.type} event from ${source.id}.`);
+                eventBus.publish('notification:error', {
+                    message: `Too many events are waiting; events from ${source.name} are being dropped.`
+                });
+            }
+            
+            return accepted;
+        };
+    },
+    
+    /**
+     * Take an event in to be merged, marking which source it came from
+     * @param {string} sourceId - ID of the source it came from
+     * @param {object} event - Event
+     * @param {number} time - Game time it happened at (now if omitted)
+     * @returns {boolean} False if the buffer is full of events not yet due
+     */
+    emit: function(sourceId, event, time = gameClock.now()) {
+        // Make room by taking in what's already due
+        if (this.buffer.length >= this.maxBuffered) {
+            this.merge();
+        }
+        
+        if (this.buffer.length >= this.maxBuffered) {
+            return false;
+        }
+        
+        event.source = sourceId;
+        this.buffer.push({ time, sequence: this.sequence++, sourceId, event });
+        
+        return true;
+    },
+    
+    /**
+     * Add every waiting event whose time has come, in time order
+     */
+    merge: function() {
+        const now = gameClock.now();
+        const due = this.buffer.filter(entry => entry.time <= now)
+            .sort((a, b) => a.time - b.time || a.sequence - b.sequence);
+        
+        if (due.length === 0) {
+            return;
+        }
+        
+        this.buffer = this.buffer.filter(entry => entry.time > now);
+        
+        due.forEach(entry => {
+            if (!entry.event.receivedAt) {
+                entry.event.receivedAt = entry.time;
+            }
+            gameModel.addEvent(entry.event);
+        });
+    },
+    
+    /**
+     * Tell the controls the sources changed
+     */
+    publishChange: function() {
+        eventBus.publish('sources:changed', { sources: this.describeAll() });
+    }
+};
+
+export default eventSources;
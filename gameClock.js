@@ -0,0 +1,204 @@
+// gameClock.js - The simulated clock game time is read from
+import eventBus from './eventBus.js';
+
+/**
+ * GameClock keeps game time apart from wall-clock time. It starts at the real
+ * time the page loaded, or where a saved game left it (see gameModel), runs at
+ * a chosen speed while running, stands still while paused, and can be stepped
+ * forward while paused. Timers set on it fire in game time, so a 45-second
+ * escalation takes 45 game seconds at any speed.
+ *
+ * Time only passes while the page is awake: a clock update never covers more
+ * than maxTickMs of real time, so a backgrounded tab doesn't come back to a
+ * burst of missed events.
+ */
+const gameClock = {
+    // Speed limits, and the speeds the controls offer
+    minSpeed: 0.25,
+    maxSpeed: 10,
+    speeds: [0.25, 0.5, 1, 2, 4, 10],
+    
+    // Real milliseconds between clock updates, and the most real time one update covers
+    tickMs: 100,
+    maxTickMs: 1000,
+    
+    // Game milliseconds a single step advances
+    stepMs: 1000,
+    
+    // Game time in milliseconds
+    time: Date.now(),
+    
+    speed: 1,
+    paused: true,
+    
+    // Real time of the last update, and the interval driving updates while running
+    lastTick: null,
+    ticker: null,
+    
+    // Timers in game time ({ id, interval, nextAt, callback })
+    timers: [],
+    nextTimerId: 1,
+    
+    /**
+     * Get the current game time
+     * @returns {number} Timestamp in milliseconds
+     */
+    now: function() {
+        return this.time;
+    },
+    
+    /**
+     * Move game time to a saved time; pending timers keep the game time they had left
+     * @param {number} time - Timestamp in milliseconds
+     */
+    setTime: function(time) {
+        const delta = time - this.time;
+        this.timers.forEach(timer => {
+            timer.nextAt += delta;
+        });
+        this.time = time;
+        
+        this.publishChange();
+    },
+    
+    /**
+     * Start the clock running
+     */
+    resume: function() {
+        if (!this.paused) {
+            return;
+        }
+        
+        this.paused = false;
+        this.lastTick = Date.now();
+        this.ticker = setInterval(this.tick.bind(this), this.tickMs);
+        
+        this.publishChange();
+    },
+    
+    /**
+     * Stop the clock, keeping the time that passed up to now
+     */
+    pause: function() {
+        if (this.paused) {
+            return;
+        }
+        
+        this.tick();
+        clearInterval(this.ticker);
+        this.ticker = null;
+        this.paused = true;
+        
+        this.publishChange();
+    },
+    
+    /**
+     * Set how fast game time runs
+     * @param {number} speed - Game seconds per real second (clamped to minSpeed..maxSpeed)
+     */
+    setSpeed: function(speed) {
+        const value = parseFloat(speed);
+        if (isNaN(value)) {
+            return;
+        }
+        
+        // Time so far runs at the old speed
+        if (!this.paused) {
+            this.tick();
+        }
+        
+        this.speed = Math.min(this.maxSpeed, Math.max(this.minSpeed, value));
+        
+        this.publishChange();
+    },
+    
+    /**
+     * Advance a paused clock by one step
+     */
+    step: function() {
+        if (!this.paused) {
+            return;
+        }
+        
+        this.advance(this.stepMs);
+    },
+    
+    /**
+     * Advance by the real time since the last update, scaled by speed
+     */
+    tick: function() {
+        const realNow = Date.now();
+        const elapsed = Math.min(realNow - this.lastTick, this.maxTickMs);
+        this.lastTick = realNow;
+        
+        if (elapsed > 0) {
+            this.advance(elapsed * this.speed);
+        }
+    },
+    
+    /**
+     * Advance game time, firing every timer that falls due on the way at the
+     * time it was due
+     * @param {number} ms - Game milliseconds to advance
+     */
+    advance: function(ms) {
+        const target = this.time + ms;
+        let timer;
+        
+        while ((timer = this.findDueTimer(target))) {
+            this.time = Math.max(this.time, timer.nextAt);
+            timer.nextAt += timer.interval;
+            timer.callback();
+        }
+        
+        this.time = target;
+        
+        eventBus.publish('clock:tick', { time: this.time });
+    },
+    
+    /**
+     * Find the earliest timer due by a time
+     * @param {number} target - Game time in milliseconds
+     * @returns {object|undefined} Timer
+     */
+    findDueTimer: function(target) {
+        return this.timers
+            .filter(timer => timer.nextAt <= target)
+            .sort((a, b) => a.nextAt - b.nextAt)[0];
+    },
+    
+    /**
+     * Call a function repeatedly in game time
+     * @param {function} callback - Function to call
+     * @param {number} interval - Game milliseconds between calls
+     * @returns {number} Timer ID for clearInterval
+     */
+    setInterval: function(callback, interval) {
+        const id = this.nextTimerId++;
+        
+        this.timers.push({ id, interval, nextAt: this.time + interval, callback });
+        
+        return id;
+    },
+    
+    /**
+     * Cancel a timer
+     * @param {number} id - Timer ID from setInterval
+     */
+    clearInterval: function(id) {
+        this.timers = this.timers.filter(timer => timer.id !== id);
+    },
+    
+    /**
+     * Tell the controls the clock's state changed
+     */
+    publishChange: function() {
+        eventBus.publish('clock:changed', {
+            time: this.time,
+            speed: this.speed,
+            paused: this.paused
+        });
+    }
+};
+
+export default gameClock;
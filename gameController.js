@@ -4,25 +4,54 @@ import gameModel from './gameModel.js';
 import ruleEngine from './ruleEngine.js';
 import eventGenerator from './eventGenerator.js';
 import threatBriefs from './briefsController.js';
+import sigmaConverter from './sigmaConverter.js';
+import ruleAnalytics from './ruleAnalytics.js';
+import ruleLinter from './ruleLinter.js';
+import ruleHistory from './ruleHistory.js';
+import campaignGenerator from './campaignGenerator.js';
+import assetInventory from './assetInventory.js';
+import attackerModel from './attackerModel.js';
+import gameClock from './gameClock.js';
+import logReplay from './logReplay.js';
+import eventSources from './eventSources.js';
+import generatorSource from './generatorSource.js';
+import { generateSeed, parseRecordFile } from './utils.js';
 
 const gameController = {
-    simulationInterval: null,
     escalationCheckInterval: null,
     debugMode: false, // Debug mode flag
     failedAttempts: {}, // Track failed attempts for each event
+    backtestEvents: null, // Imported event set for backtests ({ fileName, events })
     
     /**
      * Initialize the game controller
      */
     init: function() {
+        // Seed the event stream from ?seed= so a session can be replayed
+        const seed = new URLSearchParams(window.location.search).get('seed');
+        eventGenerator.setSeed(seed || generateSeed());
+        
         // Initialize components
         gameModel.init();
+        assetInventory.init(eventGenerator.seed);
+        attackerModel.init(eventGenerator.seed);
         ruleEngine.init();
+        ruleAnalytics.init();
+        ruleHistory.init();
         threatBriefs.init();
         
+        // Register where events come from
+        eventSources.register(generatorSource);
+        eventSources.register(logReplay);
+        
         // Set up event subscriptions
         this.setupEventSubscriptions();
         
+        // Archive rules as they expire
+        this.ruleExpiryInterval = gameClock.setInterval(() => {
+            ruleEngine.archiveExpiredRules();
+        }, 1000);
+        
         // Add debug mode toggle to window for console access
         window.toggleDebugMode = this.toggleDebugMode.bind(this);
         
@@ -111,11 +140,49 @@ const gameController = {
         // Handle UI button actions
         eventBus.subscribe('ui:startGame', this.startSimulation.bind(this));
         eventBus.subscribe('ui:pauseGame', this.pauseSimulation.bind(this));
+        eventBus.subscribe('ui:stepGame', this.stepSimulation.bind(this));
         eventBus.subscribe('ui:resetGame', this.resetGame.bind(this));
+        eventBus.subscribe('ui:setClockSpeed', data => gameClock.setSpeed(data.speed));
+        
+        // Event sources and recorded log replay
+        eventBus.subscribe('ui:pauseSource', data => eventSources.pauseSource(data.sourceId));
+        eventBus.subscribe('ui:resumeSource', data => eventSources.resumeSource(data.sourceId));
+        eventBus.subscribe('ui:loadReplay', this.loadReplay.bind(this));
+        eventBus.subscribe('ui:startReplay', this.startReplay.bind(this));
+        eventBus.subscribe('ui:stopReplay', () => eventSources.stopSource(logReplay.id));
+        eventBus.subscribe('ui:setReplayScale', data => logReplay.setScale(data.scale));
         
         // Handle rule actions
         eventBus.subscribe('ui:testRule', this.testRule.bind(this));
+        eventBus.subscribe('ui:backtestRule', this.backtestRule.bind(this));
+        eventBus.subscribe('ui:importBacktestEvents', this.importBacktestEvents.bind(this));
         eventBus.subscribe('ui:saveRule', this.saveRule.bind(this));
+        eventBus.subscribe('ui:deleteRule', this.deleteRule.bind(this));
+        eventBus.subscribe('ui:toggleRule', this.toggleRule.bind(this));
+        eventBus.subscribe('ui:duplicateRule', this.duplicateRule.bind(this));
+        eventBus.subscribe('ui:rollbackRule', this.rollbackRule.bind(this));
+        eventBus.subscribe('ui:moveRule', this.moveRule.bind(this));
+        eventBus.subscribe('ui:restoreRule', this.restoreRule.bind(this));
+        eventBus.subscribe('ui:deleteArchivedRule', this.deleteArchivedRule.bind(this));
+        eventBus.subscribe('brief:new', this.applyBriefRule.bind(this));
+        eventBus.subscribe('ui:importSigma', this.importSigmaRule.bind(this));
+        eventBus.subscribe('ui:exportSigma', this.exportSigmaRule.bind(this));
+        
+        // Allowlist and suppression subscriptions
+        eventBus.subscribe('ui:addAllowlistEntry', this.addAllowlistEntry.bind(this));
+        eventBus.subscribe('ui:addSuppressionWindow', this.addSuppressionWindow.bind(this));
+        eventBus.subscribe('ui:removeSuppression', this.removeSuppression.bind(this));
+        
+        // Organization model
+        eventBus.subscribe('ui:importInventory', this.importInventory.bind(this));
+        eventBus.subscribe('ui:useGeneratedInventory', assetInventory.useGeneratedInventory.bind(assetInventory));
+        
+        // Run the responses of rules that fire
+        eventBus.subscribe('rules:triggered', this.applyRuleResponses.bind(this));
+        
+        // Handling a campaign's stage cancels or degrades what follows
+        eventBus.subscribe('event:handled', campaignGenerator.handleStageHandled.bind(campaignGenerator));
+        eventBus.subscribe('action:applied', attackerModel.recordAction.bind(attackerModel));
         
         // Handle event actions
         eventBus.subscribe('ui:handleEvent', this.handleEvent.bind(this));
@@ -129,44 +196,38 @@ const gameController = {
      */
     startSimulation: function() {
         // Don't start if already running
-        if (this.simulationInterval) {
+        if (gameModel.state.isRunning) {
             return;
         }
         
         // Update game model state
         gameModel.state.isRunning = true;
         
-        // Start briefs
-        threatBriefs.startBriefs();
+        // Set the timers up and let game time run
+        this.startTimers();
+        gameClock.resume();
         
         // Publish game started event
         eventBus.publish('game:started');
+    },
+    
+    /**
+     * Set the simulation's timers on the game clock, unless they already are;
+     * they stay set while the game is paused, so stepping the clock runs them
+     */
+    startTimers: function() {
+        if (this.escalationCheckInterval) {
+            return;
+        }
         
-        // Start event generation interval
-        this.simulationInterval = setInterval(() => {
-            // Generate a new event
-            const event = eventGenerator.generateEvent();
-            
-            // Add event to game model
-            gameModel.addEvent(event);
-            
-            // Check for false positives if this is noise
-            if (event.isNoise && Math.random() < gameModel.settings.falsePositiveChance) {
-                const falsePositiveEvent = {
-                    ...event,
-                    type: "potential_false_positive",
-                    description: `Potential false positive: ${event.description}`
-                };
-                
-                // Add false positive event
-                gameModel.addEvent(falsePositiveEvent);
-            }
-        }, 
-        // Use level-specific event frequency
-        gameModel.settings.simulationInterval * gameModel.settings.eventFrequencyMultiplier);
+        // Start briefs
+        threatBriefs.startBriefs();
+        
+        // Start the event sources that run with the simulation, and merging their events
+        eventSources.start();
         
         // Start escalation check interval
-        this.escalationCheckInterval = setInterval(() => {
+        this.escalationCheckInterval = gameClock.setInterval(() => {
             const escalatedEvents = gameModel.checkEscalations();
             
             if (escalatedEvents.length > 0) {
@@ -180,24 +241,42 @@ const gameController = {
      * Pause the game simulation
      */
     pauseSimulation: function() {
-        if (this.simulationInterval) {
-            clearInterval(this.simulationInterval);
-            this.simulationInterval = null;
+        // Stop game time; the timers wait for it
+        gameClock.pause();
+        
+        // Update game model state
+        gameModel.state.isRunning = false;
+        
+        // Publish game paused event
+        eventBus.publish('game:paused');
+    },
+    
+    /**
+     * Advance a paused game by one clock step
+     */
+    stepSimulation: function() {
+        if (gameModel.state.isRunning) {
+            return;
         }
         
+        this.startTimers();
+        gameClock.step();
+    },
+    
+    /**
+     * Clear the simulation's timers from the game clock
+     */
+    stopTimers: function() {
+        // Stop every event source; a replay starts over with the game
+        eventSources.stop();
+        
         if (this.escalationCheckInterval) {
-            clearInterval(this.escalationCheckInterval);
+            gameClock.clearInterval(this.escalationCheckInterval);
             this.escalationCheckInterval = null;
         }
         
-        // Update game model state
-        gameModel.state.isRunning = false;
-        
         // Stop briefs
         threatBriefs.stopBriefs();
-        
-        // Publish game paused event
-        eventBus.publish('game:paused');
     },
     
     /**
@@ -206,10 +285,15 @@ const gameController = {
     resetGame: function() {
         // Stop simulation
         this.pauseSimulation();
+        this.stopTimers();
         
         // Reset game state
         gameModel.resetGameState();
         
+        // Restart the event stream and the attacker's choices from the seed
+        eventGenerator.setSeed(eventGenerator.seed);
+        attackerModel.init(eventGenerator.seed);
+        
         // Reset event listeners 
         eventBus.reset();
         
@@ -235,25 +319,510 @@ const gameController = {
         // Test rule
         const results = ruleEngine.testRule(rule, testEvents);
         
+        // Trace the sample through the library with the candidate at its
+        // priority: in place of the rule being edited, otherwise last
+        const rules = gameModel.state.rules.slice();
+        const index = rules.findIndex(existing => existing.id === data.ruleId);
+        if (index === -1) {
+            rules.push(rule);
+        } else {
+            rules[index] = rule;
+        }
+        
         // Publish test results
         eventBus.publish('rule:testResults', {
             rule: rule,
-            results: results
+            results: results,
+            rules: rules.filter(existing => ruleEngine.isRuleActive(existing)),
+            traces: ruleEngine.traceEvents(testEvents, rules)
         });
     },
     
     /**
-     * Save a rule
-     * @param {object} data - Rule data from the event bus
+     * Backtest a rule against the full session history or an imported event set
+     * @param {object} data - Rule and source ('history' or 'imported') from the event bus
+     */
+    backtestRule: function(data) {
+        const rule = data.rule;
+        
+        if (!ruleEngine.validateRule(rule)) {
+            eventBus.publish('notification:error', {
+                message: 'Invalid rule configuration. Please check all fields.'
+            });
+            return;
+        }
+        
+        let events;
+        let sourceName;
+        
+        if (data.source === 'imported') {
+            if (!this.backtestEvents) {
+                eventBus.publish('notification:warning', {
+                    message: 'Import an event set before backtesting against it.'
+                });
+                return;
+            }
+            events = this.backtestEvents.events;
+            sourceName = this.backtestEvents.fileName;
+        } else {
+            events = gameModel.state.events;
+            sourceName = 'session history';
+        }
+        
+        if (events.length === 0) {
+            eventBus.publish('notification:warning', {
+                message: `No events in ${sourceName} to backtest against.`
+            });
+            return;
+        }
+        
+        eventBus.publish('rule:backtestResults', {
+            rule: rule,
+            sourceName: sourceName,
+            report: ruleEngine.backtestRule(rule, events)
+        });
+    },
+    
+    /**
+     * Load an event set for backtesting
+     * @param {object} data - File text and name from the event bus
+     */
+    importBacktestEvents: function(data) {
+        const { events, issues } = this.parseEventSet(data.text, data.fileName);
+        
+        if (events.length === 0) {
+            eventBus.publish('notification:error', {
+                message: `No usable events in ${data.fileName}. ${issues.join(' ')}`
+            });
+            return;
+        }
+        
+        this.backtestEvents = { fileName: data.fileName, events: events };
+        
+        eventBus.publish('backtest:eventsLoaded', {
+            fileName: data.fileName,
+            count: events.length,
+            issues: issues
+        });
+    },
+    
+    /**
+     * Load an organization model from a JSON file
+     * @param {object} data - File text and name from the event bus
+     */
+    importInventory: function(data) {
+        let inventory;
+        try {
+            inventory = JSON.parse(data.text);
+        } catch (e) {
+            eventBus.publish('notification:error', {
+                message: `${data.fileName} is not valid JSON: ${e.message}.`
+            });
+            return;
+        }
+        
+        const issues = assetInventory.loadInventory(inventory, data.fileName);
+        if (issues.length > 0) {
+            eventBus.publish('notification:error', {
+                message: `Could not load ${data.fileName}. ${issues.join(' ')}`
+            });
+            return;
+        }
+        
+        eventBus.publish('notification:success', {
+            message: `Loaded ${inventory.hosts.length} hosts and ${inventory.users.length} users from ${data.fileName}.`
+        });
+    },
+    
+    /**
+     * Load a recorded log to replay
+     * @param {object} data - File text and name from the event bus
+     */
+    loadReplay: function(data) {
+        const { count, issues } = logReplay.load(data.text, data.fileName);
+        
+        if (count === 0) {
+            eventBus.publish('notification:error', {
+                message: `No replayable events in ${data.fileName}. ${issues.join(' ')}`
+            });
+        }
+    },
+    
+    /**
+     * Start replaying the loaded log
+     */
+    startReplay: function() {
+        if (logReplay.paused) {
+            eventSources.resumeSource(logReplay.id);
+        } else if (!eventSources.startSource(logReplay.id)) {
+            eventBus.publish('notification:error', { message: 'Load a log file to replay first.' });
+        }
+    },
+    
+    /**
+     * Parse an event set from a JSON array, JSON Lines or CSV (the formats a replay takes)
+     * @param {string} text - File contents
+     * @param {string} fileName - File name
+     * @returns {object} { events, issues } with events in arrival order
+     */
+    parseEventSet: function(text, fileName) {
+        const { records, issues } = parseRecordFile(text, fileName);
+        
+        const events = records.filter(record => typeof record.type === 'string');
+        
+        if (events.length < records.length) {
+            issues.push(`${records.length - events.length} records without a "type" were skipped.`);
+        }
+        
+        // Correlation windows need a numeric arrival time (CSV cells are text)
+        let untimed = 0;
+        events.forEach(event => {
+            if (typeof event.receivedAt === 'string' && /^\d+$/.test(event.receivedAt)) {
+                event.receivedAt = Number(event.receivedAt);
+            }
+            if (typeof event.receivedAt !== 'number') {
+                const parsed = Date.parse(event.timestamp);
+                event.receivedAt = isNaN(parsed) ? undefined : parsed;
+            }
+            if (event.receivedAt === undefined) untimed++;
+        });
+        
+        if (untimed > 0) {
+            issues.push(`${untimed} events have no parseable receivedAt or timestamp; correlation windows treat them as simultaneous.`);
+        }
+        
+        const unlabelled = events.filter(event => !event.category).length;
+        if (unlabelled > 0) {
+            issues.push(`${unlabelled} events have no category and are left out of precision and recall.`);
+        }
+        
+        events.sort((a, b) => (a.receivedAt || 0) - (b.receivedAt || 0));
+        
+        return { events, issues };
+    },
+    
+    /**
+     * Save a rule, updating it in place when it's being edited
+     * @param {object} data - Rule, author note (and ruleId when editing) from the event bus
      */
     saveRule: function(data) {
         const rule = data.rule;
-        const success = ruleEngine.addRule(rule);
+        const success = data.ruleId ?
+            ruleEngine.updateRule(data.ruleId, rule, data.note) : ruleEngine.addRule(rule, data.note);
         
         if (success) {
             // Rule added successfully
             eventBus.publish('notification:success', {
-                message: 'Rule saved successfully.'
+                message: data.ruleId ? 'Rule updated successfully.' : 'Rule saved successfully.'
+            });
+            
+            // Point out overlaps with the rest of the library
+            const savedRuleId = data.ruleId || rule.id;
+            const findings = ruleLinter.lintRules(gameModel.state.rules)
+                .filter(finding => finding.ruleId === savedRuleId);
+            
+            if (findings.length > 0) {
+                eventBus.publish('notification:warning', {
+                    message: `Rule linter: ${findings.map(finding => finding.message).join(' ')}`
+                });
+            }
+        }
+    },
+    
+    /**
+     * Delete a rule
+     * @param {object} data - Rule ID from the event bus
+     */
+    deleteRule: function(data) {
+        if (ruleEngine.deleteRule(data.ruleId)) {
+            eventBus.publish('notification:success', {
+                message: 'Rule deleted.'
+            });
+        }
+    },
+    
+    /**
+     * Enable or disable a rule
+     * @param {object} data - Rule ID and enabled flag from the event bus
+     */
+    toggleRule: function(data) {
+        ruleEngine.setRuleEnabled(data.ruleId, data.enabled);
+    },
+    
+    /**
+     * Move a rule to a new priority
+     * @param {object} data - Rule ID and new position from the event bus
+     */
+    moveRule: function(data) {
+        ruleEngine.moveRule(data.ruleId, data.toIndex);
+    },
+    
+    /**
+     * Return an archived rule to the library
+     * @param {object} data - Rule ID from the event bus
+     */
+    restoreRule: function(data) {
+        if (ruleEngine.restoreRule(data.ruleId)) {
+            eventBus.publish('notification:success', {
+                message: 'Rule restored without its expiry.'
+            });
+        }
+    },
+    
+    /**
+     * Permanently delete an archived rule
+     * @param {object} data - Rule ID from the event bus
+     */
+    deleteArchivedRule: function(data) {
+        ruleEngine.deleteArchivedRule(data.ruleId);
+    },
+    
+    /**
+     * Put a brief's temporary rule in place, or extend it if it's already active
+     * @param {object} data - Brief from the event bus
+     */
+    applyBriefRule: function(data) {
+        const brief = data.briefData;
+        if (!brief || !brief.rule) {
+            return;
+        }
+        
+        const definition = Object.assign({}, brief.rule, {
+            source: 'brief',
+            briefId: brief.id,
+            expiresAt: gameModel.now() + brief.rule.expiresInMinutes * 60000
+        });
+        delete definition.expiresInMinutes;
+        
+        const existing = gameModel.state.rules.find(rule => rule.briefId === brief.id);
+        const saved = existing ?
+            ruleEngine.updateRule(existing.id, definition, `Extended by the "${brief.title}" brief`) :
+            ruleEngine.addRule(definition, `Added by the "${brief.title}" brief`);
+        
+        if (saved) {
+            eventBus.publish('notification:success', {
+                message: `${definition.title} active for ${brief.rule.expiresInMinutes} minutes.`
+            });
+        }
+    },
+    
+    /**
+     * Duplicate a rule
+     * @param {object} data - Rule ID from the event bus
+     */
+    duplicateRule: function(data) {
+        if (ruleEngine.duplicateRule(data.ruleId)) {
+            eventBus.publish('notification:success', {
+                message: 'Rule duplicated.'
+            });
+        }
+    },
+    
+    /**
+     * Roll a rule back to an earlier version
+     * @param {object} data - Rule ID and version number from the event bus
+     */
+    rollbackRule: function(data) {
+        if (ruleHistory.rollback(data.ruleId, data.version)) {
+            eventBus.publish('notification:success', {
+                message: `Rule rolled back to version ${data.version}.`
+            });
+        }
+    },
+    
+    /**
+     * Allowlist a known-benign source
+     * @param {object} data - Field, value and note from the event bus
+     */
+    addAllowlistEntry: function(data) {
+        const entry = gameModel.addAllowlistEntry(data.field, data.value, data.note);
+        
+        if (!entry) {
+            eventBus.publish('notification:error', {
+                message: 'Allowlist entries need a value for IP, user, service or domain.'
+            });
+            return;
+        }
+        
+        eventBus.publish('notification:success', {
+            message: `Allowlisted ${entry.field} ${entry.value}.`
+        });
+    },
+    
+    /**
+     * Suppress matching events for a while
+     * @param {object} data - Field, value, minutes and note from the event bus
+     */
+    addSuppressionWindow: function(data) {
+        const suppressionWindow = gameModel.addSuppressionWindow(data.field, data.value, data.minutes, data.note);
+        
+        if (!suppressionWindow) {
+            eventBus.publish('notification:error', {
+                message: 'Suppression windows need a value and a duration in minutes.'
+            });
+            return;
+        }
+        
+        eventBus.publish('notification:success', {
+            message: `Suppressing ${suppressionWindow.field} ${suppressionWindow.value} for ${data.minutes} minutes.`
+        });
+    },
+    
+    /**
+     * Remove an allowlist entry or suppression window
+     * @param {object} data - Entry ID from the event bus
+     */
+    removeSuppression: function(data) {
+        if (gameModel.removeSuppression(data.id)) {
+            eventBus.publish('notification:success', {
+                message: 'Suppression removed.'
+            });
+        }
+    },
+    
+    /**
+     * Import a Sigma rule
+     * @param {object} data - Sigma YAML text and file name from the event bus
+     */
+    importSigmaRule: function(data) {
+        const { rule, issues } = sigmaConverter.fromSigma(data.text);
+        
+        if (!rule) {
+            // Report every construct that couldn't be converted
+            eventBus.publish('sigma:report', {
+                title: `Could not import ${data.fileName || 'Sigma rule'}`,
+                issues: issues
+            });
+            return;
+        }
+        
+        if (ruleEngine.addRule(rule, `Imported from ${data.fileName || 'a Sigma rule'}`)) {
+            eventBus.publish('notification:success', {
+                message: `Imported Sigma rule "${rule.title}".`
+            });
+        }
+    },
+    
+    /**
+     * Export a rule as Sigma YAML
+     * @param {object} data - Rule data from the event bus
+     */
+    exportSigmaRule: function(data) {
+        const rule = data.rule;
+        const { yaml, issues } = sigmaConverter.toSigma(rule);
+        
+        if (!yaml) {
+            eventBus.publish('sigma:report', {
+                title: 'Could not export rule to Sigma',
+                issues: issues
+            });
+            return;
+        }
+        
+        eventBus.publish('sigma:exported', {
+            rule: rule,
+            yaml: yaml,
+            fileName: `${(rule.title || rule.conditionType || 'rule').replace(/[^a-z0-9]+/gi, '_').toLowerCase()}.yml`
+        });
+    },
+    
+    /**
+     * Run the response of every rule that fired
+     * @param {object} data - Triggered rules from the event bus
+     */
+    applyRuleResponses: function(data) {
+        const correlatedEvents = new Map(data.correlations.map(correlation =>
+            [correlation.rule, correlation.events]
+        ));
+        
+        // Rules respond in priority order; a correlation responds to every
+        // event that contributed to it
+        data.rules.forEach(rule => {
+            (correlatedEvents.get(rule) || [data.event]).forEach(event => {
+                this.applyRuleResponse(rule, event);
+                this.applyRuleOutcome(rule, event);
+            });
+        });
+    },
+    
+    /**
+     * Run a rule's response actions against an event. Actions are tried in
+     * order until one is effective; every ineffective action is a failed
+     * attempt on the event and counts against the rule.
+     * @param {object} rule - Rule that fired
+     * @param {object} event - Event it fired on
+     */
+    applyRuleResponse: function(rule, event) {
+        const actions = ruleEngine.getResponseActions(rule);
+        
+        // Alert-only rules leave the response to the analyst; rules saved
+        // before responses still mark what they fire on handled
+        if (actions.length === 0) {
+            if (rule.markHandled && gameModel.markEventAsHandled(event, rule)) {
+                this.clearFromActionDropzone(event);
+            }
+            return;
+        }
+        
+        // Only unhandled threats need a response
+        const pendingEvent = gameModel.findPendingEvent(event);
+        if (!pendingEvent || pendingEvent.handled) {
+            return;
+        }
+        
+        if (!event._id) {
+            event._id = Date.now() + '-' + Math.random().toString(36).substr(2, 5);
+        }
+        
+        if (!rule.responseStats) {
+            rule.responseStats = { succeeded: 0, failed: 0 };
+        }
+        
+        for (const action of actions) {
+            const formattedAction = `Rule response ${action.replace(/_/g, ' ')}`;
+            
+            eventBus.publish('action:applied', { event, action, rule });
+            
+            if (this.isEffectiveAction(event, action)) {
+                if (gameModel.markEventAsHandled(event, rule)) {
+                    rule.responseStats.succeeded++;
+                    ruleAnalytics.markChanged(rule);
+                    
+                    eventBus.publish('notification:success', {
+                        message: `${formattedAction} succeeded for ${event.type}.`
+                    });
+                    
+                    this.clearFromActionDropzone(event);
+                    delete this.failedAttempts[event._id];
+                }
+                return;
+            }
+            
+            rule.responseStats.failed++;
+            ruleAnalytics.markChanged(rule);
+            this.recordFailedAttempt(event, action, formattedAction);
+            
+            // Stop once the incident is escalating
+            if (this.failedAttempts[event._id].count >= 3) {
+                return;
+            }
+        }
+    },
+    
+    /**
+     * Apply a rule's triage outcome to an event, after its response has run
+     * @param {object} rule - Rule that fired
+     * @param {object} event - Event it fired on
+     */
+    applyRuleOutcome: function(rule, event) {
+        if (!rule.outcome) {
+            return;
+        }
+        
+        const points = gameModel.applyTriageOutcome(event, rule);
+        if (points < 0) {
+            eventBus.publish('notification:warning', {
+                message: `A rule auto-closed an unremediated ${event.type} threat (${points} points).`
             });
         }
     },
@@ -317,6 +886,44 @@ handleEvent: function(data) {
         return;
     }
     
+    // The attacker notices blocks whether or not they remediate this event
+    eventBus.publish('action:applied', { event, action });
+    
+    const isEffective = this.isEffectiveAction(event, action);
+    
+    if (isEffective) {
+        // Mark event as handled
+        const success = gameModel.markEventAsHandled(event);
+        
+        if (success) {
+            eventBus.publish('notification:success', {
+                message: `${formattedAction} succeeded for ${event.type}.`
+            });
+            
+            // Clear from action dropzone
+            this.clearFromActionDropzone(event);
+            
+            // Reset failed attempts for this event
+            if (this.failedAttempts[event._id]) {
+                delete this.failedAttempts[event._id];
+            }
+        } else {
+            eventBus.publish('notification:error', {
+                message: `Unable to apply ${formattedAction} to this event.`
+            });
+        }
+    } else {
+        this.recordFailedAttempt(event, action, formattedAction);
+    }
+},
+
+/**
+ * Check whether a response action remediates an event
+ * @param {object} event - Event being handled
+ * @param {string} action - Action from a data-action button or a rule response
+ * @returns {boolean} True if the action is effective
+ */
+isEffectiveAction: function(event, action) {
     // If action doesn't match the remediation for this event
     let isEffective = false;
     
@@ -348,68 +955,50 @@ handleEvent: function(data) {
         }
     }
     
-    if (isEffective) {
-        // Mark event as handled
-        const success = gameModel.markEventAsHandled(event);
-        
-        if (success) {
-            eventBus.publish('notification:success', {
-                message: `${formattedAction} succeeded for ${event.type}.`
-            });
-            
-            // Clear from action dropzone
-            this.clearFromActionDropzone(event);
-            
-            // Reset failed attempts for this event
-            if (this.failedAttempts[event._id]) {
-                delete this.failedAttempts[event._id];
-            }
-        } else {
-            eventBus.publish('notification:error', {
-                message: `Unable to apply ${formattedAction} to this event.`
-            });
-        }
+    return isEffective;
+},
+
+/**
+ * Count an ineffective action against an event, escalating after three
+ * @param {object} event - Event being handled
+ * @param {string} action - Action that failed
+ * @param {string} formattedAction - Action label for notifications
+ */
+recordFailedAttempt: function(event, action, formattedAction) {
+    // Track failed attempts
+    if (!this.failedAttempts[event._id]) {
+        this.failedAttempts[event._id] = {
+            count: 1,
+            actions: [action]
+        };
     } else {
-        // Track failed attempts
-        if (!this.failedAttempts[event._id]) {
-            this.failedAttempts[event._id] = {
-                count: 1,
-                actions: [action]
-            };
-        } else {
-            // Increment failed attempts if it's a new action
-            if (!this.failedAttempts[event._id].actions.includes(action)) {
-                this.failedAttempts[event._id].count++;
-                this.failedAttempts[event._id].actions.push(action);
-            }
+        // Increment failed attempts if it's a new action
+        if (!this.failedAttempts[event._id].actions.includes(action)) {
+            this.failedAttempts[event._id].count++;
+            this.failedAttempts[event._id].actions.push(action);
         }
+    }
+    
+    // Check if reached max attempts
+    if (this.failedAttempts[event._id].count >= 3) {
+        eventBus.publish('notification:error', {
+            message: `Maximum remediation attempts reached for this event. Incident is escalating!`
+        });
         
-        // Check if reached max attempts
-        if (this.failedAttempts[event._id].count >= 3) {
-            eventBus.publish('notification:error', {
-                message: `Maximum remediation attempts reached for this event. Incident is escalating!`
-            });
-            
-            // Force escalation
-            const pendingEvent = gameModel.state.pendingMaliciousEvents.find(p => 
-                p.event._id === event._id || 
-                (p.event.timestamp === event.timestamp && 
-                 p.event.type === event.type &&
-                 p.event.ip === event.ip)
-            );
-            
-            if (pendingEvent) {
-                // Force timeout to trigger escalation
-                pendingEvent.timestamp = Date.now() - gameModel.settings.escalationTimeout - 1000;
-            }
-            
-            // Clear from action dropzone
-            this.clearFromActionDropzone(event);
-        } else {
-            eventBus.publish('notification:warning', {
-                message: `${formattedAction} is not an effective mitigation for ${event.type}. Attempts: ${this.failedAttempts[event._id].count}/3`
-            });
+        // Force escalation
+        const pendingEvent = gameModel.findPendingEvent(event);
+        
+        if (pendingEvent) {
+            // Force timeout to trigger escalation
+            pendingEvent.timestamp = gameModel.now() - gameModel.settings.escalationTimeout - 1000;
         }
+        
+        // Clear from action dropzone
+        this.clearFromActionDropzone(event);
+    } else {
+        eventBus.publish('notification:warning', {
+            message: `${formattedAction} is not an effective mitigation for ${event.type}. Attempts: ${this.failedAttempts[event._id].count}/3`
+        });
     }
 },
 
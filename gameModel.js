@@ -1,5 +1,7 @@
 // gameModel.js - Central game state management
 import eventBus from './eventBus.js';
+import gameClock from './gameClock.js';
+import rawLogFormatter from './rawLogFormatter.js';
 import possibleEvents from './threats.js';
 
 const gameModel = {
@@ -15,8 +17,40 @@ const gameModel = {
         pendingMaliciousEvents: [], // Malicious events that need handling
         handledEvents: [], // NEW: Track which events have been handled
         trafficData: [],  // Store traffic data for visualization
+        manualResponseStats: { totalSeconds: 0, count: 0 }, // Analyst response times, the baseline for rule time saved
+        allowlist: [],          // Known-benign sources ({ id, field, value, note, suppressedCount, maliciousCount })
+        suppressionWindows: [], // Time-boxed suppressions ({ id, field, value, note, start, end, suppressedCount, maliciousCount })
+        suppressedEvents: [],   // Audit trail of events kept out of triage ({ event, reason, suppressedAt, penalty })
+        suppressionTotals: { suppressed: 0, malicious: 0 }, // Every suppression, including records gone from the trail
+        ruleVersions: {},       // Version history by rule ID
+        archivedRules: [],      // Expired rules, kept for review and restore
+        campaigns: [],          // Attack campaigns of this session
+        attacker: null,         // Adaptive attacker's infrastructure and memory (set up on first use)
+        inventory: null,        // Loaded organization model (null = generated from the seed)
     },
     
+    // Event fields allowlist entries can match
+    allowlistFields: ['ip', 'user', 'service', 'domain'],
+    
+    // Event fields suppression windows can match (windows may also cover a whole event type)
+    suppressionWindowFields: ['ip', 'user', 'service', 'domain', 'type'],
+    
+    // Benign suppressed events kept in the audit trail; past this the oldest
+    // benign ones go. Swallowed threats are never dropped, and every
+    // suppression is still counted
+    maxSuppressedEvents: 200,
+    
+    // Penalty for an allowlist entry or suppression window swallowing a malicious event
+    suppressedThreatPenalty: 150,
+    
+    // Points for a rule closing a benign event, and the penalty for closing
+    // a malicious one that hasn't been remediated
+    triageCreditPoints: 10,
+    maliciousClosePenalty: 150,
+    
+    // Severity levels a downgrade removes (severity never drops below 1)
+    severityDowngradeSteps: 3,
+    
     // Settings and configuration
     settings: {
         eventFrequencyMultiplier: 1,
@@ -64,6 +98,89 @@ const gameModel = {
     init: function() {
         this.loadGameState();
         this.applyLevelSettings();
+        
+        eventBus.publish('gameState:loaded', this.state);
+    },
+    
+    /**
+     * Get the current time on the simulated clock; rule expiry, rule schedules,
+     * suppression windows and escalation timers all read it here
+     * @returns {number} Timestamp in milliseconds
+     */
+    now: function() {
+        return gameClock.now();
+    },
+    
+    /**
+     * Add (or with a negative value, take away) points outside a round
+     * @param {number} points - Points to add
+     */
+    adjustScore: function(points) {
+        this.state.score = Math.max(0, this.state.score + points);
+        this.saveGameState();
+        
+        eventBus.publish('score:updated', {
+            totalScore: this.state.score,
+            earnedPoints: points,
+            handledEvents: this.state.handledEvents.length
+        });
+    },
+    
+    /**
+     * Apply a rule's triage outcome to an event
+     * @param {object} event - Event the rule fired on
+     * @param {object} rule - Rule with an outcome (auto_close, tag or downgrade_severity)
+     * @returns {number} Points gained or lost
+     */
+    applyTriageOutcome: function(event, rule) {
+        let points = 0;
+        
+        switch (rule.outcome) {
+            case 'auto_close': {
+                if (event.closedBy) {
+                    return 0;
+                }
+                event.closedBy = rule.id;
+                
+                // Closing noise is triage work done; closing a live threat hides
+                // it, which costs the penalty now instead of an escalation later
+                const pendingEvent = this.findPendingEvent(event);
+                if (event.category !== 'malicious') {
+                    points = this.triageCreditPoints;
+                } else if (pendingEvent && !pendingEvent.handled) {
+                    points = -this.maliciousClosePenalty;
+                    pendingEvent.closedBy = rule.id;
+                }
+                break;
+            }
+                
+            case 'tag':
+                event.tags = event.tags || [];
+                if (event.tags.includes(rule.tag)) {
+                    return 0;
+                }
+                event.tags.push(rule.tag);
+                break;
+                
+            case 'downgrade_severity':
+                if (event.originalSeverity !== undefined) {
+                    return 0;
+                }
+                event.originalSeverity = event.severity;
+                event.severity = Math.max(1, event.severity - this.severityDowngradeSteps);
+                break;
+                
+            default:
+                return 0;
+        }
+        
+        if (points !== 0) {
+            this.adjustScore(points);
+        }
+        
+        eventBus.publish('event:triaged', { event, rule, outcome: rule.outcome, points });
+        
+        return points;
     },
     
     /**
@@ -81,6 +198,16 @@ const gameModel = {
             pendingMaliciousEvents: [],
             handledEvents: [], // NEW: Reset handled events
             trafficData: [],
+            manualResponseStats: { totalSeconds: 0, count: 0 },
+            allowlist: [],
+            suppressionWindows: [],
+            suppressedEvents: [],
+            suppressionTotals: { suppressed: 0, malicious: 0 },
+            ruleVersions: {},
+            archivedRules: [],
+            campaigns: [],
+            attacker: null,
+            inventory: null,
         };
         
         this.currentLevelIndex = 0;
@@ -100,13 +227,23 @@ const gameModel = {
                 const savedState = JSON.parse(storedState);
                 
                 // Only copy valid properties to prevent injection
-                const validProperties = ['level', 'score', 'uptime', 'rules', 'levelProgress'];
+                const validProperties = [
+                    'level', 'score', 'uptime', 'rules', 'levelProgress', 'manualResponseStats',
+                    'allowlist', 'suppressionWindows', 'suppressedEvents', 'suppressionTotals',
+                    'ruleVersions', 'archivedRules',
+                    'inventory'
+                ];
                 validProperties.forEach(prop => {
                     if (savedState.hasOwnProperty(prop)) {
                         this.state[prop] = savedState[prop];
                     }
                 });
                 
+                // Saved timestamps are in game time, so the clock carries on from the save
+                if (Number.isFinite(savedState.clockTime)) {
+                    gameClock.setTime(savedState.clockTime);
+                }
+                
                 this.currentLevelIndex = this.state.level - 1;
                 
                 // Validate level bounds
@@ -136,7 +273,16 @@ const gameModel = {
                 score: this.state.score,
                 uptime: this.state.uptime,
                 rules: this.state.rules,
-                levelProgress: this.state.levelProgress
+                levelProgress: this.state.levelProgress,
+                manualResponseStats: this.state.manualResponseStats,
+                allowlist: this.state.allowlist,
+                suppressionWindows: this.state.suppressionWindows,
+                suppressedEvents: this.state.suppressedEvents,
+                suppressionTotals: this.state.suppressionTotals,
+                ruleVersions: this.state.ruleVersions,
+                archivedRules: this.state.archivedRules,
+                inventory: this.state.inventory,
+                clockTime: gameClock.now()
             };
             
             localStorage.setItem('gameState', JSON.stringify(stateToSave));
@@ -246,6 +392,23 @@ const gameModel = {
             event._id = Date.now() + '-' + Math.random().toString(36).substr(2, 5);
         }
         
+        // Record arrival time for time-windowed rules
+        if (!event.receivedAt) {
+            event.receivedAt = this.now();
+        }
+        
+        // Render the line the event's source would have logged
+        if (!event.rawLog) {
+            rawLogFormatter.attach(event);
+        }
+        
+        // Allowlisted and suppressed events stay out of triage but are audited
+        const suppression = this.findSuppression(event);
+        if (suppression) {
+            this.recordSuppressedEvent(event, suppression);
+            return;
+        }
+        
         // Add to events array
         this.state.events.push(event);
         
@@ -253,14 +416,14 @@ const gameModel = {
         if (event.category === "malicious") {
             this.state.pendingMaliciousEvents.push({
                 event: event,
-                timestamp: Date.now(),
+                timestamp: this.now(),
                 handled: false
             });
         }
         
         // Update traffic data
         this.state.trafficData.push({
-            timestamp: Date.now(),
+            timestamp: this.now(),
             packetCount: 1
         });
         
@@ -274,17 +437,192 @@ const gameModel = {
     },
     
     /**
-     * Mark an event as handled
-     * @param {object} event - The event to mark
-     * @returns {boolean} True if event was found and marked
+     * Find the allowlist entry or active suppression window matching an event
+     * @param {object} event - Incoming event
+     * @returns {object|null} Matching entry
      */
-    markEventAsHandled: function(event) {
-        const pendingEvent = this.state.pendingMaliciousEvents.find(p => 
+    findSuppression: function(event) {
+        const now = this.now();
+        
+        // Drop windows that have ended
+        const activeWindows = this.state.suppressionWindows.filter(entry => entry.end > now);
+        if (activeWindows.length !== this.state.suppressionWindows.length) {
+            this.state.suppressionWindows = activeWindows;
+            this.saveGameState();
+            eventBus.publish('suppressions:changed');
+        }
+        
+        return this.state.allowlist.find(entry => this.suppressionMatches(entry, event)) ||
+            activeWindows.find(entry => entry.start <= now && this.suppressionMatches(entry, event)) ||
+            null;
+    },
+    
+    /**
+     * Check an allowlist entry or suppression window against an event
+     * @param {object} entry - Entry ({ field, value })
+     * @param {object} event - Event
+     * @returns {boolean} True if the entry covers the event
+     */
+    suppressionMatches: function(entry, event) {
+        const fieldValue = event[entry.field];
+        if (fieldValue === undefined || fieldValue === null) {
+            return false;
+        }
+        
+        const actual = String(fieldValue).toLowerCase();
+        const expected = String(entry.value).toLowerCase();
+        
+        // A domain also covers its subdomains
+        if (entry.field === 'domain') {
+            return actual === expected || actual.endsWith('.' + expected);
+        }
+        
+        return actual === expected;
+    },
+    
+    /**
+     * Record a suppressed event in the audit trail, count it against the entry
+     * that matched, and penalise a malicious event the entry swallowed
+     * @param {object} event - Suppressed event
+     * @param {object} entry - Allowlist entry or suppression window that matched
+     */
+    recordSuppressedEvent: function(event, entry) {
+        const malicious = event.category === 'malicious';
+        const record = {
+            event: event,
+            reason: `${entry.end ? 'Suppression window' : 'Allowlist'}: ${entry.field} = ${entry.value}`,
+            entryId: entry.id,
+            suppressedAt: this.now(),
+            penalty: malicious ? this.suppressedThreatPenalty : 0
+        };
+        
+        entry.suppressedCount = (entry.suppressedCount || 0) + 1;
+        this.state.suppressionTotals.suppressed++;
+        if (malicious) {
+            entry.maliciousCount = (entry.maliciousCount || 0) + 1;
+            this.state.suppressionTotals.malicious++;
+        }
+        
+        // Swallowed threats stay in the trail, even past the cap; benign
+        // records make room
+        this.state.suppressedEvents.push(record);
+        if (this.state.suppressedEvents.length > this.maxSuppressedEvents) {
+            const oldestBenign = this.state.suppressedEvents.findIndex(item => !item.penalty);
+            if (oldestBenign !== -1) {
+                this.state.suppressedEvents.splice(oldestBenign, 1);
+            }
+        }
+        
+        if (malicious) {
+            this.adjustScore(-record.penalty);
+        } else {
+            this.saveGameState();
+        }
+        eventBus.publish('event:suppressed', record);
+    },
+    
+    /**
+     * Add an allowlist entry
+     * @param {string} field - ip, user, service or domain
+     * @param {string} value - Value to allow
+     * @param {string} note - Why the source is benign
+     * @returns {object|null} Entry, or null if invalid
+     */
+    addAllowlistEntry: function(field, value, note = '') {
+        if (!this.allowlistFields.includes(field) || !String(value || '').trim()) {
+            return null;
+        }
+        
+        const entry = {
+            id: 'allow-' + Date.now().toString(36) + Math.random().toString(36).substr(2, 4),
+            field: field,
+            value: String(value).trim(),
+            note: note
+        };
+        
+        this.state.allowlist.push(entry);
+        this.saveGameState();
+        eventBus.publish('suppressions:changed');
+        
+        return entry;
+    },
+    
+    /**
+     * Add a suppression window starting now
+     * @param {string} field - ip, user, service, domain or type
+     * @param {string} value - Value to suppress
+     * @param {number} minutes - Window length
+     * @param {string} note - Why events are suppressed
+     * @returns {object|null} Window, or null if invalid
+     */
+    addSuppressionWindow: function(field, value, minutes, note = '') {
+        const duration = parseFloat(minutes);
+        if (!this.suppressionWindowFields.includes(field) || !String(value || '').trim() ||
+            isNaN(duration) || duration <= 0) {
+            return null;
+        }
+        
+        const start = this.now();
+        const suppressionWindow = {
+            id: 'window-' + start.toString(36) + Math.random().toString(36).substr(2, 4),
+            field: field,
+            value: String(value).trim(),
+            note: note,
+            start: start,
+            end: start + duration * 60000
+        };
+        
+        this.state.suppressionWindows.push(suppressionWindow);
+        this.saveGameState();
+        eventBus.publish('suppressions:changed');
+        
+        return suppressionWindow;
+    },
+    
+    /**
+     * Remove an allowlist entry or suppression window
+     * @param {string} id - Entry ID
+     * @returns {boolean} True if removed
+     */
+    removeSuppression: function(id) {
+        const allowlist = this.state.allowlist.filter(entry => entry.id !== id);
+        const windows = this.state.suppressionWindows.filter(entry => entry.id !== id);
+        
+        if (allowlist.length === this.state.allowlist.length && 
+            windows.length === this.state.suppressionWindows.length) {
+            return false;
+        }
+        
+        this.state.allowlist = allowlist;
+        this.state.suppressionWindows = windows;
+        this.saveGameState();
+        eventBus.publish('suppressions:changed');
+        
+        return true;
+    },
+    
+    /**
+     * Find the pending entry for a malicious event
+     * @param {object} event - Event to look up
+     * @returns {object|undefined} Pending entry ({ event, timestamp, handled })
+     */
+    findPendingEvent: function(event) {
+        return this.state.pendingMaliciousEvents.find(p => 
             (p.event._id && p.event._id === event._id) || 
             (p.event.timestamp === event.timestamp && 
              p.event.type === event.type &&
              p.event.ip === event.ip)
         );
+    },
+    
+    /**
+     * Mark an event as handled
+     * @param {object} event - The event to mark
+     * @param {object} rule - Rule whose response handled it (omitted for analyst actions)
+     * @returns {boolean} True if event was found and marked
+     */
+    markEventAsHandled: function(event, rule = null) {
+        const pendingEvent = this.findPendingEvent(event);
         
         if (pendingEvent && !pendingEvent.handled) {
             pendingEvent.handled = true;
@@ -301,13 +639,14 @@ const gameModel = {
             this.state.handledEvents.push(eventId);
             
             // Calculate response time in seconds (capped at 30)
-            const responseTime = Math.min(30, (Date.now() - pendingEvent.timestamp) / 1000);
+            const elapsed = (this.now() - pendingEvent.timestamp) / 1000;
+            const responseTime = Math.min(30, elapsed);
             const responseSpeed = Math.max(0, 30 - responseTime); // Higher for faster response
             
             this.calculateScore(1, responseSpeed, this.state.uptime, 0);
             
             // Publish event handled
-            eventBus.publish('event:handled', { event });
+            eventBus.publish('event:handled', { event, rule, responseTime: elapsed });
             
             return true;
         }
@@ -346,7 +685,7 @@ const gameModel = {
      */
     getPendingMaliciousEvents: function() {
         return this.state.pendingMaliciousEvents.map(pendingEvent => {
-            const timeElapsed = Date.now() - pendingEvent.timestamp;
+            const timeElapsed = this.now() - pendingEvent.timestamp;
             const escalationPercentage = Math.min(100, 
                 Math.round((timeElapsed / this.settings.escalationTimeout) * 100)
             );
@@ -365,20 +704,21 @@ const gameModel = {
      * @returns {array} Events that should be escalated
      */
     checkEscalations: function() {
-        const now = Date.now();
+        const now = this.now();
         const escalatedEvents = [];
         
         // Check each pending event
         this.state.pendingMaliciousEvents = this.state.pendingMaliciousEvents.filter(pendingEventInfo => {
-            // Remove handled events
-            if (pendingEventInfo.handled) {
+            // Remove handled events, and ones a rule closed (already penalised)
+            if (pendingEventInfo.handled || pendingEventInfo.closedBy) {
                 return false;
             }
             
             // Check if time to escalate
             const timeElapsed = now - pendingEventInfo.timestamp;
             if (timeElapsed >= this.settings.escalationTimeout) {
-                // Add to escalated events
+                // Add to escalated events; the coverage heatmap counts it as missed
+                pendingEventInfo.event.escalated = true;
                 escalatedEvents.push(pendingEventInfo.event);
                 return false; // Remove from pending
             }
@@ -0,0 +1,141 @@
+// generatorSource.js - The seeded random event stream as an event source
+import gameModel from './gameModel.js';
+import gameClock from './gameClock.js';
+import eventGenerator from './eventGenerator.js';
+import campaignGenerator from './campaignGenerator.js';
+import attackerModel from './attackerModel.js';
+
+/**
+ * GeneratorSource is the game's own event stream: on every tick of the level's
+ * simulation interval it generates an event, puts it through the adaptive
+ * attacker, now and then raises a false positive from noise, and advances the
+ * attack campaigns. It starts with the simulation and can be paused to leave
+ * other sources, such as a log replay, on their own.
+ */
+const generatorSource = {
+    id: 'generator',
+    name: 'Generated events',
+    capabilities: { pausable: true, finite: false, scalable: false, live: false },
+    autoStart: true,
+    
+    // Game clock timer while generating, whether it's held, and where events go
+    timer: null,
+    paused: false,
+    emit: null,
+    
+    /**
+     * Start generating
+     * @param {function} emit - Takes each event (see eventSources)
+     * @returns {boolean} True
+     */
+    start: function(emit) {
+        this.emit = emit;
+        this.paused = false;
+        this.schedule();
+        
+        return true;
+    },
+    
+    /**
+     * Stop generating
+     */
+    stop: function() {
+        this.unschedule();
+        this.paused = false;
+        this.emit = null;
+    },
+    
+    /**
+     * Hold the stream
+     */
+    pause: function() {
+        this.unschedule();
+        this.paused = true;
+    },
+    
+    /**
+     * Carry on with a held stream
+     */
+    resume: function() {
+        this.paused = false;
+        if (this.emit) {
+            this.schedule();
+        }
+    },
+    
+    /**
+     * Check whether the stream is running
+     * @returns {boolean} True while generating
+     */
+    isActive: function() {
+        return this.timer !== null;
+    },
+    
+    /**
+     * Describe the stream for the controls
+     * @returns {object} { id, name, capabilities, status, detail }
+     */
+    describe: function() {
+        return {
+            id: this.id,
+            name: this.name,
+            capabilities: this.capabilities,
+            status: this.isActive() ? 'running' : this.paused ? 'paused' : 'stopped',
+            detail: `Seed ${eventGenerator.seed}`
+        };
+    },
+    
+    /**
+     * Set the generation timer on the game clock at the level's event frequency
+     */
+    schedule: function() {
+        if (this.timer) {
+            return;
+        }
+        
+        this.timer = gameClock.setInterval(this.tick.bind(this),
+            gameModel.settings.simulationInterval * gameModel.settings.eventFrequencyMultiplier);
+    },
+    
+    /**
+     * Clear the generation timer
+     */
+    unschedule: function() {
+        if (this.timer) {
+            gameClock.clearInterval(this.timer);
+            this.timer = null;
+        }
+    },
+    
+    /**
+     * Generate this tick's events
+     */
+    tick: function() {
+        // Generate a new event; the attacker may rework it, or it never
+        // happens because the attacker is quiet or was blocked
+        const event = attackerModel.adapt(eventGenerator.generateEvent());
+        
+        if (event) {
+            this.emit(event);
+            
+            // Check for false positives if this is noise
+            if (event.isNoise && eventGenerator.random() < gameModel.settings.falsePositiveChance) {
+                const falsePositiveEvent = {
+                    ...event,
+                    type: "potential_false_positive",
+                    description: `Potential false positive: ${event.description}`
+                };
+                
+                this.emit(falsePositiveEvent);
+            }
+        }
+        
+        // Advance attack campaigns
+        campaignGenerator.update()
+            .map(stageEvent => attackerModel.adapt(stageEvent))
+            .filter(stageEvent => stageEvent)
+            .forEach(stageEvent => this.emit(stageEvent));
+    }
+};
+
+export default generatorSource;
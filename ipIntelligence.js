@@ -0,0 +1,182 @@
+// ipIntelligence.js - Offline GeoIP, ASN and reputation lookups
+import gameModel from './gameModel.js';
+import { ipToNumber, numberToIp, parseCidr, ipInCidr } from './utils.js';
+
+/**
+ * IpIntelligence tells internal addresses from external ones and enriches
+ * external addresses from an offline table mapping ranges to a country, an
+ * ASN and the network's owner. The table is simulated: the well-known
+ * networks are real, the hostile ones are fictional and use private-use ASNs.
+ *
+ * Reputation runs from 0 (known bad) to 100 (trusted). An address starts with
+ * its range's reputation and loses some for every malicious event it was the
+ * source of this session, so repeat offenders sink.
+ */
+const ipIntelligence = {
+    // Private and reserved ranges; addresses in them are internal
+    internalRanges: ['10.0.0.0/8', '172.16.0.0/12', '192.168.0.0/16', '127.0.0.0/8'],
+    
+    // Country names by ISO code
+    countries: {
+        US: 'United States',
+        AU: 'Australia',
+        GB: 'United Kingdom',
+        NL: 'Netherlands',
+        BR: 'Brazil',
+        CN: 'China',
+        VN: 'Vietnam',
+        RU: 'Russia',
+        UA: 'Ukraine',
+        RO: 'Romania',
+        BG: 'Bulgaria',
+        BY: 'Belarus'
+    },
+    
+    // External ranges with their country, ASN, owner and starting reputation
+    ranges: [
+        { cidr: '8.8.8.0/24', country: 'US', asn: 15169, org: 'Google LLC', reputation: 95 },
+        { cidr: '1.1.1.0/24', country: 'AU', asn: 13335, org: 'Cloudflare, Inc.', reputation: 95 },
+        { cidr: '151.101.0.0/16', country: 'US', asn: 54113, org: 'Fastly, Inc.', reputation: 85 },
+        { cidr: '20.32.0.0/11', country: 'US', asn: 8075, org: 'Microsoft Corporation', reputation: 75 },
+        { cidr: '52.0.0.0/11', country: 'US', asn: 16509, org: 'Amazon.com, Inc.', reputation: 70 },
+        { cidr: '81.2.64.0/18', country: 'GB', asn: 64520, org: 'Albion Broadband', reputation: 60 },
+        { cidr: '177.32.0.0/12', country: 'BR', asn: 64530, org: 'Rede Sul Telecom', reputation: 45 },
+        { cidr: '103.110.0.0/16', country: 'VN', asn: 64535, org: 'Mekong Cloud', reputation: 40 },
+        { cidr: '119.40.0.0/14', country: 'CN', asn: 64540, org: 'Eastern Gateway Networks', reputation: 30 },
+        { cidr: '45.95.168.0/22', country: 'NL', asn: 64550, org: 'Lowlands Anonymous VPN', reputation: 20 },
+        { cidr: '37.44.0.0/15', country: 'BY', asn: 64600, org: 'Minsk Colocation', reputation: 20 },
+        { cidr: '46.148.0.0/16', country: 'UA', asn: 64610, org: 'Dnipro Datacenter', reputation: 25 },
+        { cidr: '185.100.84.0/22', country: 'RO', asn: 64620, org: 'Carpathia VPS', reputation: 15 },
+        { cidr: '91.240.0.0/16', country: 'RU', asn: 64630, org: 'Volga Hosting', reputation: 10 },
+        { cidr: '193.37.0.0/16', country: 'BG', asn: 64640, org: 'Balkan Bulletproof Hosting', reputation: 5 }
+    ],
+    
+    // Reputation of external addresses outside the table
+    unknownReputation: 50,
+    
+    // Reputation lost per malicious event an address was the source of this session
+    sightingPenalty: 5,
+    
+    // Ranges below this reputation are where attacks come from
+    hostileBelow: 40,
+    
+    // Chance a malicious external event comes from a hostile range
+    hostileSourceChance: 0.75,
+    
+    /**
+     * Check whether an address is internal
+     * @param {string} ip - IPv4 address
+     * @returns {boolean} True if it's in a private or reserved range
+     */
+    isInternal: function(ip) {
+        return this.internalRanges.some(cidr => ipInCidr(ip, cidr));
+    },
+    
+    /**
+     * Look an address up in the offline table
+     * @param {string} ip - IPv4 address
+     * @returns {object|null} { network, country, countryName, asn, org }, with
+     *                        only network set for internal or unlisted
+     *                        addresses; null if the address is invalid
+     */
+    lookup: function(ip) {
+        if (ipToNumber(ip) === null) {
+            return null;
+        }
+        
+        if (this.isInternal(ip)) {
+            return { network: 'internal' };
+        }
+        
+        const range = this.findRange(ip);
+        if (!range) {
+            return { network: 'external' };
+        }
+        
+        return {
+            network: 'external',
+            country: range.country,
+            countryName: this.countries[range.country],
+            asn: range.asn,
+            org: range.org
+        };
+    },
+    
+    /**
+     * Get an external address's local reputation
+     * @param {string} ip - IPv4 address
+     * @param {array} events - Events to count sightings in (this session's by default)
+     * @returns {number|null} Reputation from 0 to 100, or null for internal addresses
+     */
+    getReputation: function(ip, events = gameModel.state.events) {
+        if (ipToNumber(ip) === null || this.isInternal(ip)) {
+            return null;
+        }
+        
+        const range = this.findRange(ip);
+        const base = range ? range.reputation : this.unknownReputation;
+        const sightings = events.filter(event => event.ip === ip && event.category === 'malicious').length;
+        
+        return Math.max(0, base - sightings * this.sightingPenalty);
+    },
+    
+    /**
+     * Pick a random address from the table
+     * @param {function} random - Random source
+     * @param {boolean} hostile - Whether to draw from the hostile ranges only
+     * @returns {string} IPv4 address
+     */
+    randomExternalIp: function(random, hostile = false) {
+        const ranges = hostile ?
+            this.ranges.filter(entry => entry.reputation < this.hostileBelow) : this.ranges;
+        
+        return this.randomIpInRange(random, ranges[Math.floor(random() * ranges.length)].cidr);
+    },
+    
+    /**
+     * Pick a random address inside a range
+     * @param {function} random - Random source
+     * @param {string} cidr - CIDR range
+     * @returns {string} IPv4 address
+     */
+    randomIpInRange: function(random, cidr) {
+        const range = parseCidr(cidr);
+        
+        // Skip the network and broadcast addresses
+        const size = range.end - range.start + 1;
+        const offset = size > 2 ? 1 + Math.floor(random() * (size - 2)) : 0;
+        
+        return numberToIp(range.start + offset);
+    },
+    
+    /**
+     * Find the table range an address belongs to
+     * @param {string} ip - IPv4 address
+     * @returns {object|undefined} Range entry
+     */
+    findRange: function(ip) {
+        return this.ranges.find(entry => ipInCidr(ip, entry.cidr));
+    },
+    
+    /**
+     * Add an event's network, geo and reputation fields from its IP
+     * @param {object} event - Event to modify
+     */
+    enrich: function(event) {
+        ['network', 'country', 'countryName', 'asn', 'org', 'reputation'].forEach(field => {
+            delete event[field];
+        });
+        
+        const info = this.lookup(event.ip);
+        if (!info) {
+            return;
+        }
+        
+        Object.assign(event, info);
+        if (info.network === 'external') {
+            event.reputation = this.getReputation(event.ip);
+        }
+    }
+};
+
+export default ipIntelligence;
@@ -0,0 +1,471 @@
+// logReplay.js - Replays recorded event logs from JSONL, JSON or CSV files
+import eventBus from './eventBus.js';
+import gameClock from './gameClock.js';
+import possibleEvents from './threats.js';
+import ipIntelligence from './ipIntelligence.js';
+import { parseRecordFile, sanitizeString } from './utils.js';
+
+/**
+ * LogReplay is the event source that feeds a recorded dataset into the game,
+ * alongside the generated stream or, with that paused, in its place. Records
+ * come from JSON Lines, a JSON array or CSV with a header row; their columns
+ * are mapped onto the event schema by name, and whatever a record leaves out
+ * is filled from the threat template of its type, so a log with only a type
+ * and an IP still escalates and scores like a generated event.
+ *
+ * Records are replayed on the game clock at their recorded spacing, scaled by
+ * the replay speed, and each is emitted at the game time it fell due, to be
+ * merged with the other sources' events (see eventSources). Records without a
+ * usable time are spaced untimedGapMs apart.
+ */
+const logReplay = {
+    id: 'replay',
+    name: 'Log replay',
+    capabilities: { pausable: true, finite: true, scalable: true, live: false },
+    autoStart: false,
+    
+    // Column names each event field is read from, compared in lower case
+    // without spaces or punctuation (so "Source IP" and "src_ip" both match)
+    columns: {
+        type: ['type', 'eventtype', 'event', 'eventname'],
+        time: ['time', 'timestamp', 'receivedat', 'datetime', 'date', 'eventtime', 'ts'],
+        category: ['category', 'label', 'verdict'],
+        severity: ['severity', 'sev', 'priority'],
+        description: ['description', 'desc', 'summary'],
+        ip: ['ip', 'srcip', 'sourceip', 'src', 'clientip', 'ipaddress', 'remoteaddr'],
+        host: ['host', 'hostname', 'computer', 'device', 'dhost'],
+        user: ['user', 'username', 'account', 'targetusername', 'subjectusername'],
+        process: ['process', 'processname', 'image', 'newprocessname'],
+        domain: ['domain', 'query', 'qname', 'dnsquery'],
+        url: ['url', 'uri', 'path', 'request'],
+        code: ['code', 'statuscode', 'httpstatus', 'responsecode'],
+        resource: ['resource', 'object', 'file'],
+        action: ['action'],
+        service: ['service', 'servicename'],
+        status: ['status', 'state'],
+        volume: ['volume', 'bytes', 'cnt'],
+        count: ['count', 'attempts'],
+        remediation: ['remediation'],
+        mitreTechnique: ['mitretechnique', 'technique', 'attackid'],
+        rawLog: ['raw', 'rawlog', 'message', 'msg']
+    },
+    
+    // Fields read as numbers
+    numericFields: ['severity', 'code', 'volume', 'count'],
+    
+    // Categories a record may carry; any other is dropped
+    categories: ['malicious', 'noise', 'false_positive'],
+    
+    // Replay speeds the controls offer, in recorded seconds per game second
+    scales: [1, 2, 10, 60, 600],
+    
+    // Game milliseconds between replay updates
+    updateMs: 250,
+    
+    // Recorded milliseconds between records without a usable time
+    untimedGapMs: 5000,
+    
+    // Loaded records ({ offset, event }) in replay order, offset in recorded milliseconds
+    records: [],
+    fileName: null,
+    
+    // Next record to replay, recorded milliseconds replayed so far, and replay speed
+    position: 0,
+    cursor: 0,
+    scale: 1,
+    
+    // Game clock timer while replaying, the game time of the last update,
+    // whether the replay is held, and where events go
+    timer: null,
+    lastUpdate: null,
+    paused: false,
+    emit: null,
+    
+    /**
+     * Load a recorded dataset, replacing any loaded before
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, whose extension picks CSV parsing
+     * @returns {object} { count, issues }
+     */
+    load: function(text, fileName) {
+        const { records, issues } = this.parseRecords(String(text), fileName);
+        
+        const events = records.map(record => this.mapRecord(record)).filter(event => event);
+        if (events.length < records.length) {
+            issues.push(`${records.length - events.length} records without a type were skipped.`);
+        }
+        
+        const unknownTypes = [...new Set(events
+            .filter(event => !possibleEvents.some(template => template.type === event.type))
+            .map(event => event.type))];
+        if (unknownTypes.length > 0) {
+            issues.push(`Unknown event types (no remediation or escalation unless the record has one): ${unknownTypes.join(', ')}.`);
+        }
+        
+        const untimed = events.filter(event => event.recordedAt === undefined).length;
+        if (untimed > 0) {
+            issues.push(`${untimed} records have no usable time and are replayed ${this.untimedGapMs / 1000} seconds apart.`);
+        }
+        
+        if (events.length === 0) {
+            return { count: 0, issues };
+        }
+        
+        this.stop();
+        this.records = this.scheduleRecords(events);
+        this.fileName = fileName;
+        this.rewind();
+        
+        eventBus.publish('replay:loaded', {
+            fileName: fileName,
+            count: this.records.length,
+            duration: this.records[this.records.length - 1].offset,
+            issues: issues
+        });
+        
+        return { count: this.records.length, issues };
+    },
+    
+    /**
+     * Parse a file into flat records
+     * @param {string} text - File contents
+     * @param {string} fileName - File name
+     * @returns {object} { records, issues }
+     */
+    parseRecords: function(text, fileName) {
+        const { records, header, issues } = parseRecordFile(text, fileName);
+        
+        const unmapped = (header || []).filter(column => !this.findField(column));
+        if (unmapped.length > 0) {
+            issues.push(`Columns ignored: ${unmapped.join(', ')}.`);
+        }
+        
+        return { records, issues };
+    },
+    
+    /**
+     * Find the event field a column maps onto
+     * @param {string} column - Column name or record key
+     * @returns {string|undefined} Event field
+     */
+    findField: function(column) {
+        const key = String(column).toLowerCase().replace(/[^a-z0-9]/g, '');
+        return Object.keys(this.columns).find(field => this.columns[field].includes(key));
+    },
+    
+    /**
+     * Map a record onto the event schema, filling gaps from its type's template
+     * @param {object} record - Flat record
+     * @returns {object|null} Recorded event (recordedAt in milliseconds if it
+     *                        has a usable time), or null if it has no type
+     */
+    mapRecord: function(record) {
+        const event = {};
+        
+        Object.keys(record).forEach(column => {
+            const field = this.findField(column);
+            const value = record[column];
+            if (field && event[field] === undefined && value !== '' && value !== null && value !== undefined &&
+                typeof value !== 'object') {
+                event[field] = value;
+            }
+        });
+        
+        if (event.type === undefined || !String(event.type).trim()) {
+            return null;
+        }
+        event.type = String(event.type).trim();
+        
+        this.numericFields.forEach(field => {
+            if (event[field] !== undefined) {
+                const value = Number(event[field]);
+                if (isNaN(value)) {
+                    delete event[field];
+                } else {
+                    event[field] = value;
+                }
+            }
+        });
+        
+        if (event.category !== undefined) {
+            const category = String(event.category).trim().toLowerCase().replace(/[\s-]+/g, '_');
+            if (this.categories.includes(category)) {
+                event.category = category;
+            } else {
+                delete event.category;
+            }
+        }
+        
+        // The recorded values win; the template fills the rest
+        const template = possibleEvents.find(entry => entry.type === event.type) || {};
+        const defaults = {
+            description: template.description || `Recorded ${event.type} event`,
+            severity: template.baseSeverity || 1,
+            category: template.category,
+            domain: template.domain,
+            escalation: template.escalation,
+            remediation: template.remediation,
+            mitreTechnique: template.mitreTechnique || null,
+            education: template.education
+        };
+        Object.keys(defaults).forEach(field => {
+            if (event[field] === undefined && defaults[field] !== undefined) {
+                event[field] = defaults[field];
+            }
+        });
+        
+        event.description = sanitizeString(String(event.description));
+        if (event.education) {
+            event.education = sanitizeString(event.education);
+        }
+        event.isNoise = event.category === 'noise';
+        
+        // A recorded raw line is shown as it was, without field highlighting
+        if (event.rawLog !== undefined) {
+            event.rawLog = String(event.rawLog);
+            event.rawLogFormat = 'recorded';
+            event.rawLogFields = [];
+        }
+        
+        const recordedAt = this.parseTime(event.time);
+        delete event.time;
+        if (recordedAt !== undefined) {
+            event.recordedAt = recordedAt;
+        }
+        
+        return event;
+    },
+    
+    /**
+     * Parse a recorded time
+     * @param {*} value - ISO or other date text, or epoch seconds or milliseconds
+     * @returns {number|undefined} Timestamp in milliseconds
+     */
+    parseTime: function(value) {
+        if (value === undefined) {
+            return undefined;
+        }
+        
+        const number = Number(value);
+        if (String(value).trim() !== '' && !isNaN(number)) {
+            // Epoch seconds until well past 2286
+            return number < 1e11 ? number * 1000 : number;
+        }
+        
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? undefined : parsed;
+    },
+    
+    /**
+     * Order recorded events and give each its offset from the first
+     * @param {array} events - Recorded events in file order
+     * @returns {array} Records ({ offset, event }) in replay order
+     */
+    scheduleRecords: function(events) {
+        const timed = events.filter(event => event.recordedAt !== undefined)
+            .sort((a, b) => a.recordedAt - b.recordedAt);
+        const start = timed.length > 0 ? timed[0].recordedAt : 0;
+        
+        // Untimed records follow in file order after the timed ones
+        const end = timed.length > 0 ? timed[timed.length - 1].recordedAt - start : -this.untimedGapMs;
+        const untimed = events.filter(event => event.recordedAt === undefined);
+        
+        return timed.map(event => ({ offset: event.recordedAt - start, event }))
+            .concat(untimed.map((event, index) => ({ offset: end + (index + 1) * this.untimedGapMs, event })));
+    },
+    
+    /**
+     * Check whether a replay is running
+     * @returns {boolean} True while replaying
+     */
+    isActive: function() {
+        return this.timer !== null;
+    },
+    
+    /**
+     * Describe the replay for the controls
+     * @returns {object} { id, name, capabilities, status, detail }
+     */
+    describe: function() {
+        return {
+            id: this.id,
+            name: this.name,
+            capabilities: this.capabilities,
+            status: this.isActive() ? 'running' : this.paused ? 'paused' : 'stopped',
+            detail: this.records.length > 0 ?
+                `${this.position} of ${this.records.length} events from ${this.fileName}` : 'No log loaded'
+        };
+    },
+    
+    /**
+     * Start replaying the loaded records, from the top if the last replay finished
+     * @param {function} emit - Takes each event (see eventSources)
+     * @returns {boolean} True if a replay is running
+     */
+    start: function(emit) {
+        if (this.records.length === 0) {
+            return false;
+        }
+        
+        this.emit = emit;
+        if (this.isActive()) {
+            return true;
+        }
+        
+        if (this.position >= this.records.length) {
+            this.rewind();
+        }
+        
+        this.paused = false;
+        this.schedule();
+        
+        eventBus.publish('replay:started', { fileName: this.fileName, count: this.records.length });
+        
+        return true;
+    },
+    
+    /**
+     * Stop replaying and go back to the first record
+     */
+    stop: function() {
+        const wasReplaying = this.isActive() || this.paused;
+        
+        this.unschedule();
+        this.paused = false;
+        this.emit = null;
+        this.rewind();
+        
+        if (wasReplaying) {
+            eventBus.publish('replay:stopped', { count: this.records.length });
+        }
+    },
+    
+    /**
+     * Hold the replay where it is
+     */
+    pause: function() {
+        if (!this.isActive()) {
+            return;
+        }
+        
+        // Replay what fell due up to now
+        this.update();
+        if (!this.isActive()) {
+            return;
+        }
+        
+        this.unschedule();
+        this.paused = true;
+        
+        eventBus.publish('replay:paused', { position: this.position, count: this.records.length });
+    },
+    
+    /**
+     * Carry on with a held replay
+     */
+    resume: function() {
+        if (!this.paused || !this.emit) {
+            return;
+        }
+        
+        this.paused = false;
+        this.schedule();
+        
+        eventBus.publish('replay:started', { fileName: this.fileName, count: this.records.length });
+    },
+    
+    /**
+     * Set the replay timer on the game clock
+     */
+    schedule: function() {
+        this.lastUpdate = gameClock.now();
+        this.timer = gameClock.setInterval(this.update.bind(this), this.updateMs);
+    },
+    
+    /**
+     * Clear the replay timer
+     */
+    unschedule: function() {
+        if (this.timer) {
+            gameClock.clearInterval(this.timer);
+            this.timer = null;
+        }
+    },
+    
+    /**
+     * Go back to the first record
+     */
+    rewind: function() {
+        this.position = 0;
+        this.cursor = 0;
+        this.lastUpdate = gameClock.now();
+    },
+    
+    /**
+     * Set the replay speed
+     * @param {number} scale - Recorded seconds per game second (1 is original timing)
+     */
+    setScale: function(scale) {
+        const value = parseFloat(scale);
+        if (isNaN(value) || value <= 0) {
+            return;
+        }
+        
+        // Time so far runs at the old speed
+        if (this.isActive()) {
+            this.update();
+        }
+        
+        this.scale = value;
+    },
+    
+    /**
+     * Replay every record that fell due since the last update, each at the
+     * game time it fell due
+     */
+    update: function() {
+        const now = gameClock.now();
+        this.cursor += (now - this.lastUpdate) * this.scale;
+        this.lastUpdate = now;
+        
+        const start = this.position;
+        while (this.position < this.records.length && this.records[this.position].offset <= this.cursor) {
+            const record = this.records[this.position];
+            const time = now - (this.cursor - record.offset) / this.scale;
+            
+            // A full buffer holds the replay here until there's room
+            if (!this.emit(this.createEvent(record.event, time), time)) {
+                break;
+            }
+            this.position++;
+        }
+        
+        if (this.position > start) {
+            eventBus.publish('replay:progress', { position: this.position, count: this.records.length });
+        }
+        
+        if (this.position >= this.records.length) {
+            this.unschedule();
+            eventBus.publish('replay:finished', { fileName: this.fileName, count: this.records.length });
+        }
+    },
+    
+    /**
+     * Create a live event from a recorded one
+     * @param {object} recorded - Recorded event
+     * @param {number} time - Game time it arrives at
+     * @returns {object} Event
+     */
+    createEvent: function(recorded, time) {
+        const event = {
+            ...recorded,
+            timestamp: new Date(time).toLocaleTimeString()
+        };
+        
+        ipIntelligence.enrich(event);
+        
+        return event;
+    }
+};
+
+export default logReplay;
@@ -0,0 +1,54 @@
+// mitreAttack.js - The MITRE ATT&CK tactics and techniques the game uses
+const mitreAttack = {
+    // Enterprise tactics in kill-chain order (the heatmap's columns)
+    tactics: [
+        { id: "TA0043", name: "Reconnaissance" },
+        { id: "TA0042", name: "Resource Development" },
+        { id: "TA0001", name: "Initial Access" },
+        { id: "TA0002", name: "Execution" },
+        { id: "TA0003", name: "Persistence" },
+        { id: "TA0004", name: "Privilege Escalation" },
+        { id: "TA0005", name: "Defense Evasion" },
+        { id: "TA0006", name: "Credential Access" },
+        { id: "TA0007", name: "Discovery" },
+        { id: "TA0008", name: "Lateral Movement" },
+        { id: "TA0009", name: "Collection" },
+        { id: "TA0011", name: "Command and Control" },
+        { id: "TA0010", name: "Exfiltration" },
+        { id: "TA0040", name: "Impact" }
+    ],
+    
+    // Techniques by ID, with every tactic they belong to
+    techniques: {
+        T1595: { name: "Active Scanning", tactics: ["TA0043"] },
+        T1592: { name: "Gather Victim Host Information", tactics: ["TA0043"] },
+        T1583: { name: "Acquire Infrastructure", tactics: ["TA0042"] },
+        T1190: { name: "Exploit Public-Facing Application", tactics: ["TA0001"] },
+        T1078: { name: "Valid Accounts", tactics: ["TA0001", "TA0003", "TA0004", "TA0005"] },
+        T1059: { name: "Command and Scripting Interpreter", tactics: ["TA0002"] },
+        T1204: { name: "User Execution", tactics: ["TA0002"] },
+        T1053: { name: "Scheduled Task/Job", tactics: ["TA0002", "TA0003", "TA0004"] },
+        T1505: { name: "Server Software Component", tactics: ["TA0003"] },
+        T1068: { name: "Exploitation for Privilege Escalation", tactics: ["TA0004"] },
+        T1027: { name: "Obfuscated Files or Information", tactics: ["TA0005"] },
+        T1110: { name: "Brute Force", tactics: ["TA0006"] },
+        T1552: { name: "Unsecured Credentials", tactics: ["TA0006"] },
+        T1046: { name: "Network Service Discovery", tactics: ["TA0007"] },
+        T1082: { name: "System Information Discovery", tactics: ["TA0007"] },
+        T1083: { name: "File and Directory Discovery", tactics: ["TA0007"] },
+        T1021: { name: "Remote Services", tactics: ["TA0008"] },
+        T1005: { name: "Data from Local System", tactics: ["TA0009"] },
+        T1213: { name: "Data from Information Repositories", tactics: ["TA0009"] },
+        T1071: { name: "Application Layer Protocol", tactics: ["TA0011"] },
+        T1132: { name: "Data Encoding", tactics: ["TA0011"] },
+        T1008: { name: "Fallback Channels", tactics: ["TA0011"] },
+        T1048: { name: "Exfiltration Over Alternative Protocol", tactics: ["TA0010"] },
+        T1486: { name: "Data Encrypted for Impact", tactics: ["TA0040"] },
+        T1489: { name: "Service Stop", tactics: ["TA0040"] },
+        T1491: { name: "Defacement", tactics: ["TA0040"] },
+        T1498: { name: "Network Denial of Service", tactics: ["TA0040"] },
+        T1499: { name: "Endpoint Denial of Service", tactics: ["TA0040"] }
+    }
+};
+
+export default mitreAttack;
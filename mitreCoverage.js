@@ -0,0 +1,98 @@
+// mitreCoverage.js - Maps rules and events onto the ATT&CK matrix
+import gameModel from './gameModel.js';
+import ruleEngine from './ruleEngine.js';
+import mitreAttack from './mitreAttack.js';
+
+/**
+ * MitreCoverage measures how well the rule set covers each ATT&CK technique.
+ * A technique is detected by every rule in force that names it; it was seen
+ * once for each malicious event of this session carrying it, and missed when
+ * one of those events escalated before anyone handled it.
+ */
+const mitreCoverage = {
+    // Heatmap shading by the number of rules detecting a technique
+    levels: [
+        { minRules: 3, level: 'high' },
+        { minRules: 2, level: 'medium' },
+        { minRules: 1, level: 'low' },
+        { minRules: 0, level: 'none' }
+    ],
+    
+    /**
+     * Get a technique's display name
+     * @param {string} techniqueId - Technique ID
+     * @returns {string} "ID: Name", or the ID alone if it isn't in the catalog
+     */
+    getTechniqueLabel: function(techniqueId) {
+        const technique = mitreAttack.techniques[techniqueId];
+        return technique ? `${techniqueId}: ${technique.name}` : techniqueId;
+    },
+    
+    /**
+     * Count the rules in force detecting each technique
+     * @param {number} now - Simulated time in milliseconds
+     * @returns {object} Rule count by technique ID
+     */
+    getRuleCounts: function(now = gameModel.now()) {
+        const counts = {};
+        
+        gameModel.state.rules
+            .filter(rule => rule.mitreTechnique && ruleEngine.isRuleActive(rule, now))
+            .forEach(rule => {
+                counts[rule.mitreTechnique] = (counts[rule.mitreTechnique] || 0) + 1;
+            });
+        
+        return counts;
+    },
+    
+    /**
+     * Count this session's sightings of each technique
+     * @returns {object} { seen, missed } by technique ID
+     */
+    getSightings: function() {
+        const sightings = {};
+        
+        gameModel.state.events
+            .filter(event => event.category === 'malicious' && event.mitreTechnique)
+            .forEach(event => {
+                const entry = sightings[event.mitreTechnique] || { seen: 0, missed: 0 };
+                entry.seen++;
+                if (event.escalated) entry.missed++;
+                sightings[event.mitreTechnique] = entry;
+            });
+        
+        return sightings;
+    },
+    
+    /**
+     * Build the coverage matrix; a technique under several tactics appears in each column
+     * @param {number} now - Simulated time in milliseconds
+     * @returns {array} Columns ({ tactic, techniques }) where each technique is
+     *                  ({ id, name, rules, seen, missed, level })
+     */
+    getMatrix: function(now = gameModel.now()) {
+        const ruleCounts = this.getRuleCounts(now);
+        const sightings = this.getSightings();
+        
+        return mitreAttack.tactics.map(tactic => ({
+            tactic: tactic,
+            techniques: Object.keys(mitreAttack.techniques)
+                .filter(id => mitreAttack.techniques[id].tactics.includes(tactic.id))
+                .map(id => {
+                    const rules = ruleCounts[id] || 0;
+                    const sighting = sightings[id] || { seen: 0, missed: 0 };
+                    
+                    return {
+                        id: id,
+                        name: mitreAttack.techniques[id].name,
+                        rules: rules,
+                        seen: sighting.seen,
+                        missed: sighting.missed,
+                        level: this.levels.find(entry => rules >= entry.minRules).level
+                    };
+                })
+        }));
+    }
+};
+
+export default mitreCoverage;
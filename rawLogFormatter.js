@@ -0,0 +1,355 @@
+// rawLogFormatter.js - Renders events as the raw log lines analysts see at work
+import { createSeededRandom } from './utils.js';
+
+/**
+ * RawLogFormatter renders each event in its source's native format: Windows
+ * Security XML for logons and process creation, Apache combined log for web
+ * traffic, a BIND query log line for DNS, CEF for network devices, and RFC 5424
+ * syslog for everything else. The line is kept on the event as `rawLog`,
+ * with `rawLogFields` recording where each event field sits in it so the
+ * detail view can highlight them.
+ *
+ * Details a log needs but the event doesn't carry (ports, PIDs, byte counts)
+ * come from a random source seeded with the event's ID, so they are stable
+ * per event and never draw from the event stream.
+ */
+const rawLogFormatter = {
+    // Display names of the formats
+    formatNames: {
+        windows: 'Windows Security event (XML)',
+        apache: 'Apache combined log',
+        bind: 'BIND query log',
+        cef: 'CEF',
+        syslog: 'RFC 5424 syslog',
+        recorded: 'as recorded'
+    },
+    
+    // Format by event type, then by event domain; anything else is syslog
+    typeFormats: {
+        login_fail: 'windows',
+        routine_login: 'windows',
+        process_spawn: 'windows',
+        http_error: 'apache',
+        sql_injection: 'apache',
+        dns_query: 'bind'
+    },
+    domainFormats: {
+        web: 'apache',
+        network: 'cef'
+    },
+    
+    // Windows Security event IDs by event type
+    windowsEvents: {
+        login_fail: 4625,
+        routine_login: 4624,
+        process_spawn: 4688
+    },
+    
+    // Syslog facility, app name and message ID by event type (facility 1 = user)
+    syslogSources: {
+        unauthorized_access: { facility: 10, app: 'auditd', msgId: 'ACCESS' },
+        service_failure: { facility: 3, app: 'systemd', msgId: 'SERVICE' },
+        maintenance_restart: { facility: 3, app: 'systemd', msgId: 'RESTART' },
+        scheduled_backup: { facility: 3, app: 'backupd', msgId: 'BACKUP' },
+        system_update: { facility: 3, app: 'unattended-upgrades', msgId: 'UPDATE' }
+    },
+    
+    // Event fields carried as syslog structured data, with their parameter names
+    syslogParams: {
+        user: 'user',
+        ip: 'src',
+        resource: 'resource',
+        action: 'action',
+        service: 'service',
+        status: 'status'
+    },
+    
+    // Structured data ID (32473 is the example enterprise number of RFC 5612)
+    syslogSdId: 'event@32473',
+    
+    // Resolver named in BIND query logs
+    dnsServer: '192.168.20.53',
+    
+    // Windows domain of the organization's accounts
+    windowsDomain: 'CORP',
+    
+    // Web clients by event type, and for everything else
+    userAgents: {
+        sql_injection: 'sqlmap/1.7.2#stable (https://sqlmap.org)',
+        dev_testing: 'curl/8.4.0'
+    },
+    defaultUserAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36',
+    
+    months: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'],
+    
+    /**
+     * Render an event's raw log line onto it
+     * @param {object} event - Event to modify (needs _id and receivedAt)
+     */
+    attach: function(event) {
+        const format = this.getFormat(event);
+        const random = createSeededRandom(String(event._id));
+        const line = this.buildLine(this.renderers[format].call(this, event, event.receivedAt, random));
+        
+        event.rawLogFormat = format;
+        event.rawLog = line.text;
+        event.rawLogFields = line.fields;
+    },
+    
+    /**
+     * Get the format an event is logged in
+     * @param {object} event - Event
+     * @returns {string} Format key
+     */
+    getFormat: function(event) {
+        return this.typeFormats[event.type] || this.domainFormats[event.domain] || 'syslog';
+    },
+    
+    /**
+     * Join a renderer's parts into a line, noting where each field landed
+     * @param {array} parts - Literal strings, and [field, text] pairs for event fields
+     * @returns {object} { text, fields } where fields are ({ field, start, end })
+     */
+    buildLine: function(parts) {
+        let text = '';
+        const fields = [];
+        
+        parts.forEach(part => {
+            if (Array.isArray(part)) {
+                const value = String(part[1]);
+                fields.push({ field: part[0], start: text.length, end: text.length + value.length });
+                text += value;
+            } else {
+                text += part;
+            }
+        });
+        
+        return { text, fields };
+    },
+    
+    /**
+     * Split an event's raw line into plain and field segments for highlighting
+     * @param {object} event - Event with rawLog and rawLogFields
+     * @returns {array} Segments ({ text, field }), field null for plain text
+     */
+    getSegments: function(event) {
+        const segments = [];
+        let position = 0;
+        
+        (event.rawLogFields || []).forEach(entry => {
+            if (entry.start > position) {
+                segments.push({ text: event.rawLog.slice(position, entry.start), field: null });
+            }
+            segments.push({ text: event.rawLog.slice(entry.start, entry.end), field: entry.field });
+            position = entry.end;
+        });
+        
+        if (position < event.rawLog.length) {
+            segments.push({ text: event.rawLog.slice(position), field: null });
+        }
+        
+        return segments;
+    },
+    
+    /**
+     * Escape text for XML
+     * @param {*} value - Value
+     * @returns {string} Escaped text
+     */
+    escapeXml: function(value) {
+        return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    },
+    
+    /**
+     * Escape a CEF header value (extension values also escape "=")
+     * @param {*} value - Value
+     * @param {boolean} extension - Whether it's an extension value
+     * @returns {string} Escaped text
+     */
+    escapeCef: function(value, extension = false) {
+        const escaped = String(value).replace(/\\/g, '\\\\');
+        return extension ? escaped.replace(/=/g, '\\=') : escaped.replace(/\|/g, '\\|');
+    },
+    
+    /**
+     * Escape a syslog structured data parameter value
+     * @param {*} value - Value
+     * @returns {string} Escaped text
+     */
+    escapeSd: function(value) {
+        return String(value).replace(/[\\"\]]/g, '\\$&');
+    },
+    
+    /**
+     * Pick a random integer
+     * @param {function} random - Random source
+     * @param {number} min - Smallest value
+     * @param {number} max - Largest value
+     * @returns {number} Integer from min to max
+     */
+    randomInt: function(random, min, max) {
+        return min + Math.floor(random() * (max - min + 1));
+    },
+    
+    // Renderers by format: each returns the parts of the line
+    renderers: {
+        /**
+         * Windows Security event: 4625 failed logon, 4624 logon or 4688 process creation
+         * @param {object} event - Event
+         * @param {number} time - Log time in milliseconds
+         * @param {function} random - Random source
+         * @returns {array} Line parts
+         */
+        windows: function(event, time, random) {
+            const eventId = this.windowsEvents[event.type];
+            const mark = (field, value) => event[field] ? [field, this.escapeXml(value)] : this.escapeXml(value);
+            const data = (name, field, value) => [`<Data Name="${name}">`, mark(field, value), '</Data>'];
+            
+            const parts = [
+                '<Event xmlns="http://schemas.microsoft.com/win/2004/08/events/event"><System>',
+                '<Provider Name="Microsoft-Windows-Security-Auditing"/>',
+                `<EventID>${eventId}</EventID>`,
+                `<TimeCreated SystemTime="${new Date(time).toISOString()}"/>`,
+                '<Computer>', mark('host', event.host || '-'), '</Computer></System><EventData>'
+            ];
+            
+            if (eventId === 4688) {
+                parts.push(
+                    ...data('SubjectUserName', 'user', event.user || 'SYSTEM'),
+                    ...data('SubjectDomainName', null, this.windowsDomain),
+                    `<Data Name="NewProcessId">0x${this.randomInt(random, 0x400, 0xffff).toString(16)}</Data>`,
+                    '<Data Name="NewProcessName">C:\\Users\\', mark('user', event.user || 'Public'),
+                    '\\AppData\\Local\\Temp\\', mark('process', event.process || 'unknown.exe'), '</Data>',
+                    ...data('ParentProcessName', null, 'C:\\Windows\\explorer.exe')
+                );
+            } else {
+                parts.push(
+                    ...data('TargetUserName', 'user', event.user || '-'),
+                    ...data('TargetDomainName', null, this.windowsDomain),
+                    // Failures come in over the network; routine logons are at the keyboard
+                    `<Data Name="LogonType">${eventId === 4625 ? 3 : 2}</Data>`
+                );
+                if (eventId === 4625) {
+                    parts.push('<Data Name="Status">0xc000006d</Data><Data Name="SubStatus">0xc000006a</Data>');
+                }
+                parts.push(
+                    ...data('IpAddress', 'ip', event.ip || '-'),
+                    `<Data Name="IpPort">${this.randomInt(random, 49152, 65535)}</Data>`
+                );
+            }
+            
+            parts.push('</EventData></Event>');
+            
+            return parts;
+        },
+        
+        /**
+         * Apache combined log: host ident user [time] "request" status bytes "referer" "agent"
+         * @param {object} event - Event
+         * @param {number} time - Log time in milliseconds
+         * @param {function} random - Random source
+         * @returns {array} Line parts
+         */
+        apache: function(event, time, random) {
+            const date = new Date(time);
+            const pad = value => String(value).padStart(2, '0');
+            const stamp = `${pad(date.getUTCDate())}/${this.months[date.getUTCMonth()]}/${date.getUTCFullYear()}:` +
+                `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())} +0000`;
+            
+            // SQL injection probes carry their payload in the query string
+            const url = event.url || '/';
+            const query = event.type === 'sql_injection' ? "?id=1%27%20OR%20%271%27%3D%271" : '';
+            const status = event.code || (event.type === 'sql_injection' ? 500 : 200);
+            
+            return [
+                ['ip', event.ip || '-'], ' - ', event.user ? ['user', event.user] : '-',
+                ` [${stamp}] "GET `, event.url ? ['url', url] : url, `${query} HTTP/1.1" `,
+                event.code ? ['code', status] : String(status),
+                ` ${this.randomInt(random, 200, 20000)} "-" "${this.userAgents[event.type] || this.defaultUserAgent}"`
+            ];
+        },
+        
+        /**
+         * BIND query log: time, client address#port (name), query name, class, type and server
+         * @param {object} event - Event
+         * @param {number} time - Log time in milliseconds
+         * @param {function} random - Random source
+         * @returns {array} Line parts
+         */
+        bind: function(event, time, random) {
+            const date = new Date(time);
+            const pad = (value, length = 2) => String(value).padStart(length, '0');
+            const stamp = `${pad(date.getUTCDate())}-${this.months[date.getUTCMonth()]}-${date.getUTCFullYear()} ` +
+                `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.` +
+                pad(date.getUTCMilliseconds(), 3);
+            const client = `0x7f${this.randomInt(random, 0x100000, 0xffffff).toString(16)}`;
+            const recordType = random() < 0.3 ? 'TXT' : 'A';
+            
+            return [
+                `${stamp} queries: info: client @${client} `, ['ip', event.ip || '-'],
+                `#${this.randomInt(random, 1024, 65535)} (`, ['domain', event.domain], '): query: ',
+                ['domain', event.domain], ` IN ${recordType} + (${this.dnsServer})`
+            ];
+        },
+        
+        /**
+         * CEF: header fields, then key=value extensions
+         * @param {object} event - Event
+         * @param {number} time - Log time in milliseconds
+         * @param {function} random - Random source
+         * @returns {array} Line parts
+         */
+        cef: function(event, time, random) {
+            // The event's host is the target of outside traffic and the source of inside traffic
+            const hostKey = event.network === 'external' ? 'dhost' : 'shost';
+            const parts = [
+                'CEF:0|Defenders Dashboard|Perimeter Firewall|1.0|', this.escapeCef(event.type), '|',
+                this.escapeCef(event.description), `|${Math.min(10, event.severity)}|rt=${time} src=`,
+                ['ip', this.escapeCef(event.ip || '-', true)],
+                ` spt=${this.randomInt(random, 1024, 65535)} ${hostKey}=`,
+                ['host', this.escapeCef(event.host || '-', true)],
+                ` dpt=${[22, 80, 443, 3389][Math.floor(random() * 4)]} proto=TCP`
+            ];
+            
+            if (event.volume !== undefined) {
+                parts.push(' cnt=', ['volume', event.volume]);
+            }
+            
+            return parts;
+        },
+        
+        /**
+         * RFC 5424 syslog: <PRI>1 time host app procid msgid [structured data] message
+         * @param {object} event - Event
+         * @param {number} time - Log time in milliseconds
+         * @param {function} random - Random source
+         * @returns {array} Line parts
+         */
+        syslog: function(event, time, random) {
+            const source = this.syslogSources[event.type] || { facility: 1, app: event.domain || '-', msgId: '-' };
+            
+            // Event severity 1-10 onto syslog severity: critical, error, warning, notice, info
+            const severity = event.severity >= 8 ? 2 : event.severity >= 6 ? 3 :
+                event.severity >= 4 ? 4 : event.severity >= 2 ? 5 : 6;
+            
+            const parts = [
+                `<${source.facility * 8 + severity}>1 ${new Date(time).toISOString()} `,
+                ['host', event.host || '-'],
+                ` ${source.app} ${this.randomInt(random, 300, 32000)} ${source.msgId} [${this.syslogSdId}`
+            ];
+            
+            Object.entries(this.syslogParams).forEach(([field, name]) => {
+                if (event[field] !== undefined && event[field] !== null) {
+                    parts.push(` ${name}="`, [field, this.escapeSd(event[field])], '"');
+                }
+            });
+            
+            parts.push(`] ${event.description}`);
+            
+            return parts;
+        }
+    }
+};
+
+export default rawLogFormatter;
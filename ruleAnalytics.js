@@ -0,0 +1,221 @@
+// ruleAnalytics.js - Tracks how effective each rule is
+import eventBus from './eventBus.js';
+import gameModel from './gameModel.js';
+import { throttle } from './utils.js';
+
+/**
+ * RuleAnalytics keeps per-rule counters on `rule.stats`, so they are saved
+ * with the rules. Hits are classified by the event `category`; time saved
+ * compares a rule's automated response with the analyst's average manual
+ * response time.
+ */
+const ruleAnalytics = {
+    // Sparkline bucket length in milliseconds
+    bucketMs: 60000,
+    
+    // Buckets kept per rule
+    historyLength: 20,
+    
+    // Manual response time assumed until the analyst has handled a threat
+    // (the cap gameModel.markEventAsHandled scores against)
+    defaultManualResponseSeconds: 30,
+    
+    // Rules whose stats changed since they were last saved and shown, and the
+    // real milliseconds between saves, so fast games don't save on every firing
+    changedRules: new Set(),
+    flushMs: 1000,
+    
+    /**
+     * Initialize rule analytics
+     */
+    init: function() {
+        this.scheduleFlush = throttle(this.flushChanges.bind(this), this.flushMs);
+        
+        eventBus.subscribe('rules:triggered', this.recordTriggers.bind(this));
+        eventBus.subscribe('event:handled', this.recordHandled.bind(this));
+    },
+    
+    /**
+     * Get a rule's stats, creating them if needed
+     * @param {object} rule - Rule
+     * @returns {object} Stats
+     */
+    getStats: function(rule) {
+        if (!rule.stats) {
+            rule.stats = {
+                fired: 0,
+                malicious: 0,
+                noise: 0,
+                falsePositive: 0,
+                timeSavedSeconds: 0,
+                responses: 0,
+                history: []
+            };
+        }
+        
+        return rule.stats;
+    },
+    
+    /**
+     * Count a firing of every triggered rule
+     * @param {object} data - Triggered rules from the event bus
+     */
+    recordTriggers: function(data) {
+        const correlatedEvents = new Map(data.correlations.map(correlation =>
+            [correlation.rule, correlation.events]
+        ));
+        
+        data.rules.forEach(rule => {
+            const events = correlatedEvents.get(rule) || [data.event];
+            this.recordFire(rule, this.getCategory(events));
+            this.markChanged(rule);
+        });
+    },
+    
+    /**
+     * Queue a rule whose saved counters changed for the next throttled save
+     * @param {object} rule - Rule
+     */
+    markChanged: function(rule) {
+        this.changedRules.add(rule);
+        this.scheduleFlush();
+    },
+    
+    /**
+     * Save the changed stats and tell the library which rules they belong to
+     */
+    flushChanges: function() {
+        if (this.changedRules.size === 0) {
+            return;
+        }
+        
+        const ruleIds = [...this.changedRules].map(rule => rule.id);
+        this.changedRules.clear();
+        
+        gameModel.saveGameState();
+        
+        // Rules deleted since they fired are gone from the library
+        gameModel.state.rules.filter(rule => ruleIds.includes(rule.id)).forEach(rule => {
+            eventBus.publish('rule:updated', { rule, change: 'stats' });
+        });
+    },
+    
+    /**
+     * Classify a firing by the events behind it
+     * @param {array} events - Triggering event, or every event of a correlation
+     * @returns {string} Category: malicious, noise or false_positive
+     */
+    getCategory: function(events) {
+        // A correlation is a true hit if any of its events is malicious
+        if (events.some(event => event.category === 'malicious')) {
+            return 'malicious';
+        }
+        
+        return events[events.length - 1].category;
+    },
+    
+    /**
+     * Record one firing of a rule
+     * @param {object} rule - Rule that fired
+     * @param {string} category - Category of the hit
+     */
+    recordFire: function(rule, category) {
+        const stats = this.getStats(rule);
+        
+        stats.fired++;
+        if (category === 'malicious') stats.malicious++;
+        if (category === 'noise') stats.noise++;
+        if (category === 'false_positive') stats.falsePositive++;
+        
+        // Add to the current history bucket
+        const start = Math.floor(gameModel.now() / this.bucketMs) * this.bucketMs;
+        let bucket = stats.history[stats.history.length - 1];
+        
+        if (!bucket || bucket.start !== start) {
+            bucket = { start, fired: 0, malicious: 0 };
+            stats.history.push(bucket);
+            stats.history = stats.history.slice(-this.historyLength);
+        }
+        
+        bucket.fired++;
+        if (category === 'malicious') bucket.malicious++;
+    },
+    
+    /**
+     * Record how long a threat took to handle
+     * @param {object} data - Handled event, responding rule and response time from the event bus
+     */
+    recordHandled: function(data) {
+        if (data.responseTime === undefined) {
+            return;
+        }
+        
+        if (!data.rule) {
+            // Analyst handled it: update the manual baseline
+            const manual = gameModel.state.manualResponseStats;
+            manual.totalSeconds += data.responseTime;
+            manual.count++;
+            gameModel.saveGameState();
+            return;
+        }
+        
+        const stats = this.getStats(data.rule);
+        stats.timeSavedSeconds += Math.max(0, this.getManualResponseSeconds() - data.responseTime);
+        stats.responses++;
+        
+        this.markChanged(data.rule);
+    },
+    
+    /**
+     * Get the analyst's average manual response time
+     * @returns {number} Seconds
+     */
+    getManualResponseSeconds: function() {
+        const manual = gameModel.state.manualResponseStats;
+        
+        return manual && manual.count > 0 ?
+            manual.totalSeconds / manual.count : this.defaultManualResponseSeconds;
+    },
+    
+    /**
+     * Summarize a rule's effectiveness
+     * @param {object} rule - Rule
+     * @returns {object} { fired, malicious, noise, falsePositive, precision, averageTimeSaved }
+     */
+    getSummary: function(rule) {
+        const stats = this.getStats(rule);
+        
+        return {
+            fired: stats.fired,
+            malicious: stats.malicious,
+            noise: stats.noise,
+            falsePositive: stats.falsePositive,
+            precision: stats.fired > 0 ? stats.malicious / stats.fired : null,
+            averageTimeSaved: stats.responses > 0 ? stats.timeSavedSeconds / stats.responses : null
+        };
+    },
+    
+    /**
+     * Get the sparkline series for a rule, one value per bucket up to now
+     * @param {object} rule - Rule
+     * @returns {object} { fired, malicious } arrays of historyLength counts
+     */
+    getSeries: function(rule) {
+        const stats = this.getStats(rule);
+        const currentStart = Math.floor(gameModel.now() / this.bucketMs) * this.bucketMs;
+        const fired = [];
+        const malicious = [];
+        
+        // Empty buckets count as zero
+        for (let i = this.historyLength - 1; i >= 0; i--) {
+            const start = currentStart - i * this.bucketMs;
+            const bucket = stats.history.find(entry => entry.start === start);
+            fired.push(bucket ? bucket.fired : 0);
+            malicious.push(bucket ? bucket.malicious : 0);
+        }
+        
+        return { fired, malicious };
+    }
+};
+
+export default ruleAnalytics;
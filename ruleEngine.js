@@ -1,8 +1,138 @@
 // ruleEngine.js - Handles rule creation and event evaluation
 import eventBus from './eventBus.js';
 import gameModel from './gameModel.js';
+import possibleEvents from './threats.js';
+import mitreAttack from './mitreAttack.js';
+import ruleQuery from './ruleQuery.js';
+import { generateId, deepClone, parseRegexLiteral, compileSafeRegex, testSafeRegex, parseCidr, ipInCidr } from './utils.js';
 
 const ruleEngine = {
+    // Ways to combine the clauses of a rule
+    combinators: ['AND', 'OR'],
+    
+    // Event fields a clause can test
+    conditionFields: [
+        'ip', 'user', 'process', 'domain', 'url', 'code', 
+        'resource', 'service', 'count', 'volume', 'severity',
+        'network', 'country', 'asn', 'reputation'
+    ],
+    
+    // Event fields correlation rules can group by
+    correlationGroupFields: ['ip', 'user', 'service'],
+    
+    // Correlation modes: N matching events, or an ordered chain of event types
+    correlationModes: ['count', 'sequence'],
+    
+    // How the keyword of a process, domain, resource or service rule is matched:
+    // the type's default (exact name or substring) or as a regular expression
+    keywordMatchModes: ['keyword', 'regex'],
+    
+    // Condition types whose primary condition is a keyword
+    keywordConditionTypes: ['process_spawn', 'dns_query', 'unauthorized_access', 'service_failure'],
+    
+    // Response actions a rule can take (the data-action values of the action console)
+    responseActions: [
+        'block_ip', 'rate_limit', 'blacklist_domain', 'reboot_server', 'terminate_process',
+        'restore_backup', 'reset_password', 'revoke_access', 'patch_vulnerability'
+    ],
+    
+    // Triage outcomes a rule can apply to the events it matches
+    outcomes: ['auto_close', 'tag', 'downgrade_severity'],
+    
+    // Properties tracked across a rule's lifetime rather than set by the editor;
+    // they survive edits and are reset on duplicates
+    lifecycleProperties: ['id', 'enabled', 'responseStats', 'stats'],
+    
+    // Properties the rule editor doesn't set; they survive edits. markHandled
+    // is set on rules saved before responses, which handled what they fired on.
+    metadataProperties: ['title', 'source', 'sigmaId', 'briefId', 'markHandled'],
+    
+    // Schedule start and end times (HH:MM on the simulated clock)
+    timeOfDayPattern: /^([01]\d|2[0-3]):[0-5]\d$/,
+    
+    // Events already used by a firing of each correlation rule
+    consumedEvents: new WeakMap(),
+    
+    // Parsed query ASTs by rule
+    queryCache: new WeakMap(),
+    
+    // Compiled clause regexes by value (null for patterns that were refused)
+    regexCache: new Map(),
+    
+    // Clause operators by key
+    operators: {
+        equals: {
+            label: '==',
+            test: (fieldValue, value) => String(fieldValue) === String(value)
+        },
+        not_equals: {
+            label: '!=',
+            test: (fieldValue, value) => String(fieldValue) !== String(value)
+        },
+        contains: {
+            label: 'contains',
+            test: (fieldValue, value) => String(fieldValue).includes(String(value))
+        },
+        gt: {
+            label: '>',
+            numeric: true,
+            test: (fieldValue, value) => parseFloat(fieldValue) > parseFloat(value)
+        },
+        gte: {
+            label: '>=',
+            numeric: true,
+            test: (fieldValue, value) => parseFloat(fieldValue) >= parseFloat(value)
+        },
+        lt: {
+            label: '<',
+            numeric: true,
+            test: (fieldValue, value) => parseFloat(fieldValue) < parseFloat(value)
+        },
+        lte: {
+            label: '<=',
+            numeric: true,
+            test: (fieldValue, value) => parseFloat(fieldValue) <= parseFloat(value)
+        },
+        between: {
+            label: 'between',
+            placeholder: '400..499',
+            test: (fieldValue, value) => {
+                const range = ruleEngine.parseRange(value);
+                const number = parseFloat(fieldValue);
+                return range !== null && number >= range.min && number <= range.max;
+            },
+            check: value => ruleEngine.parseRange(value) === null ? 'needs a range written as min..max' : null
+        },
+        matches: {
+            label: 'matches',
+            placeholder: '/pattern/i',
+            test: (fieldValue, value) => ruleEngine.testPattern(fieldValue, value),
+            check: value => {
+                const { pattern, flags } = parseRegexLiteral(value);
+                if (/[gy]/.test(flags)) {
+                    return 'does not support the g and y regex flags';
+                }
+                const error = compileSafeRegex(pattern, flags).error;
+                return error ? `has an unusable pattern: ${error}` : null;
+            }
+        },
+        in_cidr: {
+            label: 'in CIDR',
+            placeholder: '192.168.10.0/24, 10.0.0.0/8',
+            test: (fieldValue, value) => ruleEngine.splitList(value).some(range => ipInCidr(fieldValue, range)),
+            check: value => {
+                const invalid = ruleEngine.splitList(value).find(range => parseCidr(range) === null);
+                return invalid !== undefined ? `has "${invalid}", which is not an IPv4 CIDR range` : null;
+            }
+        },
+        in_list: {
+            label: 'in list',
+            placeholder: 'admin, root, system',
+            test: (fieldValue, value) => ruleEngine.splitList(value).includes(String(fieldValue)),
+            check: value => ruleEngine.splitList(value).length === 0 ? 'needs at least one list value' : null
+        }
+    },
+    
     /**
      * Initialize the rule engine
      */
@@ -19,16 +149,15 @@ const ruleEngine = {
      */
     handleNewEvent: function(data) {
         const event = data.event;
-        const triggeredRules = this.checkEventAgainstRules(event);
+        const { triggeredRules, correlations } = this.checkEventAgainstRules(event);
         
         if (triggeredRules.length > 0) {
-            // Mark event as handled by a rule
-            gameModel.markEventAsHandled(event);
-            
-            // Publish rule triggered event
+            // The game controller runs each rule's response against the event,
+            // in priority order
             eventBus.publish('rules:triggered', {
                 event: event,
-                rules: triggeredRules
+                rules: triggeredRules,
+                correlations: correlations
             });
         }
     },
@@ -36,8 +165,9 @@ const ruleEngine = {
     /**
      * Add a new rule to the system
      * @param {object} rule - Rule definition
+     * @param {string} note - Author note for the rule's first version
      */
-    addRule: function(rule) {
+    addRule: function(rule, note = '') {
         // Validate rule
         if (!this.validateRule(rule)) {
             eventBus.publish('notification:error', {
@@ -46,26 +176,483 @@ const ruleEngine = {
             return false;
         }
         
+        // Give the rule a stable identity
+        rule.id = rule.id || generateId();
+        rule.enabled = rule.enabled !== false;
+        
+        if (rule.mitreTechnique === undefined) {
+            rule.mitreTechnique = this.getDefaultTechnique(rule);
+        }
+        
+        // An empty response marks the rule alert-only rather than pre-response
+        rule.response = rule.response === undefined ? [] : rule.response;
+        
         // Add to model's rules
         gameModel.state.rules.push(rule);
         gameModel.saveGameState();
         
         // Publish rule added event
-        eventBus.publish('rule:added', { rule });
+        eventBus.publish('rule:added', { rule, note });
+        
+        return true;
+    },
+    
+    /**
+     * Find a rule by ID
+     * @param {string} ruleId - Rule ID
+     * @returns {object|undefined} Rule
+     */
+    getRule: function(ruleId) {
+        return gameModel.state.rules.find(rule => rule.id === ruleId);
+    },
+    
+    /**
+     * Replace a rule's definition, keeping its ID, enabled flag, stats and title
+     * @param {string} ruleId - Rule ID
+     * @param {object} definition - New rule definition from the editor
+     * @param {string} note - Author note for the new version
+     * @returns {boolean} True if updated
+     */
+    updateRule: function(ruleId, definition, note = '') {
+        const index = gameModel.state.rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            eventBus.publish('notification:error', {
+                message: 'The rule being edited no longer exists.'
+            });
+            return false;
+        }
+        
+        if (!this.validateRule(definition)) {
+            eventBus.publish('notification:error', {
+                message: 'Invalid rule configuration. Please check all fields.'
+            });
+            return false;
+        }
+        
+        const existing = gameModel.state.rules[index];
+        const rule = Object.assign({}, definition);
+        this.lifecycleProperties.concat(this.metadataProperties).forEach(property => {
+            if (existing[property] !== undefined && rule[property] === undefined) {
+                rule[property] = existing[property];
+            }
+        });
+        
+        if (rule.mitreTechnique === undefined) {
+            rule.mitreTechnique = this.getDefaultTechnique(rule);
+        }
+        
+        rule.response = rule.response === undefined ? [] : rule.response;
+        
+        // A new object so cached queries and correlation state start fresh
+        gameModel.state.rules[index] = rule;
+        gameModel.saveGameState();
+        
+        eventBus.publish('rule:updated', { rule, change: 'edited', note });
         
         return true;
     },
     
+    /**
+     * Enable or disable a rule
+     * @param {string} ruleId - Rule ID
+     * @param {boolean} enabled - New state
+     * @returns {boolean} True if the rule exists
+     */
+    setRuleEnabled: function(ruleId, enabled) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            return false;
+        }
+        
+        rule.enabled = Boolean(enabled);
+        gameModel.saveGameState();
+        
+        eventBus.publish('rule:updated', { rule, change: 'enabled' });
+        
+        return true;
+    },
+    
+    /**
+     * Delete a rule
+     * @param {string} ruleId - Rule ID
+     * @returns {boolean} True if deleted
+     */
+    deleteRule: function(ruleId) {
+        const index = gameModel.state.rules.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            return false;
+        }
+        
+        const [rule] = gameModel.state.rules.splice(index, 1);
+        gameModel.saveGameState();
+        
+        eventBus.publish('rule:deleted', { rule });
+        
+        return true;
+    },
+    
+    /**
+     * Move a rule to a new priority; rules are evaluated in library order
+     * @param {string} ruleId - Rule ID
+     * @param {number} toIndex - New position (0 is the highest priority)
+     * @returns {boolean} True if moved
+     */
+    moveRule: function(ruleId, toIndex) {
+        const rules = gameModel.state.rules;
+        const index = rules.findIndex(rule => rule.id === ruleId);
+        const target = Math.max(0, Math.min(rules.length - 1, parseInt(toIndex)));
+        if (index === -1 || isNaN(target) || index === target) {
+            return false;
+        }
+        
+        const [rule] = rules.splice(index, 1);
+        rules.splice(target, 0, rule);
+        gameModel.saveGameState();
+        
+        eventBus.publish('rules:reordered', { rules });
+        
+        return true;
+    },
+    
+    /**
+     * Add a copy of a rule with a new ID and fresh stats
+     * @param {string} ruleId - Rule ID
+     * @returns {boolean} True if duplicated
+     */
+    duplicateRule: function(ruleId) {
+        const rule = this.getRule(ruleId);
+        if (!rule) {
+            return false;
+        }
+        
+        const copy = deepClone(rule);
+        this.lifecycleProperties.forEach(property => {
+            delete copy[property];
+        });
+        
+        if (copy.title) {
+            copy.title = `${copy.title} (copy)`;
+        }
+        
+        return this.addRule(copy, 'Duplicated from another rule');
+    },
+    
     /**
      * Validate a rule is properly configured
      * @param {object} rule - Rule to validate
      * @returns {boolean} True if valid
      */
     validateRule: function(rule) {
+        if (rule && rule.response !== undefined && !this.validateResponse(rule.response)) {
+            return false;
+        }
+        
+        if (rule && !this.validateOutcome(rule)) {
+            return false;
+        }
+        
+        if (rule && rule.stopProcessing !== undefined && typeof rule.stopProcessing !== 'boolean') {
+            return false;
+        }
+        
+        if (rule && !this.validateTiming(rule)) {
+            return false;
+        }
+        
+        if (rule && !this.validateTechnique(rule)) {
+            return false;
+        }
+        
+        if (rule && rule.ruleType === 'correlation') {
+            return this.validateCorrelationRule(rule);
+        }
+        
+        if (rule && rule.ruleType === 'query') {
+            return this.getQueryAst(rule) !== null;
+        }
+        
         if (!rule || !rule.conditionType) {
             return false;
         }
         
+        if (rule.combinator && !this.combinators.includes(rule.combinator)) {
+            return false;
+        }
+        
+        if (rule.keywordMatch !== undefined && !this.keywordMatchModes.includes(rule.keywordMatch)) {
+            return false;
+        }
+        
+        if (!this.validatePrimaryCondition(rule)) {
+            return false;
+        }
+        
+        const primaryClause = this.getPrimaryClause(rule);
+        if (primaryClause && !this.validateCondition(primaryClause)) {
+            return false;
+        }
+        
+        // Every additional clause must be valid as well
+        const conditions = rule.conditions || [];
+        return Array.isArray(conditions) && 
+               conditions.every(condition => this.validateCondition(condition));
+    },
+    
+    /**
+     * Validate a rule's response: one action or an ordered list of them (an
+     * empty list for alert-only rules)
+     * @param {string|array} response - Response to validate
+     * @returns {boolean} True if valid
+     */
+    validateResponse: function(response) {
+        const actions = Array.isArray(response) ? response : [response];
+        return actions.every(action => this.responseActions.includes(action));
+    },
+    
+    /**
+     * Validate a rule's triage outcome; a tag outcome needs its tag
+     * @param {object} rule - Rule to validate
+     * @returns {boolean} True if the rule has no outcome or a valid one
+     */
+    validateOutcome: function(rule) {
+        if (rule.outcome === undefined) {
+            return true;
+        }
+        
+        if (!this.outcomes.includes(rule.outcome)) {
+            return false;
+        }
+        
+        return rule.outcome !== 'tag' || (typeof rule.tag === 'string' && rule.tag.trim().length > 0);
+    },
+    
+    /**
+     * Validate a rule's expiry and active schedule
+     * @param {object} rule - Rule to validate
+     * @returns {boolean} True if both are absent or valid
+     */
+    validateTiming: function(rule) {
+        if (rule.expiresAt !== undefined && !Number.isFinite(rule.expiresAt)) {
+            return false;
+        }
+        
+        if (rule.schedule === undefined) {
+            return true;
+        }
+        
+        const schedule = rule.schedule;
+        return Boolean(schedule) &&
+               this.timeOfDayPattern.test(schedule.start) &&
+               this.timeOfDayPattern.test(schedule.end) &&
+               schedule.start !== schedule.end;
+    },
+    
+    /**
+     * Validate a rule's ATT&CK technique
+     * @param {object} rule - Rule to validate
+     * @returns {boolean} True if the rule has no technique or a known one
+     */
+    validateTechnique: function(rule) {
+        const technique = rule.mitreTechnique;
+        return technique === undefined || technique === null || 
+               mitreAttack.techniques.hasOwnProperty(technique);
+    },
+    
+    /**
+     * Get the ATT&CK technique a rule detects by default: that of the first
+     * event type it matches that has one
+     * @param {object} rule - Rule
+     * @returns {string|null} Technique ID, or null if none of its types has one
+     */
+    getDefaultTechnique: function(rule) {
+        const eventTypes = this.getRuleEventTypes(rule) || [];
+        const template = eventTypes
+            .map(type => possibleEvents.find(event => event.type === type))
+            .find(event => event && event.mitreTechnique);
+        
+        return template ? template.mitreTechnique : null;
+    },
+    
+    /**
+     * Check whether a rule is in force: enabled, not expired and inside its schedule
+     * @param {object} rule - Rule
+     * @param {number} now - Simulated time in milliseconds
+     * @returns {boolean} True if the rule should be evaluated
+     */
+    isRuleActive: function(rule, now = gameModel.now()) {
+        if (rule.enabled === false) {
+            return false;
+        }
+        
+        if (rule.expiresAt !== undefined && rule.expiresAt <= now) {
+            return false;
+        }
+        
+        return !rule.schedule || this.isInSchedule(rule.schedule, now);
+    },
+    
+    /**
+     * Check a time against a daily schedule
+     * @param {object} schedule - { start, end } as HH:MM; a window that ends before it starts runs overnight
+     * @param {number} now - Simulated time in milliseconds
+     * @returns {boolean} True inside the window
+     */
+    isInSchedule: function(schedule, now) {
+        const date = new Date(now);
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        const start = this.parseTimeOfDay(schedule.start);
+        const end = this.parseTimeOfDay(schedule.end);
+        
+        return start < end ?
+            minutes >= start && minutes < end :
+            minutes >= start || minutes < end;
+    },
+    
+    /**
+     * Convert HH:MM to minutes after midnight
+     * @param {string} value - Time of day
+     * @returns {number} Minutes
+     */
+    parseTimeOfDay: function(value) {
+        const [hours, minutes] = value.split(':').map(Number);
+        return hours * 60 + minutes;
+    },
+    
+    /**
+     * Move expired rules from the library to the archive
+     * @param {number} now - Simulated time in milliseconds
+     * @returns {array} Rules archived
+     */
+    archiveExpiredRules: function(now = gameModel.now()) {
+        const rules = gameModel.state.rules;
+        const expired = rules.filter(rule => rule.expiresAt !== undefined && rule.expiresAt <= now);
+        if (expired.length === 0) {
+            return expired;
+        }
+        
+        expired.forEach(rule => {
+            rules.splice(rules.indexOf(rule), 1);
+            rule.archivedAt = now;
+            gameModel.state.archivedRules.push(rule);
+        });
+        gameModel.saveGameState();
+        
+        expired.forEach(rule => {
+            eventBus.publish('rule:archived', { rule });
+        });
+        
+        return expired;
+    },
+    
+    /**
+     * Return an archived rule to the library, without its expiry
+     * @param {string} ruleId - Rule ID
+     * @returns {boolean} True if restored
+     */
+    restoreRule: function(ruleId) {
+        const archived = gameModel.state.archivedRules;
+        const index = archived.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            return false;
+        }
+        
+        const [rule] = archived.splice(index, 1);
+        delete rule.archivedAt;
+        delete rule.expiresAt;
+        
+        gameModel.state.rules.push(rule);
+        gameModel.saveGameState();
+        
+        eventBus.publish('rule:added', { rule, note: 'Restored from the archive' });
+        
+        return true;
+    },
+    
+    /**
+     * Permanently delete an archived rule
+     * @param {string} ruleId - Rule ID
+     * @returns {boolean} True if deleted
+     */
+    deleteArchivedRule: function(ruleId) {
+        const archived = gameModel.state.archivedRules;
+        const index = archived.findIndex(rule => rule.id === ruleId);
+        if (index === -1) {
+            return false;
+        }
+        
+        const [rule] = archived.splice(index, 1);
+        gameModel.saveGameState();
+        
+        eventBus.publish('rule:deleted', { rule });
+        
+        return true;
+    },
+    
+    /**
+     * Get the ordered response actions of a rule
+     * @param {object} rule - Rule
+     * @returns {array} Actions (empty for alert-only rules)
+     */
+    getResponseActions: function(rule) {
+        if (!rule.response) {
+            return [];
+        }
+        
+        return Array.isArray(rule.response) ? rule.response : [rule.response];
+    },
+    
+    /**
+     * Validate a time-windowed correlation rule
+     * @param {object} rule - Rule to validate
+     * @returns {boolean} True if valid
+     */
+    validateCorrelationRule: function(rule) {
+        const correlation = rule.correlation;
+        if (!correlation || !this.correlationModes.includes(correlation.mode)) {
+            return false;
+        }
+        
+        const knownTypes = possibleEvents.map(template => template.type);
+        const eventTypes = correlation.eventTypes;
+        if (!Array.isArray(eventTypes) || eventTypes.length === 0 ||
+            !eventTypes.every(type => knownTypes.includes(type))) {
+            return false;
+        }
+        
+        if (!this.correlationGroupFields.includes(correlation.groupBy)) {
+            return false;
+        }
+        
+        const windowSeconds = parseInt(correlation.windowSeconds);
+        if (isNaN(windowSeconds) || windowSeconds <= 0) {
+            return false;
+        }
+        
+        if (correlation.mode === 'count') {
+            const minCount = parseInt(correlation.minCount);
+            if (isNaN(minCount) || minCount < 2) {
+                return false;
+            }
+        } else if (eventTypes.length < 2) {
+            // A sequence needs at least two steps
+            return false;
+        }
+        
+        if (rule.combinator && !this.combinators.includes(rule.combinator)) {
+            return false;
+        }
+        
+        const conditions = rule.conditions || [];
+        return Array.isArray(conditions) && 
+               conditions.every(condition => this.validateCondition(condition));
+    },
+    
+    /**
+     * Validate the type-specific primary condition of a rule
+     * @param {object} rule - Rule to validate
+     * @returns {boolean} True if valid
+     */
+    validatePrimaryCondition: function(rule) {
         switch (rule.conditionType) {
             case "login_fail":
             case "traffic_spike":
@@ -90,16 +677,128 @@ const ruleEngine = {
                 return rule.serviceName && rule.serviceName.trim().length > 0;
                 
             default:
-                return false;
+                // Other types in threats.js match on their type and clauses alone
+                return possibleEvents.some(template => template.type === rule.conditionType);
+        }
+    },
+    
+    /**
+     * Validate a single clause or a nested group of clauses
+     * @param {object} condition - Clause ({ field, operator, value, negate }) or group ({ combinator, conditions, negate })
+     * @returns {boolean} True if valid
+     */
+    validateCondition: function(condition) {
+        if (!condition || typeof condition !== 'object') {
+            return false;
+        }
+        
+        // Nested group
+        if (condition.conditions) {
+            return this.combinators.includes(condition.combinator || 'AND') &&
+                   Array.isArray(condition.conditions) &&
+                   condition.conditions.length > 0 &&
+                   condition.conditions.every(child => this.validateCondition(child));
         }
+        
+        if (!this.conditionFields.includes(condition.field)) {
+            return false;
+        }
+        
+        return this.getValueError(condition.operator, condition.value) === null;
+    },
+    
+    /**
+     * Check a clause value against its operator
+     * @param {string} operatorKey - Operator key
+     * @param {*} value - Clause value
+     * @returns {string|null} What is wrong with the value (to follow "The <field> condition"), or null if valid
+     */
+    getValueError: function(operatorKey, value) {
+        const operator = this.operators[operatorKey];
+        if (!operator) {
+            return `has an unknown operator "${operatorKey}"`;
+        }
+        
+        if (value === undefined || value === null || String(value).trim().length === 0) {
+            return 'needs a value';
+        }
+        
+        if (operator.numeric && isNaN(parseFloat(value))) {
+            return 'needs a numeric value';
+        }
+        
+        return operator.check ? operator.check(String(value)) : null;
+    },
+    
+    /**
+     * Split a comma-separated list value
+     * @param {string} value - List value
+     * @returns {array} Trimmed, non-empty items
+     */
+    splitList: function(value) {
+        return String(value).split(',').map(item => item.trim()).filter(item => item.length > 0);
+    },
+    
+    /**
+     * Parse an inclusive numeric range written as min..max
+     * @param {string} value - Range value
+     * @returns {object|null} { min, max } or null if invalid
+     */
+    parseRange: function(value) {
+        const match = /^\s*(-?\d+(?:\.\d+)?)\s*\.\.\s*(-?\d+(?:\.\d+)?)\s*$/.exec(String(value));
+        if (!match || parseFloat(match[1]) > parseFloat(match[2])) {
+            return null;
+        }
+        
+        return { min: parseFloat(match[1]), max: parseFloat(match[2]) };
+    },
+    
+    /**
+     * Test a field against a /pattern/flags clause value
+     * @param {*} fieldValue - Event field value
+     * @param {string} value - Regex text
+     * @returns {boolean} True if the pattern matches
+     */
+    testPattern: function(fieldValue, value) {
+        if (!this.regexCache.has(value)) {
+            const { pattern, flags } = parseRegexLiteral(value);
+            this.regexCache.set(value, compileSafeRegex(pattern, flags.replace(/[gy]/g, '')).regex);
+        }
+        
+        const regex = this.regexCache.get(value);
+        return regex !== null && testSafeRegex(regex, fieldValue);
     },
     
     /**
      * Load saved rules from game model
      */
     loadRules: function() {
-        // Rules are now stored in the game model
-        return gameModel.state.rules;
+        // Rules are now stored in the game model; rules saved before they
+        // had IDs, techniques or responses get them here
+        const rules = gameModel.state.rules;
+        const needsSave = rules.some(rule => !rule.id || rule.mitreTechnique === undefined ||
+            rule.response === undefined);
+        rules.forEach(rule => {
+            rule.id = rule.id || generateId();
+            rule.enabled = rule.enabled !== false;
+            if (rule.mitreTechnique === undefined) {
+                rule.mitreTechnique = this.getDefaultTechnique(rule);
+            }
+            
+            // Before responses every firing rule marked its events handled
+            if (rule.response === undefined) {
+                rule.response = [];
+                rule.markHandled = true;
+            }
+        });
+        
+        if (needsSave) {
+            gameModel.saveGameState();
+        }
+        
+        eventBus.publish('rules:loaded', { rules });
+        
+        return rules;
     },
     
     /**
@@ -113,64 +812,128 @@ const ruleEngine = {
             return false;
         }
         
-        let conditionMet = false;
+        if (rule.ruleType === 'query') {
+            return ruleQuery.evaluate(this.getQueryAst(rule), event);
+        }
+        
+        // A rule only ever applies to its own event type
+        if (event.type !== rule.conditionType) {
+            return false;
+        }
+        
+        // A rule without a primary condition or clauses matches every event of its type
+        const clauses = this.getRuleClauses(rule);
+        if (clauses.length === 0) {
+            return true;
+        }
+        
+        return this.evaluateCondition({
+            combinator: rule.combinator || 'AND',
+            conditions: clauses
+        }, event);
+    },
+    
+    /**
+     * Get the parsed query of a query rule
+     * @param {object} rule - Query rule
+     * @returns {object|null} AST or null if the query doesn't parse
+     */
+    getQueryAst: function(rule) {
+        if (!this.queryCache.has(rule)) {
+            this.queryCache.set(rule, ruleQuery.parse(rule.query).ast);
+        }
         
+        return this.queryCache.get(rule);
+    },
+    
+    /**
+     * Get all clauses of a rule, starting with its primary condition
+     * @param {object} rule - Rule definition
+     * @returns {array} Clauses in evaluation order
+     */
+    getRuleClauses: function(rule) {
+        const clauses = [];
+        const primaryClause = this.getPrimaryClause(rule);
+        
+        if (primaryClause) {
+            clauses.push(primaryClause);
+        }
+        
+        return clauses.concat(rule.conditions || []);
+    },
+    
+    /**
+     * Express the type-specific primary condition of a rule as a clause
+     * @param {object} rule - Rule definition
+     * @returns {object|null} Clause, or null for types without a primary condition
+     */
+    getPrimaryClause: function(rule) {
         switch (rule.conditionType) {
             case "login_fail":
-                if (event.type === "login_fail" && parseInt(event.count) > parseInt(rule.threshold)) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'count', operator: 'gt', value: rule.threshold };
                 
             case "traffic_spike":
-                if (event.type === "traffic_spike" && parseInt(event.volume) > parseInt(rule.threshold)) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'volume', operator: 'gt', value: rule.threshold };
                 
             case "process_spawn":
-                if (event.type === "process_spawn" && 
-                    event.process && 
-                    event.process === rule.processName) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'process', operator: this.getKeywordOperator(rule, 'equals'), value: rule.processName };
                 
             case "dns_query":
-                if (event.type === "dns_query" && 
-                    event.domain && 
-                    event.domain.includes(rule.domainKeyword)) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'domain', operator: this.getKeywordOperator(rule, 'contains'), value: rule.domainKeyword };
                 
             case "http_error":
-                if (event.type === "http_error" && 
-                    parseInt(event.code) >= parseInt(rule.errorCodeThreshold)) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'code', operator: 'gte', value: rule.errorCodeThreshold };
                 
             case "unauthorized_access":
-                if (event.type === "unauthorized_access" && 
-                    event.resource && 
-                    event.resource.includes(rule.resourceKeyword)) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'resource', operator: this.getKeywordOperator(rule, 'contains'), value: rule.resourceKeyword };
                 
             case "service_failure":
-                if (event.type === "service_failure" && 
-                    event.service === rule.serviceName) {
-                    conditionMet = true;
-                }
-                break;
+                return { field: 'service', operator: this.getKeywordOperator(rule, 'equals'), value: rule.serviceName };
                 
             default:
-                conditionMet = false;
+                return null;
         }
+    },
+    
+    /**
+     * Get the operator for a rule's keyword condition
+     * @param {object} rule - Rule definition
+     * @param {string} defaultOperator - Operator the condition type normally uses
+     * @returns {string} Operator key
+     */
+    getKeywordOperator: function(rule, defaultOperator) {
+        return rule.keywordMatch === 'regex' ? 'matches' : defaultOperator;
+    },
+    
+    /**
+     * Evaluate a clause or a nested group of clauses against an event
+     * @param {object} condition - Clause or group
+     * @param {object} event - Event to check
+     * @returns {boolean} True if the condition holds
+     */
+    evaluateCondition: function(condition, event) {
+        let result;
         
-        return conditionMet;
+        if (condition.conditions) {
+            const children = condition.conditions;
+            
+            if (children.length === 0) {
+                result = false;
+            } else if (condition.combinator === 'OR') {
+                result = children.some(child => this.evaluateCondition(child, event));
+            } else {
+                result = children.every(child => this.evaluateCondition(child, event));
+            }
+        } else {
+            const operator = this.operators[condition.operator];
+            const fieldValue = event[condition.field];
+            
+            result = Boolean(operator) && 
+                     fieldValue !== undefined && fieldValue !== null &&
+                     operator.test(fieldValue, condition.value);
+        }
+        
+        return condition.negate ? !result : result;
     },
     
     /**
@@ -182,6 +945,21 @@ const ruleEngine = {
     testRule: function(rule, testEvents) {
         const results = [];
         
+        if (rule.ruleType === 'correlation') {
+            // Replay the sample in order with its own window state
+            const consumed = new WeakSet();
+            
+            testEvents.forEach((event, index) => {
+                const events = this.findCorrelatedEvents(rule, event, testEvents.slice(0, index + 1), consumed);
+                if (events) {
+                    events.forEach(contributingEvent => consumed.add(contributingEvent));
+                    results.push({ event: event, rule: rule, events: events });
+                }
+            });
+            
+            return results;
+        }
+        
         testEvents.forEach(event => {
             if (this.evaluateRule(rule, event)) {
                 results.push({ event: event, rule: rule });
@@ -192,20 +970,274 @@ const ruleEngine = {
     },
     
     /**
-     * Check a single event against all rules
+     * Backtest a rule against a labelled event set
+     * @param {object} rule - Candidate rule
+     * @param {array} events - Events in arrival order, each with a ground-truth category
+     * @returns {object} Report with truePositives, falsePositives and missed event lists,
+     *                   precision and recall (null when undefined), and scope counts
+     */
+    backtestRule: function(rule, events) {
+        // Every event a firing matched (all contributing events for correlations)
+        const flagged = new Set();
+        this.testRule(rule, events).forEach(result => {
+            (result.events || [result.event]).forEach(event => flagged.add(event));
+        });
+        
+        // Recall only counts malicious events the rule is meant to cover
+        const scopeTypes = this.getRuleEventTypes(rule);
+        const inScope = event => !scopeTypes || scopeTypes.includes(event.type);
+        
+        const labelled = events.filter(event => event.category);
+        const truePositives = labelled.filter(event => flagged.has(event) && event.category === 'malicious');
+        const falsePositives = labelled.filter(event => flagged.has(event) && event.category !== 'malicious');
+        const missed = labelled.filter(event => 
+            !flagged.has(event) && event.category === 'malicious' && inScope(event)
+        );
+        
+        const flaggedCount = truePositives.length + falsePositives.length;
+        const scopedMalicious = truePositives.length + missed.length;
+        
+        return {
+            total: events.length,
+            unlabelled: events.length - labelled.length,
+            scopeTypes: scopeTypes,
+            truePositives: truePositives,
+            falsePositives: falsePositives,
+            missed: missed,
+            precision: flaggedCount > 0 ? truePositives.length / flaggedCount : null,
+            recall: scopedMalicious > 0 ? truePositives.length / scopedMalicious : null
+        };
+    },
+    
+    /**
+     * Get the event types a rule can match
+     * @param {object} rule - Rule
+     * @returns {array|null} Event types, or null if the rule can match any type
+     */
+    getRuleEventTypes: function(rule) {
+        if (rule.ruleType === 'correlation') {
+            return rule.correlation.eventTypes.slice();
+        }
+        
+        if (rule.ruleType === 'query') {
+            return this.getQueryEventTypes(this.getQueryAst(rule));
+        }
+        
+        return [rule.conditionType];
+    },
+    
+    /**
+     * Get the event types a query is restricted to by its type comparisons
+     * @param {object} node - Query AST node
+     * @returns {array|null} Event types, or null if any type can match
+     */
+    getQueryEventTypes: function(node) {
+        if (!node) {
+            return null;
+        }
+        
+        if (node.type === 'comparison') {
+            return node.field === 'type' && node.operator === '==' ? [node.value.value] : null;
+        }
+        
+        // Either side of an "and" restricts the whole; an "or" needs both sides restricted
+        const left = node.left ? this.getQueryEventTypes(node.left) : null;
+        const right = node.right ? this.getQueryEventTypes(node.right) : null;
+        
+        if (node.type === 'and') {
+            if (left && right) {
+                return left.filter(type => right.includes(type));
+            }
+            return left || right;
+        }
+        
+        if (node.type === 'or' && left && right) {
+            return Array.from(new Set(left.concat(right)));
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Check a new event against the rules in priority order
      * @param {object} event - Event to check
-     * @returns {array} Triggered rules
+     * @returns {object} { triggeredRules, correlations } where triggeredRules are in
+     *                   priority order and correlations are ({ rule, events })
      */
     checkEventAgainstRules: function(event) {
-        const triggeredRules = [];
+        const trace = this.traceEvent(event, gameModel.state.rules, rule => {
+            if (!this.consumedEvents.has(rule)) {
+                this.consumedEvents.set(rule, new WeakSet());
+            }
+            
+            return this.findCorrelatedEvents(rule, event, gameModel.state.events, this.consumedEvents.get(rule));
+        });
         
-        gameModel.state.rules.forEach(rule => {
-            if (this.evaluateRule(rule, event)) {
-                triggeredRules.push(rule);
+        const matched = trace.steps.filter(step => step.events);
+        
+        // Contributing events can't fire a correlation rule a second time
+        matched.filter(step => step.rule.ruleType === 'correlation').forEach(step => {
+            step.events.forEach(contributingEvent => this.consumedEvents.get(step.rule).add(contributingEvent));
+        });
+        
+        return {
+            triggeredRules: matched.map(step => step.rule),
+            correlations: matched
+                .filter(step => step.rule.ruleType === 'correlation')
+                .map(step => ({ rule: step.rule, events: step.events }))
+        };
+    },
+    
+    /**
+     * Run an event through rules in priority order. Processing stops after a
+     * matching rule with stopProcessing set; the first matching rule wins.
+     * @param {object} event - Event to check
+     * @param {array} rules - Rules, highest priority first (rules not in force are skipped)
+     * @param {function} correlate - Returns a correlation rule's contributing events, or null
+     * @returns {object} { steps, winner, stoppedBy, skipped } where steps are the rules
+     *                   evaluated ({ rule, events }, events null when it didn't match)
+     *                   and skipped are the active rules a stop left unevaluated
+     */
+    traceEvent: function(event, rules, correlate) {
+        const now = gameModel.now();
+        const activeRules = rules.filter(rule => this.isRuleActive(rule, now));
+        const steps = [];
+        let stoppedBy = null;
+        
+        for (const rule of activeRules) {
+            const events = rule.ruleType === 'correlation' ?
+                correlate(rule) : (this.evaluateRule(rule, event) ? [event] : null);
+            
+            steps.push({ rule, events });
+            
+            if (events && rule.stopProcessing) {
+                stoppedBy = rule;
+                break;
             }
+        }
+        
+        const winner = steps.find(step => step.events);
+        
+        return {
+            steps: steps,
+            winner: winner ? winner.rule : null,
+            stoppedBy: stoppedBy,
+            skipped: activeRules.slice(steps.length)
+        };
+    },
+    
+    /**
+     * Trace a sample of events through rules in priority order, replaying
+     * correlation rules over the sample with their own window state
+     * @param {array} events - Events in arrival order
+     * @param {array} rules - Rules, highest priority first
+     * @returns {array} Traces ({ event, steps, winner, stoppedBy, skipped })
+     */
+    traceEvents: function(events, rules) {
+        const consumed = new Map();
+        
+        return events.map((event, index) => {
+            const trace = this.traceEvent(event, rules, rule => {
+                if (!consumed.has(rule)) {
+                    consumed.set(rule, new WeakSet());
+                }
+                
+                return this.findCorrelatedEvents(rule, event, events.slice(0, index + 1), consumed.get(rule));
+            });
+            
+            trace.steps.filter(step => step.events && step.rule.ruleType === 'correlation').forEach(step => {
+                step.events.forEach(contributingEvent => consumed.get(step.rule).add(contributingEvent));
+            });
+            
+            return Object.assign({ event }, trace);
         });
+    },
+    
+    /**
+     * Find the events that complete a correlation rule when an event arrives
+     * @param {object} rule - Correlation rule
+     * @param {object} event - Newly arrived event
+     * @param {array} history - Events seen so far, oldest first
+     * @param {WeakSet} consumed - Events already used by earlier firings
+     * @returns {array|null} Contributing events (oldest first) or null if the rule doesn't fire
+     */
+    findCorrelatedEvents: function(rule, event, history, consumed) {
+        const correlation = rule.correlation;
+        const groupBy = correlation.groupBy;
+        const groupValue = event[groupBy];
         
-        return triggeredRules;
+        if (groupValue === undefined || groupValue === null ||
+            !this.matchesCorrelationFilter(rule, event)) {
+            return null;
+        }
+        
+        const eventTime = this.getEventTime(event);
+        const windowStart = eventTime - parseInt(correlation.windowSeconds) * 1000;
+        
+        // Events in the window for the same group, oldest first
+        const candidates = history.filter(candidate => 
+            candidate !== event &&
+            !consumed.has(candidate) &&
+            candidate[groupBy] === groupValue &&
+            this.getEventTime(candidate) >= windowStart &&
+            this.getEventTime(candidate) <= eventTime &&
+            this.matchesCorrelationFilter(rule, candidate)
+        );
+        candidates.push(event);
+        
+        if (correlation.mode === 'sequence') {
+            const steps = correlation.eventTypes;
+            let stepIndex = steps.length - 1;
+            
+            // The new event has to complete the chain
+            if (event.type !== steps[stepIndex]) {
+                return null;
+            }
+            
+            // Walk backwards matching each earlier step
+            const matched = [];
+            for (let i = candidates.length - 1; i >= 0 && stepIndex >= 0; i--) {
+                if (candidates[i].type === steps[stepIndex]) {
+                    matched.unshift(candidates[i]);
+                    stepIndex--;
+                }
+            }
+            
+            return stepIndex < 0 ? matched : null;
+        }
+        
+        return candidates.length >= parseInt(correlation.minCount) ? candidates : null;
+    },
+    
+    /**
+     * Check whether an event counts towards a correlation rule
+     * @param {object} rule - Correlation rule
+     * @param {object} event - Event to check
+     * @returns {boolean} True if the event counts
+     */
+    matchesCorrelationFilter: function(rule, event) {
+        if (!rule.correlation.eventTypes.includes(event.type)) {
+            return false;
+        }
+        
+        const conditions = rule.conditions || [];
+        if (conditions.length === 0) {
+            return true;
+        }
+        
+        return this.evaluateCondition({
+            combinator: rule.combinator || 'AND',
+            conditions: conditions
+        }, event);
+    },
+    
+    /**
+     * Get the time an event was received
+     * @param {object} event - Event
+     * @returns {number} Milliseconds since epoch (0 if unknown)
+     */
+    getEventTime: function(event) {
+        return event.receivedAt || 0;
     },
     
     /**
@@ -214,6 +1246,10 @@ const ruleEngine = {
      * @returns {array} Matching events
      */
     checkRuleAgainstEvents: function(rule) {
+        if (rule.ruleType === 'correlation') {
+            return this.testRule(rule, gameModel.state.events).map(result => result.event);
+        }
+        
         return gameModel.state.events.filter(event => 
             this.evaluateRule(rule, event)
         );
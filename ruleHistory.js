@@ -0,0 +1,158 @@
+// ruleHistory.js - Keeps a version history for every rule
+import eventBus from './eventBus.js';
+import gameModel from './gameModel.js';
+import ruleEngine from './ruleEngine.js';
+import { deepClone } from './utils.js';
+
+/**
+ * RuleHistory records a version of a rule each time it's created, edited,
+ * enabled, disabled or deleted. Versions live in `gameModel.state.ruleVersions`,
+ * keyed by rule ID, so a trainer can review how detections changed over a
+ * session, including rules that no longer exist. Each version snapshots the
+ * rule without its ID and stats, stamped with game time.
+ */
+const ruleHistory = {
+    // Versions kept per rule (the oldest are dropped first)
+    maxVersions: 50,
+    
+    // Rule properties that aren't part of a version
+    untrackedProperties: ['id', 'responseStats', 'stats'],
+    
+    /**
+     * Initialize rule history
+     */
+    init: function() {
+        eventBus.subscribe('rule:added', this.handleRuleAdded.bind(this));
+        eventBus.subscribe('rule:updated', this.handleRuleUpdated.bind(this));
+        eventBus.subscribe('rule:deleted', this.handleRuleDeleted.bind(this));
+        
+        // Rules saved before history was kept start with their current definition
+        const untracked = gameModel.state.rules.filter(rule => this.getVersions(rule.id).length === 0);
+        untracked.forEach(rule => this.recordVersion(rule, 'created', 'Existing rule'));
+    },
+    
+    /**
+     * Record the first version of a new rule
+     * @param {object} data - Rule and note from the event bus
+     */
+    handleRuleAdded: function(data) {
+        this.recordVersion(data.rule, 'created', data.note);
+    },
+    
+    /**
+     * Record a version when a rule is edited, enabled or disabled
+     * @param {object} data - Rule, change and note from the event bus
+     */
+    handleRuleUpdated: function(data) {
+        if (data.change === 'edited') {
+            this.recordVersion(data.rule, 'edited', data.note);
+        } else if (data.change === 'enabled') {
+            this.recordVersion(data.rule, data.rule.enabled ? 'enabled' : 'disabled', data.note);
+        }
+    },
+    
+    /**
+     * Record the last version of a deleted rule, keeping its history
+     * @param {object} data - Rule from the event bus
+     */
+    handleRuleDeleted: function(data) {
+        this.recordVersion(data.rule, 'deleted');
+    },
+    
+    /**
+     * Get the versions of a rule
+     * @param {string} ruleId - Rule ID
+     * @returns {array} Versions, oldest first ({ version, timestamp, change, note, definition })
+     */
+    getVersions: function(ruleId) {
+        return gameModel.state.ruleVersions[ruleId] || [];
+    },
+    
+    /**
+     * Record a new version of a rule
+     * @param {object} rule - Rule as it is now
+     * @param {string} change - What changed: created, edited, enabled, disabled or deleted
+     * @param {string} note - Author note
+     * @returns {object} Version
+     */
+    recordVersion: function(rule, change, note = '') {
+        const versions = this.getVersions(rule.id);
+        const latest = versions[versions.length - 1];
+        
+        const definition = deepClone(rule);
+        this.untrackedProperties.forEach(property => {
+            delete definition[property];
+        });
+        
+        const version = {
+            version: latest ? latest.version + 1 : 1,
+            timestamp: gameModel.now(),
+            change: change,
+            note: note || '',
+            definition: definition
+        };
+        
+        gameModel.state.ruleVersions[rule.id] = versions.concat([version]).slice(-this.maxVersions);
+        gameModel.saveGameState();
+        
+        eventBus.publish('rule:versioned', { ruleId: rule.id, version });
+        
+        return version;
+    },
+    
+    /**
+     * Compare two versions field by field
+     * @param {object} from - Older version
+     * @param {object} to - Newer version
+     * @returns {array} Changed fields ({ field, from, to }); values are undefined where a field is absent
+     */
+    diffVersions: function(from, to) {
+        const fromFields = this.flattenDefinition(from.definition);
+        const toFields = this.flattenDefinition(to.definition);
+        const fields = Array.from(new Set(Object.keys(fromFields).concat(Object.keys(toFields))));
+        
+        return fields
+            .filter(field => fromFields[field] !== toFields[field])
+            .map(field => ({ field, from: fromFields[field], to: toFields[field] }));
+    },
+    
+    /**
+     * Flatten a rule definition into dotted field paths
+     * @param {object} value - Definition or part of one
+     * @param {string} prefix - Path so far
+     * @param {object} fields - Fields collected so far
+     * @returns {object} Field path to value
+     */
+    flattenDefinition: function(value, prefix = '', fields = {}) {
+        if (value !== null && typeof value === 'object') {
+            Object.keys(value).forEach(key => {
+                this.flattenDefinition(value[key], prefix ? `${prefix}.${key}` : key, fields);
+            });
+        } else if (value !== undefined) {
+            fields[prefix] = value;
+        }
+        
+        return fields;
+    },
+    
+    /**
+     * Restore a rule to an earlier version; the rollback becomes a new version.
+     * The rule keeps its current enabled state.
+     * @param {string} ruleId - Rule ID
+     * @param {number} versionNumber - Version to restore
+     * @returns {boolean} True if rolled back
+     */
+    rollback: function(ruleId, versionNumber) {
+        const version = this.getVersions(ruleId).find(entry => entry.version === versionNumber);
+        if (!version) {
+            return false;
+        }
+        
+        const definition = deepClone(version.definition);
+        delete definition.enabled;
+        
+        return ruleEngine.updateRule(ruleId, definition, `Rolled back to version ${versionNumber}`);
+    }
+};
+
+export default ruleHistory;
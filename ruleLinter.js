@@ -0,0 +1,470 @@
+// ruleLinter.js - Finds duplicate, shadowed and unreachable rules
+import eventGenerator from './eventGenerator.js';
+import possibleEvents from './threats.js';
+import ruleEngine from './ruleEngine.js';
+import { parseCidr } from './utils.js';
+
+/**
+ * The linter reduces each rule to a list of alternatives (an OR of ANDs),
+ * each an optional event type plus the clauses that must all hold, and
+ * compares those. Checks are conservative: a rule is only reported as
+ * shadowed when its clauses provably imply the broader rule's, so some
+ * overlaps go unreported.
+ */
+const ruleLinter = {
+    // Query operators and the clause operators they correspond to
+    queryOperators: {
+        '==': 'equals', '!=': 'not_equals', '>': 'gt', '>=': 'gte',
+        '<': 'lt', '<=': 'lte', 'contains': 'contains', 'matches': 'matches'
+    },
+    
+    // Most alternatives a query is expanded into before it's left unanalysed
+    maxAlternatives: 32,
+    
+    // Fields set on generated events by type (built on first use)
+    generatedFields: null,
+    
+    /**
+     * Lint a set of rules
+     * @param {array} rules - Rules, in library order
+     * @returns {array} Findings ({ ruleId, kind, message, otherRuleId }) where kind is
+     *                  duplicate, shadowed or unreachable
+     */
+    lintRules: function(rules) {
+        const shapes = new Map(rules.map(rule => [rule, this.getShape(rule)]));
+        const keys = new Map(rules.map(rule => [rule, this.getDetectionKey(rule)]));
+        const findings = [];
+        
+        rules.forEach(rule => {
+            findings.push(...this.findUnreachable(rule, shapes.get(rule)));
+            
+            rules.forEach(other => {
+                if (other === rule) {
+                    return;
+                }
+                
+                const finding = this.compareRules(rule, other, shapes, keys);
+                if (finding) {
+                    findings.push(finding);
+                }
+            });
+        });
+        
+        return findings;
+    },
+    
+    /**
+     * Compare a rule with another rule in the library
+     * @param {object} rule - Rule being linted
+     * @param {object} other - Other rule
+     * @param {Map} shapes - Shapes by rule
+     * @param {Map} keys - Detection keys by rule
+     * @returns {object|null} Finding about the rule, if any
+     */
+    compareRules: function(rule, other, shapes, keys) {
+        const finding = { ruleId: rule.id, otherRuleId: other.id };
+        
+        if (keys.get(rule) === keys.get(other)) {
+            return Object.assign(finding, {
+                kind: 'duplicate',
+                message: `Duplicates ${this.describeRule(other)}.`
+            });
+        }
+        
+        // A disabled rule can't take over anything
+        const shape = shapes.get(rule);
+        const otherShape = shapes.get(other);
+        if (other.enabled === false || !shape || !otherShape || !this.subsumes(otherShape, shape)) {
+            return null;
+        }
+        
+        if (this.subsumes(shape, otherShape)) {
+            return Object.assign(finding, {
+                kind: 'duplicate',
+                message: `Matches exactly the same events as ${this.describeRule(other)}.`
+            });
+        }
+        
+        return Object.assign(finding, {
+            kind: 'shadowed',
+            message: `Shadowed by broader rule ${this.describeRule(other)}: every event it matches also matches that rule.`
+        });
+    },
+    
+    /**
+     * Find the ways a rule can never match a generated event
+     * @param {object} rule - Rule
+     * @param {object|null} shape - Rule shape
+     * @returns {array} Findings
+     */
+    findUnreachable: function(rule, shape) {
+        const generated = this.getGeneratedFields();
+        const finding = reason => ({
+            ruleId: rule.id,
+            otherRuleId: null,
+            kind: 'unreachable',
+            message: reason
+        });
+        
+        if (rule.ruleType === 'correlation') {
+            const missing = rule.correlation.eventTypes.filter(type => !generated.has(type));
+            return missing.length > 0 ?
+                [finding(`Never matches: no ${missing.join(', ')} events are generated.`)] : [];
+        }
+        
+        if (!shape) {
+            return [];
+        }
+        
+        const reasons = shape.map(alternative => this.getDeadReason(alternative, generated));
+        
+        if (reasons.every(reason => reason !== null)) {
+            return [finding(`Never matches: ${reasons[0]}.`)];
+        }
+        
+        // Some OR branches can never match
+        return reasons.filter(reason => reason !== null)
+            .map(reason => finding(`Part of this rule never matches: ${reason}.`));
+    },
+    
+    /**
+     * Explain why an alternative can never match, if it can't
+     * @param {object} alternative - Alternative ({ type, clauses })
+     * @param {Map} generated - Generated fields by event type
+     * @returns {string|null} Reason, or null if it can match
+     */
+    getDeadReason: function(alternative, generated) {
+        if (alternative.type !== null && !generated.has(alternative.type)) {
+            return `no ${alternative.type} events are generated`;
+        }
+        
+        const types = alternative.type !== null ? [alternative.type] : Array.from(generated.keys());
+        
+        // A positive clause needs its field on the event
+        const clause = alternative.clauses.find(candidate =>
+            !candidate.conditions && !candidate.negate &&
+            types.every(type => !generated.get(type).has(candidate.field))
+        );
+        
+        if (!clause) {
+            return null;
+        }
+        
+        return alternative.type !== null ?
+            `${alternative.type} events have no ${clause.field} field` :
+            `no generated event has a ${clause.field} field`;
+    },
+    
+    /**
+     * Get the fields the event generator sets, by event type
+     * @returns {Map} Event type to Set of field names
+     */
+    getGeneratedFields: function() {
+        if (!this.generatedFields) {
+            this.generatedFields = new Map();
+            
+            possibleEvents.forEach(template => {
+                // Sampling fields mustn't draw from the seeded event stream
+                const event = eventGenerator.createEvent(template, Math.random);
+                const fields = this.generatedFields.get(template.type) || new Set();
+                
+                Object.keys(event).forEach(field => {
+                    if (event[field] !== undefined && event[field] !== null) {
+                        fields.add(field);
+                    }
+                });
+                
+                this.generatedFields.set(template.type, fields);
+            });
+        }
+        
+        return this.generatedFields;
+    },
+    
+    /**
+     * Reduce a rule to alternatives that each match on their own
+     * @param {object} rule - Rule
+     * @returns {array|null} Alternatives ({ type, clauses }), or null if the rule can't be analysed
+     */
+    getShape: function(rule) {
+        if (rule.ruleType === 'correlation') {
+            return null;
+        }
+        
+        if (rule.ruleType === 'query') {
+            const ast = ruleEngine.getQueryAst(rule);
+            const alternatives = ast ? this.queryToAlternatives(ast) : null;
+            
+            return alternatives && alternatives.map(clauses => this.extractType(clauses));
+        }
+        
+        // A rule without clauses matches every event of its type
+        const clauses = ruleEngine.getRuleClauses(rule);
+        const alternatives = rule.combinator === 'OR' && clauses.length > 0 ?
+            clauses.map(clause => [clause]) : [clauses];
+        
+        return alternatives.map(alternativeClauses => ({ type: rule.conditionType, clauses: alternativeClauses }));
+    },
+    
+    /**
+     * Expand a query AST into alternatives of clauses
+     * @param {object} node - AST node
+     * @returns {array|null} Clause lists, or null if too large or not expressible as clauses
+     */
+    queryToAlternatives: function(node) {
+        switch (node.type) {
+            case 'or': {
+                const left = this.queryToAlternatives(node.left);
+                const right = this.queryToAlternatives(node.right);
+                return left && right && left.length + right.length <= this.maxAlternatives ?
+                    left.concat(right) : null;
+            }
+            
+            case 'and': {
+                const left = this.queryToAlternatives(node.left);
+                const right = this.queryToAlternatives(node.right);
+                if (!left || !right || left.length * right.length > this.maxAlternatives) {
+                    return null;
+                }
+                
+                const combined = [];
+                left.forEach(leftClauses => right.forEach(rightClauses => {
+                    combined.push(leftClauses.concat(rightClauses));
+                }));
+                return combined;
+            }
+            
+            case 'not':
+                if (node.operand.type !== 'comparison') {
+                    return null;
+                }
+                return [[Object.assign(this.comparisonToClause(node.operand), { negate: true })]];
+            
+            case 'comparison':
+                return [[this.comparisonToClause(node)]];
+            
+            default:
+                return null;
+        }
+    },
+    
+    /**
+     * Express a query comparison as a clause
+     * @param {object} node - Comparison node
+     * @returns {object} Clause
+     */
+    comparisonToClause: function(node) {
+        const value = node.value.type === 'regex' ?
+            `/${node.value.value}/${node.value.flags || ''}` : node.value.value;
+        
+        return { field: node.field, operator: this.queryOperators[node.operator], value: value };
+    },
+    
+    /**
+     * Pull a type == "..." clause out of an alternative
+     * @param {array} clauses - Clauses of the alternative
+     * @returns {object} Alternative ({ type, clauses })
+     */
+    extractType: function(clauses) {
+        const typeClause = clauses.find(clause =>
+            clause.field === 'type' && clause.operator === 'equals' && !clause.negate
+        );
+        
+        return {
+            type: typeClause ? String(typeClause.value) : null,
+            clauses: clauses.filter(clause => clause !== typeClause)
+        };
+    },
+    
+    /**
+     * Check whether every event one shape matches is matched by another
+     * @param {array} broad - Shape of the broader rule
+     * @param {array} narrow - Shape of the narrower rule
+     * @returns {boolean} True if broad provably covers narrow
+     */
+    subsumes: function(broad, narrow) {
+        return narrow.every(narrowAlternative => broad.some(broadAlternative =>
+            (broadAlternative.type === null || broadAlternative.type === narrowAlternative.type) &&
+            broadAlternative.clauses.every(broadClause =>
+                narrowAlternative.clauses.some(narrowClause => this.clauseImplies(narrowClause, broadClause))
+            )
+        ));
+    },
+    
+    /**
+     * Check whether a clause holding guarantees another holds
+     * @param {object} narrow - Clause known to hold
+     * @param {object} broad - Clause to check
+     * @returns {boolean} True if narrow implies broad
+     */
+    clauseImplies: function(narrow, broad) {
+        if (this.getClauseKey(narrow) === this.getClauseKey(broad)) {
+            return true;
+        }
+        
+        if (narrow.conditions || broad.conditions || narrow.negate || broad.negate ||
+            narrow.field !== broad.field) {
+            return false;
+        }
+        
+        // A clause that allows only a few values implies whatever all of them satisfy
+        const values = this.getAllowedValues(narrow);
+        if (values) {
+            return values.every(value =>
+                ruleEngine.evaluateCondition(broad, { [broad.field]: value })
+            );
+        }
+        
+        switch (broad.operator) {
+            case 'contains':
+                return narrow.operator === 'contains' && String(narrow.value).includes(String(broad.value));
+            
+            case 'gt':
+            case 'gte': {
+                const bound = this.getBound(narrow, 'lower');
+                const limit = parseFloat(broad.value);
+                return bound !== null &&
+                    (bound.value > limit || (bound.value === limit && (broad.operator === 'gte' || bound.exclusive)));
+            }
+            
+            case 'lt':
+            case 'lte': {
+                const bound = this.getBound(narrow, 'upper');
+                const limit = parseFloat(broad.value);
+                return bound !== null &&
+                    (bound.value < limit || (bound.value === limit && (broad.operator === 'lte' || bound.exclusive)));
+            }
+            
+            case 'between': {
+                const range = ruleEngine.parseRange(broad.value);
+                const lower = this.getBound(narrow, 'lower');
+                const upper = this.getBound(narrow, 'upper');
+                return range !== null && lower !== null && upper !== null &&
+                    lower.value >= range.min && upper.value <= range.max;
+            }
+            
+            case 'in_cidr': {
+                if (narrow.operator !== 'in_cidr') {
+                    return false;
+                }
+                
+                const broadRanges = ruleEngine.splitList(broad.value).map(cidr => parseCidr(cidr));
+                return ruleEngine.splitList(narrow.value).every(cidr => {
+                    const range = parseCidr(cidr);
+                    return range !== null && broadRanges.some(broadRange =>
+                        broadRange !== null && range.start >= broadRange.start && range.end <= broadRange.end
+                    );
+                });
+            }
+            
+            default:
+                return false;
+        }
+    },
+    
+    /**
+     * Get the values a clause allows, when it allows only a fixed set
+     * @param {object} clause - Clause
+     * @returns {array|null} Values, or null if open-ended
+     */
+    getAllowedValues: function(clause) {
+        if (clause.operator === 'equals') {
+            return [clause.value];
+        }
+        
+        if (clause.operator === 'in_list') {
+            return ruleEngine.splitList(clause.value);
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Get the numeric bound a clause puts on its field
+     * @param {object} clause - Clause
+     * @param {string} side - lower or upper
+     * @returns {object|null} { value, exclusive }, or null if unbounded on that side
+     */
+    getBound: function(clause, side) {
+        const operators = side === 'lower' ? { gt: true, gte: false } : { lt: true, lte: false };
+        
+        if (clause.operator in operators) {
+            return { value: parseFloat(clause.value), exclusive: operators[clause.operator] };
+        }
+        
+        if (clause.operator === 'between') {
+            const range = ruleEngine.parseRange(clause.value);
+            return range && { value: side === 'lower' ? range.min : range.max, exclusive: false };
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Get a comparable key for a clause
+     * @param {object} clause - Clause or group
+     * @returns {string} Key
+     */
+    getClauseKey: function(clause) {
+        if (clause.conditions) {
+            return JSON.stringify({
+                combinator: clause.combinator || 'AND',
+                conditions: clause.conditions.map(child => this.getClauseKey(child)),
+                negate: Boolean(clause.negate)
+            });
+        }
+        
+        return JSON.stringify([clause.field, clause.operator, String(clause.value), Boolean(clause.negate)]);
+    },
+    
+    /**
+     * Get a comparable key for what a rule detects, ignoring its name, response and history
+     * @param {object} rule - Rule
+     * @returns {string} Key
+     */
+    getDetectionKey: function(rule) {
+        if (rule.ruleType === 'query') {
+            return JSON.stringify(['query', String(rule.query).replace(/\s+/g, ' ').trim()]);
+        }
+        
+        const clauses = ruleEngine.getRuleClauses(rule).map(clause => this.getClauseKey(clause));
+        
+        return JSON.stringify([
+            rule.ruleType || 'event',
+            rule.conditionType || null,
+            rule.correlation || null,
+            clauses.length > 1 ? rule.combinator || 'AND' : null,
+            clauses
+        ]);
+    },
+    
+    /**
+     * Name a rule in a finding
+     * @param {object} rule - Rule
+     * @returns {string} Description
+     */
+    describeRule: function(rule) {
+        if (rule.title) {
+            return `"${rule.title}"`;
+        }
+        
+        if (rule.ruleType === 'query') {
+            return `query rule (${rule.query})`;
+        }
+        
+        if (rule.ruleType === 'correlation') {
+            return `correlation rule ${rule.correlation.eventTypes.join(' → ')}`;
+        }
+        
+        const clause = ruleEngine.getPrimaryClause(rule);
+        if (!clause) {
+            return `${rule.conditionType} rule`;
+        }
+        
+        const operator = ruleEngine.operators[clause.operator];
+        
+        return `${rule.conditionType} rule (${clause.field} ${operator ? operator.label : clause.operator} ${clause.value})`;
+    }
+};
+
+export default ruleLinter;
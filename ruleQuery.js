@@ -0,0 +1,427 @@
+// ruleQuery.js - Text query language for detection rules
+//
+// Grammar:
+//   expression := orExpr
+//   orExpr     := andExpr ( "or" andExpr )*
+//   andExpr    := notExpr ( "and" notExpr )*
+//   notExpr    := "not" notExpr | primary
+//   primary    := "(" expression ")" | comparison
+//   comparison := field operator value
+//   operator   := "==" | "!=" | ">" | ">=" | "<" | "<=" | "contains" | "matches"
+//   value      := "string" | 'string' | number | /regex/flags
+//
+// Example: type == "http_error" and code >= 500 and url matches /admin/
+
+import { compileSafeRegex, testSafeRegex } from './utils.js';
+
+const ruleQuery = {
+    // Event fields a query may reference
+    fields: [
+        'type', 'ip', 'user', 'process', 'domain', 'url', 'code', 'resource',
+        'service', 'count', 'volume', 'severity', 'action', 'status',
+        'network', 'country', 'asn', 'reputation'
+    ],
+    
+    // Keywords (matched case-insensitively)
+    keywords: ['and', 'or', 'not', 'contains', 'matches'],
+    
+    /**
+     * Split a query into tokens
+     * @param {string} source - Query text
+     * @returns {array} Tokens ({ type, value, column }), ending with an "end" token
+     */
+    tokenize: function(source) {
+        const tokens = [];
+        let position = 0;
+        
+        while (position < source.length) {
+            const char = source[position];
+            const column = position + 1;
+            
+            // Whitespace
+            if (/\s/.test(char)) {
+                position++;
+                continue;
+            }
+            
+            // Parentheses
+            if (char === '(' || char === ')') {
+                tokens.push({ type: char === '(' ? 'lparen' : 'rparen', value: char, column });
+                position++;
+                continue;
+            }
+            
+            // Symbolic operators
+            const twoChars = source.substr(position, 2);
+            if (['==', '!=', '>=', '<='].includes(twoChars)) {
+                tokens.push({ type: 'operator', value: twoChars, column });
+                position += 2;
+                continue;
+            }
+            
+            if (char === '>' || char === '<') {
+                tokens.push({ type: 'operator', value: char, column });
+                position++;
+                continue;
+            }
+            
+            if (char === '=' || char === '!') {
+                this.fail(`Unexpected "${char}" (did you mean "${char}="?)`, column);
+            }
+            
+            // Strings
+            if (char === '"' || char === "'") {
+                let value = '';
+                position++;
+                
+                while (position < source.length && source[position] !== char) {
+                    if (source[position] === '\\' && position + 1 < source.length) {
+                        position++;
+                    }
+                    value += source[position];
+                    position++;
+                }
+                
+                if (position >= source.length) {
+                    this.fail('Unterminated string', column);
+                }
+                
+                position++;
+                tokens.push({ type: 'string', value, column });
+                continue;
+            }
+            
+            // Regular expressions
+            if (char === '/') {
+                let pattern = '';
+                position++;
+                
+                while (position < source.length && source[position] !== '/') {
+                    if (source[position] === '\\' && position + 1 < source.length) {
+                        pattern += source[position];
+                        position++;
+                    }
+                    pattern += source[position];
+                    position++;
+                }
+                
+                if (position >= source.length) {
+                    this.fail('Unterminated regular expression', column);
+                }
+                
+                position++;
+                
+                let flags = '';
+                while (position < source.length && /[a-z]/i.test(source[position])) {
+                    flags += source[position];
+                    position++;
+                }
+                
+                tokens.push({ type: 'regex', value: pattern, flags, column });
+                continue;
+            }
+            
+            // Numbers
+            const numberMatch = /^-?\d+(\.\d+)?/.exec(source.slice(position));
+            if (numberMatch) {
+                tokens.push({ type: 'number', value: parseFloat(numberMatch[0]), column });
+                position += numberMatch[0].length;
+                continue;
+            }
+            
+            // Identifiers and keywords
+            const wordMatch = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(position));
+            if (wordMatch) {
+                const word = wordMatch[0];
+                const lower = word.toLowerCase();
+                
+                if (this.keywords.includes(lower)) {
+                    const type = (lower === 'contains' || lower === 'matches') ? 'operator' : lower;
+                    tokens.push({ type, value: lower, column });
+                } else {
+                    tokens.push({ type: 'identifier', value: word, column });
+                }
+                
+                position += word.length;
+                continue;
+            }
+            
+            this.fail(`Unexpected character "${char}"`, column);
+        }
+        
+        tokens.push({ type: 'end', value: '', column: source.length + 1 });
+        return tokens;
+    },
+    
+    /**
+     * Parse a query into an AST
+     * @param {string} source - Query text
+     * @returns {object} { ast, error } where error is { message, column } or null
+     */
+    parse: function(source) {
+        if (typeof source !== 'string' || source.trim().length === 0) {
+            return { ast: null, error: { message: 'Query is empty', column: 1 } };
+        }
+        
+        try {
+            const tokens = this.tokenize(source);
+            const parser = { tokens, index: 0 };
+            
+            const ast = this.parseOr(parser);
+            
+            const next = this.peek(parser);
+            if (next.type !== 'end') {
+                this.fail(`Unexpected "${next.value}"`, next.column);
+            }
+            
+            return { ast, error: null };
+        } catch (error) {
+            if (error.column === undefined) {
+                throw error;
+            }
+            
+            return { ast: null, error: { message: error.message, column: error.column } };
+        }
+    },
+    
+    /**
+     * Parse an "or" expression
+     * @param {object} parser - Parser state
+     * @returns {object} AST node
+     */
+    parseOr: function(parser) {
+        let node = this.parseAnd(parser);
+        
+        while (this.peek(parser).type === 'or') {
+            this.advance(parser);
+            node = { type: 'or', left: node, right: this.parseAnd(parser) };
+        }
+        
+        return node;
+    },
+    
+    /**
+     * Parse an "and" expression
+     * @param {object} parser - Parser state
+     * @returns {object} AST node
+     */
+    parseAnd: function(parser) {
+        let node = this.parseNot(parser);
+        
+        while (this.peek(parser).type === 'and') {
+            this.advance(parser);
+            node = { type: 'and', left: node, right: this.parseNot(parser) };
+        }
+        
+        return node;
+    },
+    
+    /**
+     * Parse a "not" expression
+     * @param {object} parser - Parser state
+     * @returns {object} AST node
+     */
+    parseNot: function(parser) {
+        if (this.peek(parser).type === 'not') {
+            this.advance(parser);
+            return { type: 'not', operand: this.parseNot(parser) };
+        }
+        
+        return this.parsePrimary(parser);
+    },
+    
+    /**
+     * Parse a parenthesised expression or a comparison
+     * @param {object} parser - Parser state
+     * @returns {object} AST node
+     */
+    parsePrimary: function(parser) {
+        const token = this.peek(parser);
+        
+        if (token.type === 'lparen') {
+            this.advance(parser);
+            const node = this.parseOr(parser);
+            
+            const closing = this.peek(parser);
+            if (closing.type !== 'rparen') {
+                this.fail('Expected ")"', closing.column);
+            }
+            this.advance(parser);
+            
+            return node;
+        }
+        
+        return this.parseComparison(parser);
+    },
+    
+    /**
+     * Parse a field comparison
+     * @param {object} parser - Parser state
+     * @returns {object} Comparison node ({ type, field, operator, value, column })
+     */
+    parseComparison: function(parser) {
+        const fieldToken = this.peek(parser);
+        
+        if (fieldToken.type === 'end') {
+            this.fail('Unexpected end of query, expected a field name', fieldToken.column);
+        }
+        
+        if (fieldToken.type !== 'identifier') {
+            this.fail(`Expected a field name but found "${fieldToken.value}"`, fieldToken.column);
+        }
+        
+        if (!this.fields.includes(fieldToken.value)) {
+            this.fail(`Unknown field "${fieldToken.value}"`, fieldToken.column);
+        }
+        this.advance(parser);
+        
+        const operatorToken = this.peek(parser);
+        if (operatorToken.type !== 'operator') {
+            this.fail(`Expected an operator after "${fieldToken.value}"`, operatorToken.column);
+        }
+        this.advance(parser);
+        
+        const operator = operatorToken.value;
+        const valueToken = this.peek(parser);
+        
+        if (!['string', 'number', 'regex'].includes(valueToken.type)) {
+            const hint = valueToken.type === 'identifier' ? ' (quote text values)' : '';
+            this.fail(`Expected a quoted string, number or /regex/${hint}`, valueToken.column);
+        }
+        this.advance(parser);
+        
+        const value = { type: valueToken.type, value: valueToken.value };
+        
+        // Operator and value type must agree
+        if (operator === 'matches') {
+            if (valueToken.type !== 'regex') {
+                this.fail('"matches" needs a /regex/ value', valueToken.column);
+            }
+            
+            const { regex, error } = compileSafeRegex(valueToken.value, valueToken.flags);
+            if (error) {
+                this.fail(error, valueToken.column);
+            }
+            
+            value.flags = valueToken.flags;
+            value.regex = regex;
+        } else if (valueToken.type === 'regex') {
+            this.fail(`A /regex/ can only be used with "matches"`, valueToken.column);
+        } else if (['>', '>=', '<', '<='].includes(operator) && valueToken.type !== 'number') {
+            this.fail(`"${operator}" needs a numeric value`, valueToken.column);
+        }
+        
+        return {
+            type: 'comparison',
+            field: fieldToken.value,
+            operator: operator,
+            value: value,
+            column: fieldToken.column
+        };
+    },
+    
+    /**
+     * Look at the current token
+     * @param {object} parser - Parser state
+     * @returns {object} Token
+     */
+    peek: function(parser) {
+        return parser.tokens[parser.index];
+    },
+    
+    /**
+     * Move to the next token
+     * @param {object} parser - Parser state
+     * @returns {object} The token that was consumed
+     */
+    advance: function(parser) {
+        return parser.tokens[parser.index++];
+    },
+    
+    /**
+     * Raise a syntax error at a column
+     * @param {string} message - Error message
+     * @param {number} column - 1-based column
+     */
+    fail: function(message, column) {
+        const error = new Error(message);
+        error.column = column;
+        throw error;
+    },
+    
+    /**
+     * Evaluate an AST against an event
+     * @param {object} node - AST node
+     * @param {object} event - Event to check
+     * @returns {boolean} True if the event matches
+     */
+    evaluate: function(node, event) {
+        if (!node || !event) {
+            return false;
+        }
+        
+        switch (node.type) {
+            case 'and':
+                return this.evaluate(node.left, event) && this.evaluate(node.right, event);
+            
+            case 'or':
+                return this.evaluate(node.left, event) || this.evaluate(node.right, event);
+            
+            case 'not':
+                return !this.evaluate(node.operand, event);
+            
+            case 'comparison':
+                return this.evaluateComparison(node, event);
+            
+            default:
+                return false;
+        }
+    },
+    
+    /**
+     * Evaluate a single comparison
+     * @param {object} node - Comparison node
+     * @param {object} event - Event to check
+     * @returns {boolean} True if the comparison holds
+     */
+    evaluateComparison: function(node, event) {
+        const fieldValue = event[node.field];
+        if (fieldValue === undefined || fieldValue === null) {
+            return false;
+        }
+        
+        const value = node.value;
+        const numeric = value.type === 'number';
+        
+        switch (node.operator) {
+            case '==':
+                return numeric ? parseFloat(fieldValue) === value.value : String(fieldValue) === value.value;
+            
+            case '!=':
+                return numeric ? parseFloat(fieldValue) !== value.value : String(fieldValue) !== value.value;
+            
+            case '>':
+                return parseFloat(fieldValue) > value.value;
+            
+            case '>=':
+                return parseFloat(fieldValue) >= value.value;
+            
+            case '<':
+                return parseFloat(fieldValue) < value.value;
+            
+            case '<=':
+                return parseFloat(fieldValue) <= value.value;
+            
+            case 'contains':
+                return String(fieldValue).includes(String(value.value));
+            
+            case 'matches':
+                return testSafeRegex(value.regex, fieldValue);
+            
+            default:
+                return false;
+        }
+    }
+};
+
+export default ruleQuery;
@@ -0,0 +1,1276 @@
+// sigmaConverter.js - Converts rules to and from Sigma YAML
+import possibleEvents from './threats.js';
+import ruleEngine from './ruleEngine.js';
+import ruleQuery from './ruleQuery.js';
+import mitreAttack from './mitreAttack.js';
+import { parseRegexLiteral, compileSafeRegex, parseCidr, numberToIp } from './utils.js';
+
+/**
+ * SigmaConverter maps the event generator's types and fields onto Sigma
+ * logsources and field names. Conversions never drop a construct silently:
+ * anything that can't be expressed on the other side is returned as an issue
+ * and the conversion fails.
+ */
+const sigmaConverter = {
+    // Sigma logsource and field names for each event type
+    eventTypeMappings: {
+        login_fail: {
+            logsource: { product: 'windows', service: 'security' },
+            eventId: 4625,
+            fields: { ip: 'IpAddress', user: 'TargetUserName' }
+        },
+        unauthorized_access: {
+            logsource: { product: 'windows', service: 'security' },
+            eventId: 4663,
+            fields: { ip: 'IpAddress', user: 'SubjectUserName', resource: 'ObjectName' }
+        },
+        service_failure: {
+            logsource: { product: 'windows', service: 'system' },
+            eventId: 7034,
+            fields: { ip: 'IpAddress', service: 'ServiceName' }
+        },
+        process_spawn: {
+            logsource: { category: 'process_creation', product: 'windows' },
+            fields: { ip: 'IpAddress', user: 'User', process: 'Image' }
+        },
+        dns_query: {
+            logsource: { category: 'dns' },
+            fields: { ip: 'src_ip', user: 'User', domain: 'query' }
+        },
+        http_error: {
+            logsource: { category: 'webserver' },
+            fields: { ip: 'c-ip', user: 'cs-username', url: 'cs-uri-stem', code: 'sc-status' }
+        },
+        sql_injection: {
+            logsource: { category: 'webserver' },
+            fields: { ip: 'c-ip', user: 'cs-username', url: 'cs-uri-stem' }
+        },
+        traffic_spike: {
+            logsource: { category: 'firewall' },
+            fields: { ip: 'src_ip' }
+        }
+    },
+    
+    // Other Sigma field names accepted on import
+    fieldAliases: {
+        ip: ['src_ip', 'SourceIp', 'SourceAddress', 'IpAddress', 'c-ip', 'ClientIP'],
+        user: ['User', 'TargetUserName', 'SubjectUserName', 'cs-username', 'UserName'],
+        process: ['Image', 'NewProcessName', 'ProcessName', 'OriginalFileName'],
+        domain: ['query', 'QueryName'],
+        url: ['cs-uri-stem', 'cs-uri-query', 'c-uri', 'url'],
+        code: ['sc-status', 'status'],
+        resource: ['ObjectName', 'TargetFilename'],
+        service: ['ServiceName', 'service']
+    },
+    
+    // Sigma levels by minimum severity
+    levels: [
+        { minSeverity: 8, level: 'critical' },
+        { minSeverity: 6, level: 'high' },
+        { minSeverity: 4, level: 'medium' },
+        { minSeverity: 0, level: 'low' }
+    ],
+    
+    /**
+     * Export a rule as a Sigma YAML document
+     * @param {object} rule - Rule from gameModel.state.rules
+     * @returns {object} { yaml, issues } where yaml is null if anything couldn't be converted
+     */
+    toSigma: function(rule) {
+        const issues = [];
+        
+        if (rule.ruleType === 'correlation') {
+            issues.push('Correlation rules have no single-event Sigma equivalent.');
+            return { yaml: null, issues };
+        }
+        
+        const extracted = this.ruleToTree(rule, issues);
+        if (!extracted) {
+            return { yaml: null, issues };
+        }
+        
+        const mapping = this.eventTypeMappings[extracted.eventType];
+        if (!mapping) {
+            issues.push(`Event type "${extracted.eventType}" has no Sigma logsource mapping.`);
+            return { yaml: null, issues };
+        }
+        
+        // Build named selections and the condition that combines them
+        const detection = {};
+        const selections = [];
+        
+        if (mapping.eventId) {
+            selections.push({ EventID: mapping.eventId });
+        }
+        
+        const treeCondition = extracted.tree ?
+            this.treeToCondition(extracted.tree, extracted.eventType, selections, issues, !!mapping.eventId) : null;
+        
+        if (issues.length > 0) {
+            return { yaml: null, issues };
+        }
+        
+        selections.forEach((selection, index) => {
+            detection[`selection_${index + 1}`] = selection;
+        });
+        
+        let condition = mapping.eventId ? 'selection_1' : '';
+        if (treeCondition) {
+            condition = condition ? `${condition} and ${treeCondition}` : treeCondition;
+        }
+        detection.condition = condition || 'selection_1';
+        
+        const template = possibleEvents.find(t => t.type === extracted.eventType);
+        const severity = template ? template.baseSeverity : 0;
+        
+        const sigma = {
+            title: rule.title || `Defender's Dashboard ${extracted.eventType} rule`,
+            id: rule.sigmaId || this.generateUuid(),
+            status: 'experimental',
+            description: `Exported from Defender's Dashboard: ${this.describeRule(rule)}`,
+            author: "Defender's Dashboard",
+            date: new Date().toISOString().slice(0, 10).replace(/-/g, '/'),
+            logsource: Object.assign({}, mapping.logsource, {
+                definition: `Defender's Dashboard event type: ${extracted.eventType}`
+            }),
+            detection: detection,
+            level: this.levels.find(entry => severity >= entry.minSeverity).level
+        };
+        
+        const tags = this.techniqueToTags(rule.mitreTechnique);
+        if (tags.length > 0) {
+            sigma.tags = tags;
+        }
+        
+        return { yaml: this.toYaml(sigma), issues };
+    },
+    
+    /**
+     * Import a Sigma YAML document as a query rule
+     * @param {string} text - Sigma YAML
+     * @returns {object} { rule, issues } where rule is null if anything couldn't be converted
+     */
+    fromSigma: function(text) {
+        const issues = [];
+        const parsed = this.parseYaml(text);
+        
+        if (parsed.error) {
+            issues.push(`YAML error: ${parsed.error}`);
+            return { rule: null, issues };
+        }
+        
+        const documents = parsed.documents.filter(doc => doc !== null);
+        if (documents.length === 0) {
+            issues.push('The file contains no Sigma rule.');
+            return { rule: null, issues };
+        }
+        
+        if (documents.length > 1) {
+            issues.push(`Found ${documents.length} YAML documents; Sigma collections and correlation rules are not supported. Import one rule per file.`);
+            return { rule: null, issues };
+        }
+        
+        const sigma = documents[0];
+        if (typeof sigma !== 'object' || Array.isArray(sigma)) {
+            issues.push('The Sigma rule must be a YAML mapping.');
+            return { rule: null, issues };
+        }
+        
+        if (!sigma.detection || typeof sigma.detection !== 'object') {
+            issues.push('The Sigma rule has no detection section.');
+            return { rule: null, issues };
+        }
+        
+        const eventType = this.resolveEventType(sigma, issues);
+        if (!eventType) {
+            return { rule: null, issues };
+        }
+        
+        const tree = this.detectionToTree(sigma.detection, eventType, issues);
+        if (issues.length > 0) {
+            return { rule: null, issues };
+        }
+        
+        const expression = this.treeToQuery(tree, true);
+        const query = `type == ${this.quoteQueryString(eventType)}` +
+            (expression ? ` and ${expression}` : '');
+        
+        // The generated query must itself be valid
+        const { error } = ruleQuery.parse(query);
+        if (error) {
+            issues.push(`Could not build a valid query (${error.message} at column ${error.column}).`);
+            return { rule: null, issues };
+        }
+        
+        const rule = {
+            ruleType: 'query',
+            query: query,
+            title: sigma.title ? String(sigma.title) : 'Imported Sigma rule',
+            source: 'sigma'
+        };
+        
+        if (sigma.id) {
+            rule.sigmaId = String(sigma.id);
+        }
+        
+        // Without a technique tag the rule engine takes the event type's
+        const technique = this.tagsToTechnique(sigma.tags);
+        if (technique) {
+            rule.mitreTechnique = technique;
+        }
+        
+        return { rule, issues };
+    },
+    
+    /**
+     * Build Sigma ATT&CK tags for a technique: its tactics, then the technique
+     * @param {string|null} techniqueId - Technique ID
+     * @returns {array} Tags such as attack.credential_access and attack.t1110
+     */
+    techniqueToTags: function(techniqueId) {
+        const technique = techniqueId ? mitreAttack.techniques[techniqueId] : null;
+        if (!technique) {
+            return [];
+        }
+        
+        const tacticTags = technique.tactics.map(tacticId => {
+            const tactic = mitreAttack.tactics.find(entry => entry.id === tacticId);
+            return `attack.${tactic.name.toLowerCase().replace(/ /g, '_')}`;
+        });
+        
+        return tacticTags.concat([`attack.${techniqueId.toLowerCase()}`]);
+    },
+    
+    /**
+     * Find the first known ATT&CK technique in a rule's Sigma tags;
+     * sub-techniques count as their parent
+     * @param {any} tags - The Sigma tags value
+     * @returns {string|null} Technique ID
+     */
+    tagsToTechnique: function(tags) {
+        if (!Array.isArray(tags)) {
+            return null;
+        }
+        
+        for (const tag of tags) {
+            const match = /^attack\.(t\d{4})(\.\d{3})?$/i.exec(String(tag));
+            const techniqueId = match ? match[1].toUpperCase() : null;
+            if (techniqueId && mitreAttack.techniques.hasOwnProperty(techniqueId)) {
+                return techniqueId;
+            }
+        }
+        
+        return null;
+    },
+    
+    /**
+     * Describe a rule's conditions in one line
+     * @param {object} rule - Rule
+     * @returns {string} Description
+     */
+    describeRule: function(rule) {
+        if (rule.ruleType === 'query') {
+            return rule.query;
+        }
+        
+        return ruleEngine.getRuleClauses(rule)
+            .map(clause => `${clause.negate ? 'not ' : ''}${clause.field} ${clause.operator} ${clause.value}`)
+            .join(` ${(rule.combinator || 'AND').toLowerCase()} `);
+    },
+    
+    /**
+     * Turn a rule into its event type plus a condition tree
+     * @param {object} rule - Rule
+     * @param {array} issues - Collected issues
+     * @returns {object|null} { eventType, tree }
+     */
+    ruleToTree: function(rule, issues) {
+        if (rule.ruleType === 'query') {
+            const { ast, error } = ruleQuery.parse(rule.query);
+            if (error) {
+                issues.push(`The query does not parse: ${error.message} at column ${error.column}.`);
+                return null;
+            }
+            
+            // The event type has to be pinned by a top-level "type == ..." term
+            const terms = this.flattenAnd(ast);
+            const typeTerm = terms.find(term =>
+                term.type === 'comparison' && term.field === 'type' &&
+                term.operator === '==' && term.value.type === 'string'
+            );
+            
+            if (!typeTerm) {
+                issues.push('Query rules need a top-level type == "..." term to choose a Sigma logsource.');
+                return null;
+            }
+            
+            const rest = terms.filter(term => term !== typeTerm)
+                .map(term => this.queryAstToTree(term, issues));
+            
+            return {
+                eventType: typeTerm.value.value,
+                tree: rest.length === 0 ? null : (rest.length === 1 ? rest[0] : { op: 'and', children: rest })
+            };
+        }
+        
+        const clauses = ruleEngine.getRuleClauses(rule).map(clause => this.clauseToTree(clause));
+        
+        return {
+            eventType: rule.conditionType,
+            tree: clauses.length === 0 ? null : { op: rule.combinator === 'OR' ? 'or' : 'and', children: clauses }
+        };
+    },
+    
+    /**
+     * Split a query AST into its top-level "and" terms
+     * @param {object} node - AST node
+     * @returns {array} Terms
+     */
+    flattenAnd: function(node) {
+        if (node.type === 'and') {
+            return this.flattenAnd(node.left).concat(this.flattenAnd(node.right));
+        }
+        
+        return [node];
+    },
+    
+    /**
+     * Convert a rule clause (or group) to a condition tree node
+     * @param {object} clause - Clause or group
+     * @returns {object} Tree node
+     */
+    clauseToTree: function(clause) {
+        let node;
+        
+        if (clause.conditions) {
+            node = {
+                op: clause.combinator === 'OR' ? 'or' : 'and',
+                children: clause.conditions.map(child => this.clauseToTree(child))
+            };
+        } else if (clause.operator === 'matches') {
+            const { pattern, flags } = parseRegexLiteral(clause.value);
+            node = { op: 'leaf', field: clause.field, operator: 'matches', value: pattern, flags };
+        } else {
+            node = { op: 'leaf', field: clause.field, operator: clause.operator, value: clause.value };
+        }
+        
+        return clause.negate ? { op: 'not', child: node } : node;
+    },
+    
+    /**
+     * Convert a query AST node to a condition tree node
+     * @param {object} node - AST node
+     * @param {array} issues - Collected issues
+     * @returns {object} Tree node
+     */
+    queryAstToTree: function(node, issues) {
+        switch (node.type) {
+            case 'and':
+            case 'or':
+                return {
+                    op: node.type,
+                    children: [this.queryAstToTree(node.left, issues), this.queryAstToTree(node.right, issues)]
+                };
+            
+            case 'not':
+                return { op: 'not', child: this.queryAstToTree(node.operand, issues) };
+            
+            default: {
+                const operators = {
+                    '==': 'equals', '!=': 'not_equals', '>': 'gt', '>=': 'gte',
+                    '<': 'lt', '<=': 'lte', 'contains': 'contains', 'matches': 'matches'
+                };
+                
+                if (node.field === 'type') {
+                    issues.push('Only one top-level type == "..." term can be exported.');
+                }
+                
+                return {
+                    op: 'leaf',
+                    field: node.field,
+                    operator: operators[node.operator],
+                    value: node.value.value,
+                    flags: node.value.flags
+                };
+            }
+        }
+    },
+    
+    /**
+     * Turn a condition tree into Sigma selections and a condition expression
+     * @param {object} node - Tree node
+     * @param {string} eventType - Event type being exported
+     * @param {array} selections - Selections collected so far (appended to)
+     * @param {array} issues - Collected issues
+     * @param {boolean} nested - Whether the expression is part of a larger one
+     * @returns {string} Sigma condition expression
+     */
+    treeToCondition: function(node, eventType, selections, issues, nested = false) {
+        if (node.op === 'not') {
+            return `not ${this.treeToCondition(node.child, eventType, selections, issues, true)}`;
+        }
+        
+        if (node.op === 'and' || node.op === 'or') {
+            const parts = node.children.map(child => this.treeToCondition(child, eventType, selections, issues, true));
+            if (parts.length === 1) {
+                return parts[0];
+            }
+            const expression = parts.join(` ${node.op} `);
+            return nested ? `(${expression})` : expression;
+        }
+        
+        const sigmaField = this.eventTypeMappings[eventType].fields[node.field];
+        if (!sigmaField) {
+            issues.push(`Field "${node.field}" has no Sigma equivalent for ${eventType} events.`);
+            return '';
+        }
+        
+        const numeric = ['gt', 'gte', 'lt', 'lte'].includes(node.operator);
+        const value = numeric || /^-?\d+(\.\d+)?$/.test(String(node.value)) && node.field === 'code' ?
+            parseFloat(node.value) : String(node.value);
+        
+        let key;
+        let negate = false;
+        
+        switch (node.operator) {
+            case 'equals':
+                key = typeof value === 'number' ? sigmaField : `${sigmaField}|cased`;
+                break;
+            
+            case 'not_equals':
+                key = typeof value === 'number' ? sigmaField : `${sigmaField}|cased`;
+                negate = true;
+                break;
+            
+            case 'contains':
+                key = `${sigmaField}|contains|cased`;
+                break;
+            
+            case 'gt':
+            case 'gte':
+            case 'lt':
+            case 'lte':
+                key = `${sigmaField}|${node.operator}`;
+                break;
+            
+            case 'matches': {
+                const flags = (node.flags || '').split('');
+                const unsupported = flags.filter(flag => !['i', 'm', 's', 'g'].includes(flag));
+                if (unsupported.length > 0) {
+                    issues.push(`Regex flags "${unsupported.join('')}" on ${node.field} have no Sigma equivalent.`);
+                }
+                
+                // The global flag has no meaning for a single match
+                key = [`${sigmaField}|re`].concat(flags.filter(flag => flag !== 'g')).join('|');
+                break;
+            }
+            
+            case 'in_list':
+                selections.push({ [`${sigmaField}|cased`]: ruleEngine.splitList(node.value) });
+                return `selection_${selections.length}`;
+            
+            case 'in_cidr':
+                selections.push({ [`${sigmaField}|cidr`]: ruleEngine.splitList(node.value) });
+                return `selection_${selections.length}`;
+            
+            case 'between': {
+                const range = ruleEngine.parseRange(node.value);
+                selections.push({ [`${sigmaField}|gte`]: range.min, [`${sigmaField}|lte`]: range.max });
+                return `selection_${selections.length}`;
+            }
+            
+            default:
+                issues.push(`Operator "${node.operator}" on ${node.field} has no Sigma equivalent.`);
+                return '';
+        }
+        
+        selections.push({ [key]: value });
+        const name = `selection_${selections.length}`;
+        
+        return negate ? `not ${name}` : name;
+    },
+    
+    /**
+     * Work out which event type a Sigma rule targets
+     * @param {object} sigma - Parsed Sigma rule
+     * @param {array} issues - Collected issues
+     * @returns {string|null} Event type
+     */
+    resolveEventType: function(sigma, issues) {
+        const logsource = sigma.logsource || {};
+        
+        // Rules exported from the dashboard name their type explicitly
+        const definitionMatch = /Defender's Dashboard event type: (\w+)/.exec(logsource.definition || '');
+        if (definitionMatch && this.eventTypeMappings[definitionMatch[1]]) {
+            return definitionMatch[1];
+        }
+        
+        const eventIds = this.collectEventIds(sigma.detection);
+        
+        const candidates = Object.keys(this.eventTypeMappings).filter(eventType => {
+            const mapping = this.eventTypeMappings[eventType];
+            const sourceMatches = Object.keys(mapping.logsource).every(key =>
+                String(logsource[key] || '').toLowerCase() === mapping.logsource[key]
+            );
+            
+            if (!sourceMatches) {
+                return false;
+            }
+            
+            return !mapping.eventId || eventIds.length === 0 || eventIds.includes(mapping.eventId);
+        });
+        
+        // Accept the Sysmon DNS category as well as network DNS logs
+        if (candidates.length === 0 && String(logsource.category).toLowerCase() === 'dns_query') {
+            return 'dns_query';
+        }
+        
+        if (candidates.length === 0) {
+            issues.push(`Unsupported logsource ${JSON.stringify(logsource)}. Supported: ${
+                Object.entries(this.eventTypeMappings)
+                    .map(([type, mapping]) => `${type} (${Object.values(mapping.logsource).join('/')}${mapping.eventId ? ` EventID ${mapping.eventId}` : ''})`)
+                    .join(', ')
+            }.`);
+            return null;
+        }
+        
+        // Several types share a logsource; prefer the first unless an EventID narrowed it
+        if (candidates.length > 1 && eventIds.length === 0 &&
+            candidates.some(type => this.eventTypeMappings[type].eventId)) {
+            issues.push(`Logsource matches ${candidates.join(', ')}; add an EventID to the detection to choose one.`);
+            return null;
+        }
+        
+        return candidates[0];
+    },
+    
+    /**
+     * Collect EventID values from all selections
+     * @param {object} detection - Sigma detection section
+     * @returns {array} Event IDs
+     */
+    collectEventIds: function(detection) {
+        const ids = [];
+        
+        Object.entries(detection || {}).forEach(([name, selection]) => {
+            if (name === 'condition') return;
+            
+            const maps = Array.isArray(selection) ? selection : [selection];
+            maps.forEach(map => {
+                if (map && typeof map === 'object') {
+                    Object.entries(map).forEach(([key, value]) => {
+                        if (key.split('|')[0] === 'EventID') {
+                            (Array.isArray(value) ? value : [value]).forEach(id => ids.push(parseInt(id)));
+                        }
+                    });
+                }
+            });
+        });
+        
+        return ids;
+    },
+    
+    /**
+     * Convert a Sigma detection section to a condition tree
+     * @param {object} detection - Sigma detection section
+     * @param {string} eventType - Target event type
+     * @param {array} issues - Collected issues
+     * @returns {object|null} Tree node
+     */
+    detectionToTree: function(detection, eventType, issues) {
+        const selections = {};
+        
+        Object.entries(detection).forEach(([name, selection]) => {
+            if (name === 'condition' || name === 'timeframe') return;
+            selections[name] = this.selectionToTree(name, selection, eventType, issues);
+        });
+        
+        if (detection.timeframe) {
+            issues.push('"timeframe" is not supported; use a correlation rule in the Rule Editor instead.');
+        }
+        
+        let condition = detection.condition;
+        if (Array.isArray(condition)) {
+            // A list of conditions means any of them
+            condition = condition.map(part => `(${part})`).join(' or ');
+        }
+        
+        if (typeof condition !== 'string' || condition.trim().length === 0) {
+            issues.push('The detection has no condition.');
+            return null;
+        }
+        
+        if (condition.includes('|')) {
+            issues.push('Aggregation conditions (e.g. "| count() > 5") are not supported; use a correlation rule instead.');
+            return null;
+        }
+        
+        return this.parseCondition(condition, selections, issues);
+    },
+    
+    /**
+     * Convert one named selection to a condition tree
+     * @param {string} name - Selection name
+     * @param {any} selection - Selection value (map or list of maps)
+     * @param {string} eventType - Target event type
+     * @param {array} issues - Collected issues
+     * @returns {object} Tree node
+     */
+    selectionToTree: function(name, selection, eventType, issues) {
+        if (Array.isArray(selection)) {
+            if (selection.some(item => typeof item !== 'object' || item === null)) {
+                issues.push(`Selection "${name}" is a keyword list; full-text keyword search is not supported.`);
+                return { op: 'true' };
+            }
+            
+            // A list of maps means any of them
+            return { op: 'or', children: selection.map(map => this.selectionToTree(name, map, eventType, issues)) };
+        }
+        
+        if (!selection || typeof selection !== 'object') {
+            issues.push(`Selection "${name}" must be a map of fields.`);
+            return { op: 'true' };
+        }
+        
+        const children = Object.entries(selection).map(([key, value]) =>
+            this.fieldToTree(name, key, value, eventType, issues)
+        );
+        
+        return { op: 'and', children };
+    },
+    
+    /**
+     * Convert one "Field|modifiers: value" entry to a condition tree
+     * @param {string} selectionName - Selection name (for messages)
+     * @param {string} key - Field with modifiers
+     * @param {any} value - Value or list of values
+     * @param {string} eventType - Target event type
+     * @param {array} issues - Collected issues
+     * @returns {object} Tree node
+     */
+    fieldToTree: function(selectionName, key, value, eventType, issues) {
+        const [sigmaField, ...modifiers] = key.split('|');
+        const values = Array.isArray(value) ? value : [value];
+        
+        // EventID is implied by the resolved event type
+        if (sigmaField === 'EventID') {
+            const expected = this.eventTypeMappings[eventType].eventId;
+            if (!values.map(id => parseInt(id)).includes(expected)) {
+                issues.push(`EventID ${values.join(', ')} in "${selectionName}" does not match ${eventType} (EventID ${expected}).`);
+            }
+            return { op: 'true' };
+        }
+        
+        const field = this.resolveField(sigmaField, eventType);
+        if (!field) {
+            issues.push(`Field "${sigmaField}" in "${selectionName}" has no equivalent in ${eventType} events.`);
+            return { op: 'true' };
+        }
+        
+        const known = ['contains', 'startswith', 'endswith', 're', 'i', 'm', 's',
+            'gt', 'gte', 'lt', 'lte', 'all', 'cased', 'cidr'];
+        const unsupported = modifiers.filter(modifier => !known.includes(modifier));
+        if (unsupported.length > 0) {
+            issues.push(`Modifier "${unsupported.join('|')}" on ${sigmaField} in "${selectionName}" is not supported.`);
+            return { op: 'true' };
+        }
+        
+        const leaves = values.map(item => this.valueToLeaf(field, modifiers, item, sigmaField, issues));
+        
+        if (leaves.length === 1) {
+            return leaves[0];
+        }
+        
+        // Lists match any value unless "all" is given
+        return { op: modifiers.includes('all') ? 'and' : 'or', children: leaves };
+    },
+    
+    /**
+     * Convert a single Sigma value to a leaf
+     * @param {string} field - Dashboard field
+     * @param {array} modifiers - Sigma modifiers
+     * @param {any} value - Sigma value
+     * @param {string} sigmaField - Sigma field (for messages)
+     * @param {array} issues - Collected issues
+     * @returns {object} Tree node
+     */
+    valueToLeaf: function(field, modifiers, value, sigmaField, issues) {
+        if (value === null) {
+            issues.push(`Null checks on ${sigmaField} are not supported.`);
+            return { op: 'true' };
+        }
+        
+        const comparison = ['gt', 'gte', 'lt', 'lte'].find(modifier => modifiers.includes(modifier));
+        if (comparison) {
+            if (isNaN(parseFloat(value))) {
+                issues.push(`"${sigmaField}|${comparison}" needs a number, got "${value}".`);
+                return { op: 'true' };
+            }
+            return { op: 'leaf', field, operator: comparison, value: parseFloat(value) };
+        }
+        
+        // The query language has no CIDR operator, so a range becomes the pattern of its addresses
+        if (modifiers.includes('cidr')) {
+            const range = parseCidr(value);
+            if (!range) {
+                issues.push(`"${sigmaField}|cidr" needs an IPv4 CIDR range, got "${value}".`);
+                return { op: 'true' };
+            }
+            return { op: 'leaf', field, operator: 'matches', value: this.cidrToPattern(range), flags: '' };
+        }
+        
+        if (modifiers.includes('re')) {
+            const flags = ['i', 'm', 's'].filter(flag => modifiers.includes(flag)).join('');
+            const { error } = compileSafeRegex(String(value), flags);
+            if (error) {
+                issues.push(`Unusable regular expression on ${sigmaField}: ${error}`);
+                return { op: 'true' };
+            }
+            return { op: 'leaf', field, operator: 'matches', value: String(value), flags };
+        }
+        
+        if (typeof value === 'number') {
+            return { op: 'leaf', field, operator: 'equals', value };
+        }
+        
+        const text = String(value);
+        const cased = modifiers.includes('cased');
+        const hasWildcards = /(^|[^\\])[*?]/.test(text);
+        
+        if (cased && !hasWildcards && !modifiers.includes('startswith') && !modifiers.includes('endswith')) {
+            return { op: 'leaf', field, operator: modifiers.includes('contains') ? 'contains' : 'equals', value: text };
+        }
+        
+        // Sigma matching is case-insensitive with wildcards, so express it as a regex
+        let pattern = text.split(/(\\[*?\\]|[*?])/).map(part => {
+            if (part === '*') return '.*';
+            if (part === '?') return '.';
+            if (/^\\[*?\\]$/.test(part)) return '\\' + part[1];
+            return part.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+        }).join('');
+        
+        const anchoredStart = !modifiers.includes('contains') && !modifiers.includes('endswith');
+        const anchoredEnd = !modifiers.includes('contains') && !modifiers.includes('startswith');
+        pattern = `${anchoredStart ? '^' : ''}${pattern}${anchoredEnd ? '$' : ''}`;
+        
+        return { op: 'leaf', field, operator: 'matches', value: pattern, flags: cased ? '' : 'i' };
+    },
+    
+    /**
+     * Build a regex matching the dotted addresses of a CIDR range
+     * @param {object} range - { start, end } address numbers from parseCidr
+     * @returns {string} Anchored pattern, e.g. ^10\.(?:\d|1\d|2\d|30|31)\.\d{1,3}\.\d{1,3}$ for 10.0.0.0/11
+     */
+    cidrToPattern: function(range) {
+        const first = numberToIp(range.start).split('.').map(Number);
+        const last = numberToIp(range.end).split('.').map(Number);
+        
+        const octets = first.map((low, index) => {
+            const high = last[index];
+            if (low === high) {
+                return String(low);
+            }
+            if (low === 0 && high === 255) {
+                return '\\d{1,3}';
+            }
+            
+            // Whole hundreds and tens where they fit, single numbers elsewhere
+            const parts = [];
+            let number = low;
+            while (number <= high) {
+                if (number % 100 === 0 && number + 99 <= high) {
+                    parts.push(number === 0 ? '[1-9]?\\d' : `${number / 100}\\d\\d`);
+                    number += 100;
+                } else if (number % 10 === 0 && number + 9 <= high) {
+                    parts.push(number === 0 ? '\\d' : `${number / 10}\\d`);
+                    number += 10;
+                } else {
+                    parts.push(String(number));
+                    number++;
+                }
+            }
+            
+            return parts.length === 1 ? parts[0] : `(?:${parts.join('|')})`;
+        });
+        
+        return `^${octets.join('\\.')}$`;
+    },
+    
+    /**
+     * Find the dashboard field for a Sigma field name
+     * @param {string} sigmaField - Sigma field name
+     * @param {string} eventType - Target event type
+     * @returns {string|null} Dashboard field
+     */
+    resolveField: function(sigmaField, eventType) {
+        const lower = sigmaField.toLowerCase();
+        const mapped = Object.entries(this.eventTypeMappings[eventType].fields)
+            .find(([, name]) => name.toLowerCase() === lower);
+        
+        if (mapped) {
+            return mapped[0];
+        }
+        
+        const alias = Object.entries(this.fieldAliases)
+            .find(([, names]) => names.some(name => name.toLowerCase() === lower));
+        
+        return alias ? alias[0] : null;
+    },
+    
+    /**
+     * Parse a Sigma condition expression
+     * @param {string} condition - Condition text
+     * @param {object} selections - Selection trees by name
+     * @param {array} issues - Collected issues
+     * @returns {object|null} Tree node
+     */
+    parseCondition: function(condition, selections, issues) {
+        const tokens = condition.match(/\(|\)|[^\s()]+/g) || [];
+        let index = 0;
+        
+        const peek = () => (tokens[index] || '').toLowerCase();
+        
+        const resolveNames = (pattern) => {
+            const regex = new RegExp('^' + pattern.split('*').map(part =>
+                part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$');
+            return Object.keys(selections).filter(name => regex.test(name));
+        };
+        
+        const parseOr = () => {
+            let node = parseAnd();
+            while (peek() === 'or') {
+                index++;
+                node = { op: 'or', children: [node, parseAnd()] };
+            }
+            return node;
+        };
+        
+        const parseAnd = () => {
+            let node = parseNot();
+            while (peek() === 'and') {
+                index++;
+                node = { op: 'and', children: [node, parseNot()] };
+            }
+            return node;
+        };
+        
+        const parseNot = () => {
+            if (peek() === 'not') {
+                index++;
+                return { op: 'not', child: parseNot() };
+            }
+            return parsePrimary();
+        };
+        
+        const parsePrimary = () => {
+            const token = tokens[index];
+            
+            if (token === undefined) {
+                throw new Error('unexpected end of condition');
+            }
+            
+            if (token === '(') {
+                index++;
+                const node = parseOr();
+                if (tokens[index] !== ')') {
+                    throw new Error('missing ")"');
+                }
+                index++;
+                return node;
+            }
+            
+            // "1 of selection_*", "all of them"
+            if ((token === '1' || token.toLowerCase() === 'all') && (tokens[index + 1] || '').toLowerCase() === 'of') {
+                const target = tokens[index + 2];
+                if (!target) {
+                    throw new Error(`"${token} of" needs a selection pattern`);
+                }
+                index += 3;
+                
+                const names = target.toLowerCase() === 'them' ?
+                    Object.keys(selections).filter(name => !name.startsWith('_')) : resolveNames(target);
+                if (names.length === 0) {
+                    throw new Error(`no selections match "${target}"`);
+                }
+                
+                return { op: token === '1' ? 'or' : 'and', children: names.map(name => selections[name]) };
+            }
+            
+            if (/^\d+$/.test(token)) {
+                throw new Error(`"${token} of" is not supported; use "1 of" or "all of"`);
+            }
+            
+            index++;
+            if (!selections[token]) {
+                throw new Error(`unknown selection "${token}"`);
+            }
+            return selections[token];
+        };
+        
+        try {
+            const tree = parseOr();
+            if (index < tokens.length) {
+                throw new Error(`unexpected "${tokens[index]}"`);
+            }
+            return tree;
+        } catch (error) {
+            issues.push(`Condition "${condition}": ${error.message}.`);
+            return null;
+        }
+    },
+    
+    /**
+     * Render a condition tree as query language text
+     * @param {object} node - Tree node
+     * @param {boolean} nested - Whether the expression is part of a larger one
+     * @returns {string} Query text ('' for an always-true node)
+     */
+    treeToQuery: function(node, nested = false) {
+        if (!node) return '';
+        
+        switch (node.op) {
+            case 'true':
+                return '';
+            
+            case 'not': {
+                const inner = this.treeToQuery(node.child, true);
+                return inner ? `not ${inner}` : '';
+            }
+            
+            case 'and':
+            case 'or': {
+                const parts = node.children.map(child => this.treeToQuery(child, true)).filter(part => part);
+                if (parts.length <= 1) {
+                    return parts[0] || '';
+                }
+                const expression = parts.join(` ${node.op} `);
+                return nested ? `(${expression})` : expression;
+            }
+            
+            default: {
+                const symbols = { equals: '==', gt: '>', gte: '>=', lt: '<', lte: '<=', contains: 'contains' };
+                
+                if (node.operator === 'matches') {
+                    return `${node.field} matches /${node.value.replace(/(^|[^\\])\//g, '$1\\/')}/${node.flags || ''}`;
+                }
+                
+                const value = typeof node.value === 'number' ? node.value : this.quoteQueryString(node.value);
+                return `${node.field} ${symbols[node.operator]} ${value}`;
+            }
+        }
+    },
+    
+    /**
+     * Quote a string for the query language
+     * @param {string} value - Raw string
+     * @returns {string} Quoted string
+     */
+    quoteQueryString: function(value) {
+        return `"${String(value).replace(/[\\"]/g, '\\$&')}"`;
+    },
+    
+    /**
+     * Generate a UUID for exported rules
+     * @returns {string} UUID v4
+     */
+    generateUuid: function() {
+        if (window.crypto && window.crypto.randomUUID) {
+            return window.crypto.randomUUID();
+        }
+        
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.floor(Math.random() * 16);
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    },
+    
+    /**
+     * Serialize an object as YAML
+     * @param {any} value - Value to serialize
+     * @param {number} indent - Current indentation
+     * @returns {string} YAML text
+     */
+    toYaml: function(value, indent = 0) {
+        const pad = ' '.repeat(indent);
+        
+        return Object.entries(value).map(([key, item]) => {
+            if (Array.isArray(item)) {
+                return `${pad}${key}:\n` + item.map(entry => `${pad}    - ${this.yamlScalar(entry)}`).join('\n');
+            }
+            
+            if (item && typeof item === 'object') {
+                return `${pad}${key}:\n${this.toYaml(item, indent + 4)}`;
+            }
+            
+            return `${pad}${key}: ${this.yamlScalar(item)}`;
+        }).join('\n') + (indent === 0 ? '\n' : '');
+    },
+    
+    /**
+     * Serialize a scalar as YAML
+     * @param {any} value - Scalar
+     * @returns {string} YAML scalar
+     */
+    yamlScalar: function(value) {
+        if (typeof value === 'number' || typeof value === 'boolean') {
+            return String(value);
+        }
+        
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        
+        const text = String(value);
+        if (/^[A-Za-z0-9_./-][A-Za-z0-9_ ./()-]*$/.test(text) &&
+            !/^(true|false|null|yes|no|~|-?\d+(\.\d+)?)$/i.test(text)) {
+            return text;
+        }
+        
+        return `'${text.replace(/'/g, "''")}'`;
+    },
+    
+    /**
+     * Parse the YAML subset used by Sigma rules (block mappings and
+     * sequences, flow sequences, quoted and block scalars, comments)
+     * @param {string} text - YAML text
+     * @returns {object} { documents, error }
+     */
+    parseYaml: function(text) {
+        const documents = [];
+        let current = [];
+        
+        // Split into documents of significant lines
+        const rawLines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        
+        for (let i = 0; i < rawLines.length; i++) {
+            const raw = rawLines[i];
+            
+            if (/^(---|\.\.\.)\s*$/.test(raw)) {
+                if (current.length > 0) documents.push(current);
+                current = [];
+                continue;
+            }
+            
+            const content = this.stripYamlComment(raw);
+            if (content.trim().length === 0) continue;
+            
+            current.push({
+                indent: content.length - content.trimStart().length,
+                text: content.trim(),
+                number: i + 1,
+                raw: raw
+            });
+        }
+        
+        if (current.length > 0) documents.push(current);
+        
+        try {
+            return {
+                documents: documents.map(lines => {
+                    const state = { lines, index: 0 };
+                    const value = this.parseYamlBlock(state, lines[0].indent);
+                    
+                    if (state.index < lines.length) {
+                        throw new Error(`unexpected indentation on line ${lines[state.index].number}`);
+                    }
+                    
+                    return value;
+                }),
+                error: null
+            };
+        } catch (error) {
+            return { documents: [], error: error.message };
+        }
+    },
+    
+    /**
+     * Remove a trailing comment from a YAML line
+     * @param {string} line - Raw line
+     * @returns {string} Line without comment
+     */
+    stripYamlComment: function(line) {
+        let quote = null;
+        
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === "'" || char === '"') {
+                quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        
+        return line;
+    },
+    
+    /**
+     * Parse a block (mapping or sequence) at an indentation level
+     * @param {object} state - Parser state ({ lines, index })
+     * @param {number} indent - Indentation of the block
+     * @returns {any} Parsed value
+     */
+    parseYamlBlock: function(state, indent) {
+        const first = state.lines[state.index];
+        
+        if (first.text === '-' || first.text.startsWith('- ')) {
+            return this.parseYamlSequence(state, indent);
+        }
+        
+        return this.parseYamlMapping(state, indent);
+    },
+    
+    /**
+     * Parse a block sequence
+     * @param {object} state - Parser state
+     * @param {number} indent - Indentation of the "-" markers
+     * @returns {array} Parsed items
+     */
+    parseYamlSequence: function(state, indent) {
+        const items = [];
+        
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.indent !== indent || !(line.text === '-' || line.text.startsWith('- '))) {
+                break;
+            }
+            
+            const rest = line.text.slice(1).trim();
+            
+            if (rest.length === 0) {
+                state.index++;
+                const next = state.lines[state.index];
+                items.push(next && next.indent > indent ? this.parseYamlBlock(state, next.indent) : null);
+            } else if (/^[^'"[{][^:]*:(\s|$)/.test(rest) || /^(['"]).*\1:(\s|$)/.test(rest)) {
+                // "- key: value" starts a mapping nested in the sequence
+                const itemIndent = indent + line.text.indexOf(rest);
+                state.lines[state.index] = Object.assign({}, line, { indent: itemIndent, text: rest });
+                items.push(this.parseYamlMapping(state, itemIndent));
+            } else {
+                items.push(this.parseYamlScalar(rest, line.number));
+                state.index++;
+            }
+        }
+        
+        return items;
+    },
+    
+    /**
+     * Parse a block mapping
+     * @param {object} state - Parser state
+     * @param {number} indent - Indentation of the keys
+     * @returns {object} Parsed mapping
+     */
+    parseYamlMapping: function(state, indent) {
+        const mapping = {};
+        
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.indent < indent) {
+                break;
+            }
+            
+            if (line.indent > indent) {
+                throw new Error(`unexpected indentation on line ${line.number}`);
+            }
+            
+            const match = /^("[^"]*"|'[^']*'|[^:]+?)\s*:(\s+(.*))?$/.exec(line.text);
+            if (!match) {
+                throw new Error(`expected "key: value" on line ${line.number}`);
+            }
+            
+            const key = /^['"]/.test(match[1]) ? match[1].slice(1, -1) : match[1];
+            const rest = (match[3] || '').trim();
+            state.index++;
+            
+            if (/^[|>][-+]?$/.test(rest)) {
+                mapping[key] = this.parseYamlBlockScalar(state, indent, rest[0]);
+            } else if (rest.length > 0) {
+                mapping[key] = this.parseYamlScalar(rest, line.number);
+            } else {
+                const next = state.lines[state.index];
+                
+                if (next && next.indent > indent) {
+                    mapping[key] = this.parseYamlBlock(state, next.indent);
+                } else if (next && next.indent === indent && (next.text === '-' || next.text.startsWith('- '))) {
+                    // Sequences may sit at the same indentation as their key
+                    mapping[key] = this.parseYamlSequence(state, indent);
+                } else {
+                    mapping[key] = null;
+                }
+            }
+        }
+        
+        return mapping;
+    },
+    
+    /**
+     * Parse a literal (|) or folded (>) block scalar
+     * @param {object} state - Parser state
+     * @param {number} indent - Indentation of the owning key
+     * @param {string} style - "|" or ">"
+     * @returns {string} Text
+     */
+    parseYamlBlockScalar: function(state, indent, style) {
+        const parts = [];
+        
+        while (state.index < state.lines.length && state.lines[state.index].indent > indent) {
+            parts.push(state.lines[state.index].raw.trim());
+            state.index++;
+        }
+        
+        return parts.join(style === '|' ? '\n' : ' ');
+    },
+    
+    /**
+     * Parse a scalar or flow sequence
+     * @param {string} text - Scalar text
+     * @param {number} lineNumber - Line number for errors
+     * @returns {any} Parsed value
+     */
+    parseYamlScalar: function(text, lineNumber) {
+        if (text.startsWith('[')) {
+            if (!text.endsWith(']')) {
+                throw new Error(`unterminated flow sequence on line ${lineNumber}`);
+            }
+            
+            const inner = text.slice(1, -1).trim();
+            if (inner.length === 0) return [];
+            
+            const items = inner.match(/'(?:[^']|'')*'|"(?:[^"\\]|\\.)*"|[^,]+/g) || [];
+            return items.map(item => item.trim())
+                .filter(item => item.length > 0)
+                .map(item => this.parseYamlScalar(item, lineNumber));
+        }
+        
+        if (text.startsWith('{')) {
+            throw new Error(`flow mappings are not supported (line ${lineNumber})`);
+        }
+        
+        if (text.startsWith("'")) {
+            if (!/^'(?:[^']|'')*'$/.test(text)) {
+                throw new Error(`unterminated string on line ${lineNumber}`);
+            }
+            return text.slice(1, -1).replace(/''/g, "'");
+        }
+        
+        if (text.startsWith('"')) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                throw new Error(`invalid double-quoted string on line ${lineNumber}`);
+            }
+        }
+        
+        if (/^-?\d+(\.\d+)?$/.test(text)) return parseFloat(text);
+        if (/^(true|yes)$/i.test(text)) return true;
+        if (/^(false|no)$/i.test(text)) return false;
+        if (/^(null|~)$/i.test(text)) return null;
+        
+        return text;
+    }
+};
+
+export default sigmaConverter;
@@ -1,4 +1,8 @@
 // threats.js - Definitions of all possible threat events
+// mitreTechnique is the ATT&CK technique an event is evidence of (false positives
+// carry the technique they resemble; noise has none). origin "external" marks
+// events whose source address is outside the organization; the rest come from
+// the inventory host they happen on
 const possibleEvents = [
     // Malicious events with lower likelihood
     {
@@ -10,6 +14,8 @@ const possibleEvents = [
         domain: "authentication",
         escalation: "account_lockout_simulation",
         remediation: "block_ip, reset_password",
+        mitreTechnique: "T1110",
+        origin: "external",
         education: "MITRE ATT&CK T1110: Brute Force. Multiple failed logins suggest credential guessing. Check for unusual IP patterns."
     },
     {
@@ -21,6 +27,8 @@ const possibleEvents = [
         domain: "network",
         escalation: "ddos_simulation",
         remediation: "block_ip, rate_limit",
+        mitreTechnique: "T1498",
+        origin: "external",
         education: "MITRE ATT&CK T1498: Network Denial of Service. High traffic may indicate a DDoS attack. Monitor bandwidth usage."
     },
     {
@@ -32,6 +40,7 @@ const possibleEvents = [
         domain: "endpoint",
         escalation: "malware_propagation",
         remediation: "terminate_process, block_ip",
+        mitreTechnique: "T1059",
         education: "MITRE ATT&CK T1059: Command and Scripting Interpreter. Indicates potential malware. Investigate process origins."
     },
     {
@@ -43,6 +52,7 @@ const possibleEvents = [
         domain: "network",
         escalation: "c2_communication",
         remediation: "block_ip, blacklist_domain",
+        mitreTechnique: "T1071",
         education: "MITRE ATT&CK T1071: Application Layer Protocol. Suggests command and control. Check domain reputation."
     },
     {
@@ -54,6 +64,8 @@ const possibleEvents = [
         domain: "web",
         escalation: "sql_injection_simulation",
         remediation: "patch_vulnerability, block_ip",
+        mitreTechnique: "T1190",
+        origin: "external",
         education: "CVE-2021-44228: Log4j vulnerability. HTTP errors may indicate injection attacks. Patch and monitor."
     },
     {
@@ -65,6 +77,7 @@ const possibleEvents = [
         domain: "access_control",
         escalation: "privilege_escalation",
         remediation: "revoke_access, reset_password",
+        mitreTechnique: "T1078",
         education: "MITRE ATT&CK T1078: Valid Accounts. Suggests insider threat or exploit. Audit permissions."
     },
     {
@@ -76,18 +89,21 @@ const possibleEvents = [
         domain: "infrastructure",
         escalation: "ransomware_simulation",
         remediation: "restore_backup, reboot_server",
+        mitreTechnique: "T1486",
         education: "MITRE ATT&CK T1486: Data Encrypted for Impact. Indicates ransomware. Isolate and recover."
     },
     {
         type: "sql_injection",
         category: "malicious",
         description: "Potential SQL injection attempt",
-        url: () => `/vulnerable-page-${Math.floor(Math.random() * 10)}.php`,
+        url: (random) => `/vulnerable-page-${Math.floor(random() * 10)}.php`,
         likelihood: 0.04, // Reduced from 0.07
         baseSeverity: 6,
         domain: "web",
         escalation: "database_compromise",
         remediation: "patch_vulnerability, block_ip",
+        mitreTechnique: "T1190",
+        origin: "external",
         education: "MITRE ATT&CK T1190: Exploit Public-Facing Application. SQL injection targets web apps. Patch immediately."
     },
     
@@ -100,6 +116,8 @@ const possibleEvents = [
         baseSeverity: 1,
         isNoise: true,
         domain: "network",
+        mitreTechnique: null,
+        origin: "external",
         education: "Noise: Routine traffic logged for monitoring. Typically benign unless patterns change."
     },
     {
@@ -110,6 +128,7 @@ const possibleEvents = [
         baseSeverity: 1,
         isNoise: true,
         domain: "authentication",
+        mitreTechnique: null,
         education: "Noise: Regular user authentication activity. No unusual patterns detected."
     },
     {
@@ -120,6 +139,7 @@ const possibleEvents = [
         baseSeverity: 1,
         isNoise: true,
         domain: "infrastructure",
+        mitreTechnique: null,
         education: "Noise: Automated backup process running as scheduled. Normal maintenance activity."
     },
     {
@@ -130,6 +150,7 @@ const possibleEvents = [
         baseSeverity: 1,
         isNoise: true,
         domain: "infrastructure",
+        mitreTechnique: null,
         education: "Noise: Routine check for system updates. Part of normal maintenance cycle."
     },
     
@@ -142,6 +163,7 @@ const possibleEvents = [
         baseSeverity: 2,
         isFalsePositive: true,
         domain: "network",
+        mitreTechnique: "T1046",
         education: "False Positive: Internal vulnerability scan. Logged due to security testing, not a threat."
     },
     {
@@ -152,6 +174,7 @@ const possibleEvents = [
         baseSeverity: 2,
         isFalsePositive: true,
         domain: "web",
+        mitreTechnique: "T1190",
         education: "False Positive: Developer is testing new features in the staging environment. Expected activity."
     },
     {
@@ -162,6 +185,7 @@ const possibleEvents = [
         baseSeverity: 2,
         isFalsePositive: true,
         domain: "infrastructure",
+        mitreTechnique: "T1489",
         education: "False Positive: Scheduled service restart as part of maintenance window. Expected activity."
     }
 ];
@@ -2,7 +2,18 @@
 import eventBus from './eventBus.js';
 import gameModel from './gameModel.js';
 import ruleEngine from './ruleEngine.js';
-import { sanitizeString, debounce, throttle } from './utils.js';
+import ruleQuery from './ruleQuery.js';
+import ruleAnalytics from './ruleAnalytics.js';
+import ruleLinter from './ruleLinter.js';
+import ruleHistory from './ruleHistory.js';
+import mitreAttack from './mitreAttack.js';
+import mitreCoverage from './mitreCoverage.js';
+import assetInventory from './assetInventory.js';
+import gameClock from './gameClock.js';
+import rawLogFormatter from './rawLogFormatter.js';
+import logReplay from './logReplay.js';
+import eventSources from './eventSources.js';
+import { sanitizeString, formatTime, formatDuration, debounce, throttle } from './utils.js';
 
 const uiController = {
     // DOM element references
@@ -22,6 +33,21 @@ const uiController = {
         notifications: null
     },
     
+    // ID of the rule loaded into the editor, or null when creating a new rule
+    editingRuleId: null,
+    
+    // Linter findings by rule ID
+    ruleFindings: new Map(),
+    
+    // ID of the rule shown in the history panel
+    historyRuleId: null,
+    
+    // ID of the rule being dragged to a new priority
+    draggedRuleId: null,
+    
+    // Whether each rule was in force at the last timing refresh
+    ruleActiveStates: new Map(),
+    
     /**
      * Initialize the UI controller
      */
@@ -35,6 +61,9 @@ const uiController = {
         // Subscribe to event bus events
         this.subscribeToEvents();
         
+        // Tick rule expiry countdowns
+        setInterval(this.updateRuleTimings.bind(this), 1000);
+        
         // Initialize security dashboard
         this.initSecurityDashboard();
         
@@ -70,6 +99,7 @@ const uiController = {
         // Rule editor
         this.elements.ruleForm = {
             form: document.getElementById('rule-form'),
+            ruleKind: document.getElementById('rule-kind'),
             conditionType: document.getElementById('rule-condition-type'),
             threshold: document.getElementById('rule-threshold-input'),
             processName: document.getElementById('rule-process-name-input'),
@@ -77,12 +107,105 @@ const uiController = {
             errorCode: document.getElementById('rule-error-code-threshold-input'),
             resourceKeyword: document.getElementById('rule-resource-keyword-input'),
             serviceName: document.getElementById('rule-service-name-input'),
+            keywordMatch: document.getElementById('rule-keyword-match'),
             combinator: document.getElementById('rule-combinator'),
+            clauses: document.getElementById('rule-clauses'),
+            addClauseButton: document.getElementById('rule-add-clause-button'),
+            responseSteps: document.getElementById('rule-response-steps'),
+            addResponseButton: document.getElementById('rule-add-response-button'),
+            outcome: document.getElementById('rule-outcome'),
+            outcomeTag: document.getElementById('rule-outcome-tag'),
+            stopProcessing: document.getElementById('rule-stop-processing'),
+            mitreTechnique: document.getElementById('rule-mitre-technique'),
+            expiryMode: document.getElementById('rule-expiry-mode'),
+            expiryMinutes: document.getElementById('rule-expiry-minutes'),
+            expiryAt: document.getElementById('rule-expiry-at'),
+            scheduleStart: document.getElementById('rule-schedule-start'),
+            scheduleEnd: document.getElementById('rule-schedule-end'),
+            queryInput: document.getElementById('rule-query-input'),
+            queryError: document.getElementById('rule-query-error'),
+            correlationMode: document.getElementById('rule-correlation-mode'),
+            correlationTypes: document.getElementById('rule-correlation-types'),
+            correlationGroupBy: document.getElementById('rule-correlation-group-by'),
+            correlationWindow: document.getElementById('rule-correlation-window'),
+            correlationMinCount: document.getElementById('rule-correlation-min-count'),
             testButton: document.getElementById('rule-test-button'),
+            backtestButton: document.getElementById('rule-backtest-button'),
+            backtestSource: document.getElementById('rule-backtest-source'),
+            backtestImportButton: document.getElementById('rule-backtest-import-button'),
+            backtestImportInput: document.getElementById('rule-backtest-import-input'),
+            backtestImportStatus: document.getElementById('rule-backtest-import-status'),
+            versionNote: document.getElementById('rule-version-note'),
             saveButton: document.getElementById('rule-save-button'),
+            cancelEditButton: document.getElementById('rule-cancel-edit-button'),
             testOutput: document.getElementById('rule-test-output')
         };
         
+        // Rule library
+        this.elements.ruleLibrary = {
+            importButton: document.getElementById('sigma-import-button'),
+            importInput: document.getElementById('sigma-import-input'),
+            report: document.getElementById('sigma-report')
+        };
+        
+        // Archived rules
+        this.elements.ruleArchive = {
+            list: document.getElementById('archived-rules'),
+            count: document.getElementById('archived-rule-count')
+        };
+        
+        // Rule history
+        this.elements.ruleHistory = {
+            card: document.getElementById('rule-history'),
+            title: document.getElementById('rule-history-title'),
+            versions: document.getElementById('rule-history-versions'),
+            from: document.getElementById('rule-history-from'),
+            to: document.getElementById('rule-history-to'),
+            diff: document.getElementById('rule-history-diff'),
+            closeButton: document.getElementById('rule-history-close-button')
+        };
+        
+        // Organization model
+        this.elements.inventory = {
+            summary: document.getElementById('inventory-summary'),
+            importButton: document.getElementById('inventory-import-button'),
+            importInput: document.getElementById('inventory-import-input'),
+            generatedButton: document.getElementById('inventory-generated-button'),
+            hostCount: document.getElementById('inventory-host-count'),
+            hostTable: document.getElementById('inventory-host-table'),
+            userCount: document.getElementById('inventory-user-count'),
+            userTable: document.getElementById('inventory-user-table')
+        };
+        
+        // Event sources and recorded log replay
+        this.elements.eventSourceList = document.getElementById('event-source-list');
+        this.elements.logReplay = {
+            summary: document.getElementById('replay-summary'),
+            progress: document.getElementById('replay-progress'),
+            scale: document.getElementById('replay-scale'),
+            loadButton: document.getElementById('replay-load-button'),
+            loadInput: document.getElementById('replay-load-input'),
+            startButton: document.getElementById('replay-start-button'),
+            stopButton: document.getElementById('replay-stop-button')
+        };
+        
+        // ATT&CK coverage heatmap
+        this.elements.attackCoverage = document.getElementById('attack-coverage-matrix');
+        
+        // Allowlist and suppressions
+        this.elements.suppressions = {
+            kind: document.getElementById('suppression-kind'),
+            field: document.getElementById('suppression-field'),
+            value: document.getElementById('suppression-value'),
+            durationGroup: document.getElementById('suppression-duration-group'),
+            duration: document.getElementById('suppression-duration'),
+            note: document.getElementById('suppression-note'),
+            addButton: document.getElementById('suppression-add-button'),
+            list: document.getElementById('suppression-list'),
+            auditCount: document.getElementById('suppressed-count'),
+            auditList: document.getElementById('suppressed-events-list')
+        };
+        
         // Action panel
         this.elements.actionButtons = document.querySelectorAll('#actions .action-button, #manual-actions .action-button');
         this.elements.actionDropzone = document.getElementById('action-dropzone');
@@ -90,9 +213,23 @@ const uiController = {
         // Game controls
         this.elements.gameControls = {
             startButton: document.getElementById('start-simulation-btn'),
+            pauseButton: document.getElementById('pause-simulation-btn'),
             resetButton: document.getElementById('reset-game-btn')
         };
         
+        // Game clock
+        this.elements.clockControls = {
+            time: document.getElementById('clock-time'),
+            speed: document.getElementById('clock-speed'),
+            stepButton: document.getElementById('step-simulation-btn')
+        };
+        
+        // Event stream seed
+        this.elements.sessionSeed = {
+            value: document.getElementById('session-seed-value'),
+            link: document.getElementById('session-seed-link')
+        };
+        
         // Case builder
         this.elements.caseBuilderDropZone = document.getElementById('case-builder-dropzone');
         
@@ -121,33 +258,179 @@ const uiController = {
             });
         }
         
+        if (this.elements.gameControls.pauseButton) {
+            this.elements.gameControls.pauseButton.addEventListener('click', () => {
+                eventBus.publish('ui:pauseGame');
+            });
+        }
+        
         if (this.elements.gameControls.resetButton) {
             this.elements.gameControls.resetButton.addEventListener('click', () => {
                 eventBus.publish('ui:resetGame');
             });
         }
         
+        // Clock speed and single-step
+        if (this.elements.clockControls.speed) {
+            gameClock.speeds.forEach(speed => {
+                const option = document.createElement('option');
+                option.value = speed;
+                option.textContent = `${speed}x`;
+                this.elements.clockControls.speed.appendChild(option);
+            });
+            this.displayClock({ time: gameClock.now(), speed: gameClock.speed });
+            
+            this.elements.clockControls.speed.addEventListener('change', event => {
+                eventBus.publish('ui:setClockSpeed', { speed: event.target.value });
+            });
+        }
+        
+        if (this.elements.clockControls.stepButton) {
+            this.elements.clockControls.stepButton.addEventListener('click', () => {
+                eventBus.publish('ui:stepGame');
+            });
+        }
+        
         // Rule form
         if (this.elements.ruleForm.form) {
             // Condition type change handler
             this.elements.ruleForm.conditionType.addEventListener('change', 
                 this.updateRuleInputFields.bind(this));
             
+            // Rule type and correlation mode change handlers
+            if (this.elements.ruleForm.ruleKind) {
+                this.elements.ruleForm.ruleKind.addEventListener('change', 
+                    this.updateRuleInputFields.bind(this));
+            }
+            
+            if (this.elements.ruleForm.correlationMode) {
+                this.elements.ruleForm.correlationMode.addEventListener('change', 
+                    this.updateRuleInputFields.bind(this));
+            }
+            
+            if (this.elements.ruleForm.outcome) {
+                this.elements.ruleForm.outcome.addEventListener('change', 
+                    this.updateRuleInputFields.bind(this));
+            }
+            
+            if (this.elements.ruleForm.expiryMode) {
+                this.elements.ruleForm.expiryMode.addEventListener('change', 
+                    this.updateRuleInputFields.bind(this));
+            }
+            
+            if (this.elements.ruleForm.mitreTechnique) {
+                this.populateTechniqueOptions();
+            }
+            
+            // Check query syntax as the user types
+            if (this.elements.ruleForm.queryInput) {
+                this.elements.ruleForm.queryInput.addEventListener('input', debounce(() => {
+                    this.validateQueryInput();
+                }, 300));
+            }
+            
+            // Add clause button
+            if (this.elements.ruleForm.addClauseButton) {
+                this.elements.ruleForm.addClauseButton.addEventListener('click', () => {
+                    this.addClauseRow();
+                });
+            }
+            
+            // Add response button
+            if (this.elements.ruleForm.addResponseButton) {
+                this.elements.ruleForm.addResponseButton.addEventListener('click', () => {
+                    this.addResponseRow();
+                });
+            }
+            
             // Test rule button
             this.elements.ruleForm.testButton.addEventListener('click', () => {
                 const rule = this.getRuleFromForm();
                 if (rule) {
-                    eventBus.publish('ui:testRule', { rule });
+                    eventBus.publish('ui:testRule', { rule, ruleId: this.editingRuleId });
                 }
             });
             
-            // Save rule button
+            // Backtest button
+            if (this.elements.ruleForm.backtestButton) {
+                this.elements.ruleForm.backtestButton.addEventListener('click', () => {
+                    const rule = this.getRuleFromForm();
+                    if (rule) {
+                        const source = this.elements.ruleForm.backtestSource ? 
+                            this.elements.ruleForm.backtestSource.value : 'history';
+                        eventBus.publish('ui:backtestRule', { rule, source });
+                    }
+                });
+            }
+            
+            // Backtest event set import
+            if (this.elements.ruleForm.backtestImportButton && this.elements.ruleForm.backtestImportInput) {
+                const importInput = this.elements.ruleForm.backtestImportInput;
+                
+                this.elements.ruleForm.backtestImportButton.addEventListener('click', () => {
+                    importInput.click();
+                });
+                
+                importInput.addEventListener('change', () => {
+                    const file = importInput.files[0];
+                    if (!file) return;
+                    
+                    file.text().then(text => {
+                        eventBus.publish('ui:importBacktestEvents', { text, fileName: file.name });
+                    }).catch(error => {
+                        this.showNotification('error', `Could not read ${file.name}: ${error.message}`);
+                    });
+                    
+                    importInput.value = '';
+                });
+            }
+            
+            // Save rule button (updates the rule in place when editing)
             this.elements.ruleForm.saveButton.addEventListener('click', () => {
                 const rule = this.getRuleFromForm();
                 if (rule) {
-                    eventBus.publish('ui:saveRule', { rule });
+                    const versionNote = this.elements.ruleForm.versionNote;
+                    eventBus.publish('ui:saveRule', {
+                        rule,
+                        ruleId: this.editingRuleId,
+                        note: versionNote ? versionNote.value.trim() : ''
+                    });
+                    
+                    if (versionNote) {
+                        versionNote.value = '';
+                    }
                 }
             });
+            
+            // Cancel edit button
+            if (this.elements.ruleForm.cancelEditButton) {
+                this.elements.ruleForm.cancelEditButton.addEventListener('click', () => {
+                    this.setEditingRule(null);
+                });
+            }
+        }
+        
+        // Sigma import
+        if (this.elements.ruleLibrary.importButton && this.elements.ruleLibrary.importInput) {
+            const importInput = this.elements.ruleLibrary.importInput;
+            
+            this.elements.ruleLibrary.importButton.addEventListener('click', () => {
+                importInput.click();
+            });
+            
+            importInput.addEventListener('change', () => {
+                const file = importInput.files[0];
+                if (!file) return;
+                
+                file.text().then(text => {
+                    eventBus.publish('ui:importSigma', { text, fileName: file.name });
+                }).catch(error => {
+                    this.showNotification('error', `Could not read ${file.name}: ${error.message}`);
+                });
+                
+                // Allow the same file to be picked again
+                importInput.value = '';
+            });
         }
         
         // Alert list events
@@ -175,6 +458,178 @@ const uiController = {
             }
         }
         
+        // Archived rules
+        if (this.elements.ruleArchive.list) {
+            this.elements.ruleArchive.list.addEventListener('click', (e) => {
+                const restoreButton = e.target.closest('[data-restore-rule-id]');
+                if (restoreButton) {
+                    eventBus.publish('ui:restoreRule', { ruleId: restoreButton.dataset.restoreRuleId });
+                }
+                
+                const deleteButton = e.target.closest('[data-delete-rule-id]');
+                if (deleteButton) {
+                    eventBus.publish('ui:deleteArchivedRule', { ruleId: deleteButton.dataset.deleteRuleId });
+                }
+            });
+        }
+        
+        // Rule history
+        const history = this.elements.ruleHistory;
+        if (history.card) {
+            history.from.addEventListener('change', this.renderRuleHistoryDiff.bind(this));
+            history.to.addEventListener('change', this.renderRuleHistoryDiff.bind(this));
+            
+            history.versions.addEventListener('click', (e) => {
+                const rollbackButton = e.target.closest('[data-version]');
+                if (rollbackButton) {
+                    eventBus.publish('ui:rollbackRule', {
+                        ruleId: this.historyRuleId,
+                        version: Number(rollbackButton.dataset.version)
+                    });
+                }
+            });
+            
+            history.closeButton.addEventListener('click', () => {
+                this.historyRuleId = null;
+                history.card.hidden = true;
+            });
+        }
+        
+        // Organization model
+        const inventory = this.elements.inventory;
+        if (inventory.importButton && inventory.importInput) {
+            inventory.importButton.addEventListener('click', () => {
+                inventory.importInput.click();
+            });
+            
+            inventory.importInput.addEventListener('change', () => {
+                const file = inventory.importInput.files[0];
+                if (!file) return;
+                
+                file.text().then(text => {
+                    eventBus.publish('ui:importInventory', { text, fileName: file.name });
+                }).catch(error => {
+                    this.showNotification('error', `Could not read ${file.name}: ${error.message}`);
+                });
+                
+                inventory.importInput.value = '';
+            });
+        }
+        
+        if (inventory.generatedButton) {
+            inventory.generatedButton.addEventListener('click', () => {
+                eventBus.publish('ui:useGeneratedInventory');
+            });
+        }
+        
+        // Event sources
+        if (this.elements.eventSourceList) {
+            this.elements.eventSourceList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-source-id]');
+                if (button) {
+                    eventBus.publish(button.dataset.sourceAction === 'pause' ? 'ui:pauseSource' : 'ui:resumeSource', 
+                        { sourceId: button.dataset.sourceId });
+                }
+            });
+        }
+        
+        // Recorded log replay
+        const replay = this.elements.logReplay;
+        if (replay.loadButton && replay.loadInput) {
+            replay.loadButton.addEventListener('click', () => {
+                replay.loadInput.click();
+            });
+            
+            replay.loadInput.addEventListener('change', () => {
+                const file = replay.loadInput.files[0];
+                if (!file) return;
+                
+                file.text().then(text => {
+                    eventBus.publish('ui:loadReplay', { text, fileName: file.name });
+                }).catch(error => {
+                    this.showNotification('error', `Could not read ${file.name}: ${error.message}`);
+                });
+                
+                replay.loadInput.value = '';
+            });
+        }
+        
+        if (replay.scale) {
+            logReplay.scales.forEach(scale => {
+                const option = document.createElement('option');
+                option.value = scale;
+                option.textContent = scale === 1 ? 'Original timing' : `${scale}x faster`;
+                replay.scale.appendChild(option);
+            });
+            replay.scale.value = String(logReplay.scale);
+            
+            replay.scale.addEventListener('change', event => {
+                eventBus.publish('ui:setReplayScale', { scale: event.target.value });
+            });
+        }
+        
+        if (replay.startButton) {
+            replay.startButton.addEventListener('click', () => {
+                eventBus.publish('ui:startReplay');
+            });
+        }
+        
+        if (replay.stopButton) {
+            replay.stopButton.addEventListener('click', () => {
+                eventBus.publish('ui:stopReplay');
+            });
+        }
+        
+        this.renderReplay();
+        
+        // Allowlist and suppressions
+        const suppressions = this.elements.suppressions;
+        if (suppressions.kind) {
+            suppressions.kind.addEventListener('change', 
+                this.updateSuppressionFields.bind(this));
+            this.updateSuppressionFields();
+        }
+        
+        if (suppressions.addButton) {
+            suppressions.addButton.addEventListener('click', () => {
+                const entry = {
+                    field: suppressions.field.value,
+                    value: suppressions.value.value.trim(),
+                    note: suppressions.note.value.trim()
+                };
+                
+                if (suppressions.kind.value === 'window') {
+                    entry.minutes = parseFloat(suppressions.duration.value);
+                    eventBus.publish('ui:addSuppressionWindow', entry);
+                } else {
+                    eventBus.publish('ui:addAllowlistEntry', entry);
+                }
+                
+                suppressions.value.value = '';
+                suppressions.note.value = '';
+            });
+        }
+        
+        if (suppressions.list) {
+            suppressions.list.addEventListener('click', (e) => {
+                const removeButton = e.target.closest('[data-suppression-id]');
+                if (removeButton) {
+                    eventBus.publish('ui:removeSuppression', {
+                        id: removeButton.dataset.suppressionId
+                    });
+                }
+            });
+        }
+        
+        if (suppressions.auditList) {
+            suppressions.auditList.addEventListener('click', (e) => {
+                const auditItem = e.target.closest('li');
+                if (auditItem && auditItem.dataset.event) {
+                    this.displayLogDetails(auditItem.dataset.event);
+                }
+            });
+        }
+        
         // Set up drag and drop
         this.setupDragAndDrop();
         
@@ -222,10 +677,59 @@ const uiController = {
      */
     subscribeToEvents: function() {
         eventBus.subscribe('event:added', this.handleNewEvent.bind(this));
+        eventBus.subscribe('event:triaged', this.handleEventTriaged.bind(this));
         eventBus.subscribe('events:escalated', this.handleEscalatedEvents.bind(this));
         eventBus.subscribe('brief:new', this.displayBrief.bind(this));
         eventBus.subscribe('rule:testResults', this.displayRuleTestResults.bind(this));
+        eventBus.subscribe('rule:backtestResults', this.displayBacktestResults.bind(this));
+        eventBus.subscribe('backtest:eventsLoaded', this.handleBacktestEventsLoaded.bind(this));
         eventBus.subscribe('rule:added', this.handleRuleAdded.bind(this));
+        eventBus.subscribe('rule:updated', this.handleRuleUpdated.bind(this));
+        eventBus.subscribe('rule:deleted', this.handleRuleDeleted.bind(this));
+        eventBus.subscribe('rules:loaded', this.handleRulesLoaded.bind(this));
+        eventBus.subscribe('rules:reordered', this.handleRulesLoaded.bind(this));
+        eventBus.subscribe('rule:archived', this.handleRuleArchived.bind(this));
+        
+        // The heatmap follows the rule set and this session's malicious events
+        const renderAttackCoverage = debounce(this.renderAttackCoverage.bind(this), 250);
+        eventBus.subscribe('rule:added', renderAttackCoverage);
+        eventBus.subscribe('rule:updated', data => {
+            if (data.change !== 'stats') renderAttackCoverage();
+        });
+        eventBus.subscribe('rule:deleted', renderAttackCoverage);
+        eventBus.subscribe('rules:loaded', renderAttackCoverage);
+        eventBus.subscribe('event:added', data => {
+            if (data.event.category === 'malicious') renderAttackCoverage();
+        });
+        eventBus.subscribe('events:escalated', renderAttackCoverage);
+        eventBus.subscribe('game:reset', renderAttackCoverage);
+        eventBus.subscribe('rule:versioned', data => {
+            if (data.ruleId === this.historyRuleId) this.renderRuleHistory();
+        });
+        eventBus.subscribe('sigma:exported', this.downloadSigmaRule.bind(this));
+        eventBus.subscribe('sigma:report', this.displaySigmaReport.bind(this));
+        eventBus.subscribe('gameState:loaded', this.renderSuppressions.bind(this));
+        eventBus.subscribe('suppressions:changed', this.renderSuppressionList.bind(this));
+        eventBus.subscribe('event:suppressed', this.handleEventSuppressed.bind(this));
+        eventBus.subscribe('seed:changed', this.displaySeed.bind(this));
+        eventBus.subscribe('clock:tick', this.displayClock.bind(this));
+        eventBus.subscribe('clock:changed', this.displayClock.bind(this));
+        eventBus.subscribe('inventory:changed', this.renderInventory.bind(this));
+        eventBus.subscribe('sources:changed', this.renderEventSources.bind(this));
+        eventBus.subscribe('replay:loaded', this.handleReplayLoaded.bind(this));
+        eventBus.subscribe('replay:started', this.renderReplay.bind(this));
+        eventBus.subscribe('replay:paused', this.renderReplay.bind(this));
+        eventBus.subscribe('replay:stopped', this.renderReplay.bind(this));
+        eventBus.subscribe('replay:progress', this.renderReplay.bind(this));
+        eventBus.subscribe('replay:finished', data => {
+            this.renderReplay();
+            this.showNotification('success', `Replay of ${data.fileName} finished: ${data.count} events.`);
+        });
+        eventBus.subscribe('campaign:cancelled', data => 
+            this.showNotification('success', `Campaign ${data.campaign.id} contained: its remaining stages are cancelled.`));
+        eventBus.subscribe('campaign:degraded', data => 
+            this.showNotification('info', `Campaign ${data.campaign.id} degraded: its remaining stages will be slower and weaker.`));
+        eventBus.subscribe('attacker:adapted', data => this.showNotification('warning', data.message));
         eventBus.subscribe('game:started', this.handleGameStarted.bind(this));
         eventBus.subscribe('game:paused', this.handleGamePaused.bind(this));
         eventBus.subscribe('game:reset', this.handleGameReset.bind(this));
@@ -482,7 +986,7 @@ const uiController = {
         const formattedType = eventType.charAt(0).toUpperCase() + eventType.slice(1);
         
         // Get current time
-        const currentTime = new Date().toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        const currentTime = new Date(gameModel.now()).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
         
         actionItem.innerHTML = `
             <div class="action-icon">${actionIcon}</div>
@@ -553,15 +1057,29 @@ const uiController = {
         li.setAttribute('draggable', true);
         
         // Add CSS class based on severity
-        if (alert.severity >= 7) {
-            li.classList.add('high-severity');
-        } else if (alert.severity >= 4) {
-            li.classList.add('medium-severity');
-        } else {
-            li.classList.add('low-severity');
-        }
+        this.setAlertSeverityClass(li, alert.severity);
+        
+        // Set text content for safety
+        li.textContent = this.formatAlertText(alert);
+        
+        // Add drag event listeners
+        li.addEventListener('dragstart', this.handleDragStart.bind(this));
+        
+        // Add to list (at beginning)
+        this.elements.alertList.prepend(li);
         
-        // Build alert text
+        // Limit number of alerts shown (performance)
+        while (this.elements.alertList.children.length > 100) {
+            this.elements.alertList.removeChild(this.elements.alertList.lastChild);
+        }
+    },
+    
+    /**
+     * Build the text of an alert
+     * @param {object} alert - Alert data
+     * @returns {string} Alert text
+     */
+    formatAlertText: function(alert) {
         let alertText = `${alert.timestamp} - ${alert.type}: `;
         if (alert.ip) alertText += `IP: ${alert.ip} `;
         if (alert.port) alertText += `Port: ${alert.port} `;
@@ -573,19 +1091,49 @@ const uiController = {
         if (alert.resource) alertText += `Resource: ${alert.resource} `;
         if (alert.service) alertText += `Service: ${alert.service} `;
         if (alert.description) alertText += `${alert.description} `;
+        if (alert.campaignId) alertText += `[${alert.campaignId}: ${alert.campaignStage}] `;
+        if (alert.tags) alertText += alert.tags.map(tag => `[${tag}] `).join('');
+        if (alert.closedBy) alertText += '(closed by rule)';
         
-        // Set text content for safety
-        li.textContent = alertText;
+        return alertText;
+    },
+    
+    /**
+     * Set the severity class of an alert item
+     * @param {HTMLElement} li - Alert item
+     * @param {number} severity - Event severity
+     */
+    setAlertSeverityClass: function(li, severity) {
+        li.classList.toggle('high-severity', severity >= 7);
+        li.classList.toggle('medium-severity', severity >= 4 && severity < 7);
+        li.classList.toggle('low-severity', severity < 4);
+    },
+    
+    /**
+     * Show a rule's triage outcome on the event's alert
+     * @param {object} data - Event, rule, outcome and points from the event bus
+     */
+    handleEventTriaged: function(data) {
+        if (!this.elements.alertList) return;
         
-        // Add drag event listeners
-        li.addEventListener('dragstart', this.handleDragStart.bind(this));
+        const event = data.event;
+        const li = Array.from(this.elements.alertList.children).find(item => {
+            try {
+                return JSON.parse(item.dataset.event)._id === event._id;
+            } catch (e) {
+                return false;
+            }
+        });
+        if (!li) return;
         
-        // Add to list (at beginning)
-        this.elements.alertList.prepend(li);
+        li.dataset.event = JSON.stringify(event);
+        li.textContent = this.formatAlertText(event);
+        this.setAlertSeverityClass(li, event.severity);
         
-        // Limit number of alerts shown (performance)
-        while (this.elements.alertList.children.length > 100) {
-            this.elements.alertList.removeChild(this.elements.alertList.lastChild);
+        // Closed alerts leave the triage queue
+        if (event.closedBy) {
+            li.classList.add('alert-closed');
+            li.setAttribute('draggable', false);
         }
     },
     
@@ -1009,9 +1557,34 @@ const uiController = {
             content += `<p><strong>Severity:</strong> ${event.severity}</p>`;
             content += `<p><strong>Category:</strong> ${sanitizeString(event.category)}</p>`;
             
-            // Add type-specific fields
-            if (event.ip) content += `<p><strong>IP:</strong> ${sanitizeString(event.ip)}</p>`;
-            if (event.user) content += `<p><strong>User:</strong> ${sanitizeString(event.user)}</p>`;
+            // Add type-specific fields, with what the inventory knows about the host and user
+            const host = assetInventory.getEventHost(event);
+            const user = event.user && assetInventory.findUser(event.user);
+            if (host) {
+                content += `<p><strong>Host:</strong> ${sanitizeString(host.hostname)} ` +
+                    `(${sanitizeString([host.os, host.subnet, host.owner].filter(Boolean).join(', '))}; ` +
+                    `${sanitizeString(host.criticality)} criticality)</p>`;
+            }
+            if (event.ip) {
+                content += `<p><strong>IP:</strong> ${sanitizeString(event.ip)}` +
+                    (event.network ? ` (${sanitizeString(event.network)})` : '') + '</p>';
+            }
+            if (event.country) {
+                content += `<p><strong>Location:</strong> ${sanitizeString(event.countryName || event.country)} ` +
+                    `(${sanitizeString(event.country)})</p>`;
+            }
+            if (event.asn) {
+                content += `<p><strong>ASN:</strong> AS${sanitizeString(event.asn)}` +
+                    (event.org ? ` (${sanitizeString(event.org)})` : '') + '</p>';
+            }
+            if (typeof event.reputation === 'number') {
+                content += `<p><strong>Reputation:</strong> ${event.reputation}/100</p>`;
+            }
+            if (event.user) {
+                content += `<p><strong>User:</strong> ${sanitizeString(event.user)}` +
+                    (user ? ` (${sanitizeString([user.department, user.privilege].filter(Boolean).join(', '))})` : '') +
+                    '</p>';
+            }
             if (event.process) content += `<p><strong>Process:</strong> ${sanitizeString(event.process)}</p>`;
             if (event.domain) content += `<p><strong>Domain:</strong> ${sanitizeString(event.domain)}</p>`;
             if (event.url) content += `<p><strong>URL:</strong> ${sanitizeString(event.url)}</p>`;
@@ -1024,6 +1597,17 @@ const uiController = {
                 content += `<p><strong>Education:</strong> ${sanitizeString(event.education)}</p>`;
             }
             
+            // Add the raw line as its source logged it, event fields highlighted
+            if (event.rawLog) {
+                const rawLog = rawLogFormatter.getSegments(event).map(segment => segment.field ?
+                    `<span class="raw-log-field" title="${sanitizeString(segment.field)}">${sanitizeString(segment.text)}</span>` :
+                    sanitizeString(segment.text)
+                ).join('');
+                const formatName = rawLogFormatter.formatNames[event.rawLogFormat] || event.rawLogFormat;
+                content += `<p><strong>Raw log (${sanitizeString(formatName)}):</strong></p>` +
+                    `<pre class="raw-log">${rawLog}</pre>`;
+            }
+            
             // Set content and show
             this.elements.logDetailContent.innerHTML = content;
             this.elements.logDetails.hidden = false;
@@ -1040,6 +1624,42 @@ const uiController = {
         // Hide all input fields first
         this.hideAllRuleInputFields();
         
+        // Tag outcomes need the tag to apply
+        if (this.elements.ruleForm.outcome) {
+            document.getElementById('outcome-tag-group').hidden = 
+                this.elements.ruleForm.outcome.value !== 'tag';
+        }
+        
+        if (this.elements.ruleForm.expiryMode) {
+            const expiryMode = this.elements.ruleForm.expiryMode.value;
+            this.elements.ruleForm.expiryMinutes.hidden = expiryMode !== 'duration';
+            this.elements.ruleForm.expiryAt.hidden = expiryMode !== 'at';
+        }
+        
+        // Correlation and query rules replace the single-event condition
+        const ruleKind = this.elements.ruleForm.ruleKind ? 
+            this.elements.ruleForm.ruleKind.value : 'event';
+        const isCorrelation = ruleKind === 'correlation';
+        const isQuery = ruleKind === 'query';
+        
+        document.getElementById('condition-type-group').hidden = isCorrelation || isQuery;
+        document.getElementById('correlation-group').hidden = !isCorrelation;
+        document.getElementById('query-group').hidden = !isQuery;
+        
+        // A query expresses all of its conditions itself
+        document.getElementById('combinator-group').hidden = isQuery;
+        document.getElementById('clauses-group').hidden = isQuery;
+        
+        if (isQuery) {
+            return;
+        }
+        
+        if (isCorrelation) {
+            document.getElementById('correlation-count-group').hidden = 
+                this.elements.ruleForm.correlationMode.value !== 'count';
+            return;
+        }
+        
         // Get selected condition type
         const conditionType = this.elements.ruleForm.conditionType.value;
         
@@ -1070,6 +1690,9 @@ const uiController = {
                 document.getElementById('service-name-group').hidden = false;
                 break;
         }
+        
+        document.getElementById('keyword-match-group').hidden = 
+            !ruleEngine.keywordConditionTypes.includes(conditionType);
     },
     
     /**
@@ -1082,56 +1705,437 @@ const uiController = {
         document.getElementById('error-code-group').hidden = true;
         document.getElementById('resource-keyword-group').hidden = true;
         document.getElementById('service-name-group').hidden = true;
+        document.getElementById('keyword-match-group').hidden = true;
     },
     
     /**
-     * Get rule configuration from form
-     * @returns {object|null} Rule configuration or null if invalid
+     * Add a clause row to the rule editor
+     * @param {object} clause - Optional clause to prefill ({ field, operator, value, negate })
      */
-    getRuleFromForm: function() {
-        const conditionType = this.elements.ruleForm.conditionType.value;
-        const combinator = this.elements.ruleForm.combinator.value;
+    addClauseRow: function(clause = {}) {
+        const container = this.elements.ruleForm.clauses;
+        if (!container) return;
+        
+        const row = document.createElement('div');
+        row.className = 'rule-clause';
+        row.setAttribute('role', 'listitem');
+        
+        // NOT toggle
+        const negateLabel = document.createElement('label');
+        negateLabel.className = 'clause-negate';
+        const negate = document.createElement('input');
+        negate.type = 'checkbox';
+        negate.className = 'clause-negate-input';
+        negate.checked = Boolean(clause.negate);
+        negateLabel.appendChild(negate);
+        negateLabel.appendChild(document.createTextNode(' NOT'));
+        
+        // Field selector
+        const field = document.createElement('select');
+        field.className = 'clause-field';
+        field.setAttribute('aria-label', 'Condition field');
+        ruleEngine.conditionFields.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            field.appendChild(option);
+        });
+        if (clause.field) field.value = clause.field;
+        
+        // Operator selector
+        const operator = document.createElement('select');
+        operator.className = 'clause-operator';
+        operator.setAttribute('aria-label', 'Condition operator');
+        Object.entries(ruleEngine.operators).forEach(([key, definition]) => {
+            const option = document.createElement('option');
+            option.value = key;
+            option.textContent = definition.label;
+            operator.appendChild(option);
+        });
+        if (clause.operator) operator.value = clause.operator;
         
-        let rule = {
-            conditionType: conditionType,
-            combinator: combinator
+        // Value input, with a hint for operators that take a pattern, list or range
+        const value = document.createElement('input');
+        value.type = 'text';
+        value.className = 'clause-value';
+        value.setAttribute('aria-label', 'Condition value');
+        value.value = clause.value !== undefined ? clause.value : '';
+        
+        const updatePlaceholder = () => {
+            value.placeholder = ruleEngine.operators[operator.value].placeholder || '';
         };
+        operator.addEventListener('change', updatePlaceholder);
+        updatePlaceholder();
+        
+        // Remove button
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'clause-remove';
+        removeButton.setAttribute('aria-label', 'Remove condition');
+        removeButton.textContent = '✕';
+        removeButton.addEventListener('click', () => {
+            row.remove();
+        });
         
-        switch (conditionType) {
-            case "login_fail":
-            case "traffic_spike":
-                rule.threshold = this.elements.ruleForm.threshold.value;
-                if (!rule.threshold) {
-                    this.showNotification('error', 'Threshold value is required for this rule.');
-                    return null;
-                }
-                break;
-                
-            case "process_spawn":
-                rule.processName = this.elements.ruleForm.processName.value;
-                if (!rule.processName) {
-                    this.showNotification('error', 'Process name is required for this rule.');
-                    return null;
-                }
-                break;
-                
-            case "dns_query":
-                rule.domainKeyword = this.elements.ruleForm.domainKeyword.value;
-                if (!rule.domainKeyword) {
-                    this.showNotification('error', 'Domain keyword is required for this rule.');
-                    return null;
-                }
-                break;
-                
-            case "http_error":
-                rule.errorCodeThreshold = this.elements.ruleForm.errorCode.value;
-                if (!rule.errorCodeThreshold) {
-                    this.showNotification('error', 'HTTP Error Code Threshold is required for this rule.');
-                    return null;
-                }
-                break;
-                
-            case "unauthorized_access":
+        row.appendChild(negateLabel);
+        row.appendChild(field);
+        row.appendChild(operator);
+        row.appendChild(value);
+        row.appendChild(removeButton);
+        
+        container.appendChild(row);
+    },
+    
+    /**
+     * Add a response step to the rule editor
+     * @param {string} action - Optional action to preselect
+     */
+    addResponseRow: function(action) {
+        const container = this.elements.ruleForm.responseSteps;
+        if (!container) return;
+        
+        const row = document.createElement('div');
+        row.className = 'rule-clause';
+        row.setAttribute('role', 'listitem');
+        
+        // Action selector
+        const select = document.createElement('select');
+        select.className = 'response-action';
+        select.setAttribute('aria-label', 'Response action');
+        ruleEngine.responseActions.forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = this.formatAction(name);
+            select.appendChild(option);
+        });
+        if (action) select.value = action;
+        
+        // Remove button
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'clause-remove';
+        removeButton.setAttribute('aria-label', 'Remove response');
+        removeButton.textContent = '✕';
+        removeButton.addEventListener('click', () => {
+            row.remove();
+        });
+        
+        row.appendChild(select);
+        row.appendChild(removeButton);
+        
+        container.appendChild(row);
+    },
+    
+    /**
+     * Read the ordered response actions from the rule editor
+     * @returns {array} Actions
+     */
+    getResponseFromForm: function() {
+        const container = this.elements.ruleForm.responseSteps;
+        if (!container) return [];
+        
+        return Array.from(container.querySelectorAll('.response-action')).map(select => select.value);
+    },
+    
+    /**
+     * Format an action for display
+     * @param {string} action - Action key, e.g. block_ip
+     * @returns {string} Label, e.g. "Block ip"
+     */
+    formatAction: function(action) {
+        const label = action.replace(/_/g, ' ');
+        return label.charAt(0).toUpperCase() + label.slice(1);
+    },
+    
+    /**
+     * Read the additional clauses from the rule editor
+     * @returns {array|null} Clauses or null if a row is incomplete
+     */
+    getClausesFromForm: function() {
+        const container = this.elements.ruleForm.clauses;
+        if (!container) return [];
+        
+        const clauses = [];
+        const rows = container.querySelectorAll('.rule-clause');
+        
+        for (const row of rows) {
+            const clause = {
+                field: row.querySelector('.clause-field').value,
+                operator: row.querySelector('.clause-operator').value,
+                value: row.querySelector('.clause-value').value.trim(),
+                negate: row.querySelector('.clause-negate-input').checked
+            };
+            
+            if (!clause.value) {
+                this.showNotification('error', `A value is required for the ${clause.field} condition.`);
+                return null;
+            }
+            
+            const error = ruleEngine.getValueError(clause.operator, clause.value);
+            if (error) {
+                this.showNotification('error', `The ${clause.field} condition ${error}.`);
+                return null;
+            }
+            
+            clauses.push(clause);
+        }
+        
+        return clauses;
+    },
+    
+    /**
+     * Get query rule configuration from form
+     * @returns {object|null} Rule configuration or null if invalid
+     */
+    getQueryRuleFromForm: function() {
+        const query = this.elements.ruleForm.queryInput.value;
+        
+        if (!this.validateQueryInput()) {
+            this.showNotification('error', 'The query has a syntax error. Please fix it before continuing.');
+            return null;
+        }
+        
+        return {
+            ruleType: 'query',
+            query: query.trim()
+        };
+    },
+    
+    /**
+     * Check the query in the editor and show any syntax error inline
+     * @returns {boolean} True if the query parses
+     */
+    validateQueryInput: function() {
+        const form = this.elements.ruleForm;
+        if (!form.queryInput || !form.queryError) return false;
+        
+        const source = form.queryInput.value;
+        const { error } = ruleQuery.parse(source);
+        
+        if (!error) {
+            form.queryError.hidden = true;
+            form.queryError.innerHTML = '';
+            form.queryInput.removeAttribute('aria-invalid');
+            return true;
+        }
+        
+        form.queryError.innerHTML = '';
+        
+        // Locate the error within its line (queries may span several lines)
+        const before = source.slice(0, error.column - 1);
+        const lineNumber = before.split('\n').length;
+        const lineStart = before.lastIndexOf('\n') + 1;
+        const lineColumn = error.column - lineStart;
+        const lineEnd = source.indexOf('\n', lineStart);
+        const lineText = source.slice(lineStart, lineEnd === -1 ? source.length : lineEnd);
+        
+        const message = document.createElement('div');
+        message.className = 'query-error-message';
+        message.textContent = lineNumber > 1 ?
+            `Line ${lineNumber}, column ${lineColumn}: ${error.message}` :
+            `Column ${lineColumn}: ${error.message}`;
+        
+        // Echo the offending line with a caret under the error position
+        const pointer = document.createElement('pre');
+        pointer.className = 'query-error-pointer';
+        pointer.textContent = `${lineText}\n${' '.repeat(Math.max(0, lineColumn - 1))}^`;
+        
+        form.queryError.appendChild(message);
+        form.queryError.appendChild(pointer);
+        form.queryError.hidden = false;
+        form.queryInput.setAttribute('aria-invalid', 'true');
+        
+        return false;
+    },
+    
+    /**
+     * Get correlation rule configuration from form
+     * @returns {object|null} Rule configuration or null if invalid
+     */
+    getCorrelationRuleFromForm: function() {
+        const form = this.elements.ruleForm;
+        const eventTypes = form.correlationTypes.value
+            .split(',')
+            .map(type => type.trim())
+            .filter(type => type.length > 0);
+        
+        if (eventTypes.length === 0) {
+            this.showNotification('error', 'At least one event type is required for a correlation rule.');
+            return null;
+        }
+        
+        const rule = {
+            ruleType: 'correlation',
+            combinator: form.combinator ? form.combinator.value : 'AND',
+            correlation: {
+                mode: form.correlationMode.value,
+                eventTypes: eventTypes,
+                groupBy: form.correlationGroupBy.value,
+                windowSeconds: form.correlationWindow.value
+            }
+        };
+        
+        if (rule.correlation.mode === 'count') {
+            rule.correlation.minCount = form.correlationMinCount.value;
+        } else if (eventTypes.length < 2) {
+            this.showNotification('error', 'A sequence needs at least two event types.');
+            return null;
+        }
+        
+        const conditions = this.getClausesFromForm();
+        if (!conditions) {
+            return null;
+        }
+        rule.conditions = conditions;
+        
+        return rule;
+    },
+    
+    /**
+     * Get rule configuration from form, including its response
+     * @returns {object|null} Rule configuration or null if invalid
+     */
+    getRuleFromForm: function() {
+        const rule = this.getDetectionFromForm();
+        if (!rule) {
+            return null;
+        }
+        
+        // A single action is stored as-is, several (or none) as an ordered list
+        const response = this.getResponseFromForm();
+        rule.response = response.length === 1 ? response[0] : response;
+        
+        const outcome = this.elements.ruleForm.outcome ? this.elements.ruleForm.outcome.value : '';
+        if (outcome) {
+            rule.outcome = outcome;
+            
+            if (outcome === 'tag') {
+                rule.tag = this.elements.ruleForm.outcomeTag.value.trim();
+                if (!rule.tag) {
+                    this.showNotification('error', 'A tag is required for the Tag outcome.');
+                    return null;
+                }
+            }
+        }
+        
+        if (this.elements.ruleForm.stopProcessing && this.elements.ruleForm.stopProcessing.checked) {
+            rule.stopProcessing = true;
+        }
+        
+        // Left on Auto, the rule engine takes the technique from the event type
+        const technique = this.elements.ruleForm.mitreTechnique ? this.elements.ruleForm.mitreTechnique.value : '';
+        if (technique) {
+            rule.mitreTechnique = technique === 'none' ? null : technique;
+        }
+        
+        const timing = this.getRuleTimingFromForm();
+        if (!timing) {
+            return null;
+        }
+        
+        return Object.assign(rule, timing);
+    },
+    
+    /**
+     * Read a rule's expiry and active schedule from the form
+     * @returns {object|null} { expiresAt, schedule } (each only if set), or null if invalid
+     */
+    getRuleTimingFromForm: function() {
+        const form = this.elements.ruleForm;
+        const timing = {};
+        if (!form.expiryMode) {
+            return timing;
+        }
+        
+        // Durations count from now on the simulated clock
+        if (form.expiryMode.value === 'duration') {
+            const minutes = parseFloat(form.expiryMinutes.value);
+            if (isNaN(minutes) || minutes <= 0) {
+                this.showNotification('error', 'The expiry duration must be a positive number of minutes.');
+                return null;
+            }
+            timing.expiresAt = gameModel.now() + minutes * 60000;
+        } else if (form.expiryMode.value === 'at') {
+            const expiresAt = new Date(form.expiryAt.value).getTime();
+            if (isNaN(expiresAt) || expiresAt <= gameModel.now()) {
+                this.showNotification('error', 'The expiry time must be in the future.');
+                return null;
+            }
+            timing.expiresAt = expiresAt;
+        }
+        
+        const start = form.scheduleStart.value;
+        const end = form.scheduleEnd.value;
+        if (start || end) {
+            if (!start || !end || start === end) {
+                this.showNotification('error', 'An active schedule needs different start and end times.');
+                return null;
+            }
+            timing.schedule = { start, end };
+        }
+        
+        return timing;
+    },
+    
+    /**
+     * Get the detection part of the rule from the form
+     * @returns {object|null} Rule configuration or null if invalid
+     */
+    getDetectionFromForm: function() {
+        if (this.elements.ruleForm.ruleKind && 
+            this.elements.ruleForm.ruleKind.value === 'correlation') {
+            return this.getCorrelationRuleFromForm();
+        }
+        
+        if (this.elements.ruleForm.ruleKind && 
+            this.elements.ruleForm.ruleKind.value === 'query') {
+            return this.getQueryRuleFromForm();
+        }
+        
+        const conditionType = this.elements.ruleForm.conditionType.value;
+        const combinator = this.elements.ruleForm.combinator ? 
+            this.elements.ruleForm.combinator.value : 'AND';
+        
+        let rule = {
+            conditionType: conditionType,
+            combinator: combinator
+        };
+        
+        switch (conditionType) {
+            case "login_fail":
+            case "traffic_spike":
+                rule.threshold = this.elements.ruleForm.threshold.value;
+                if (!rule.threshold) {
+                    this.showNotification('error', 'Threshold value is required for this rule.');
+                    return null;
+                }
+                break;
+                
+            case "process_spawn":
+                rule.processName = this.elements.ruleForm.processName.value;
+                if (!rule.processName) {
+                    this.showNotification('error', 'Process name is required for this rule.');
+                    return null;
+                }
+                break;
+                
+            case "dns_query":
+                rule.domainKeyword = this.elements.ruleForm.domainKeyword.value;
+                if (!rule.domainKeyword) {
+                    this.showNotification('error', 'Domain keyword is required for this rule.');
+                    return null;
+                }
+                break;
+                
+            case "http_error":
+                rule.errorCodeThreshold = this.elements.ruleForm.errorCode.value;
+                if (!rule.errorCodeThreshold) {
+                    this.showNotification('error', 'HTTP Error Code Threshold is required for this rule.');
+                    return null;
+                }
+                break;
+                
+            case "unauthorized_access":
                 rule.resourceKeyword = this.elements.ruleForm.resourceKeyword.value;
                 if (!rule.resourceKeyword) {
                     this.showNotification('error', 'Resource keyword is required for this rule.');
@@ -1148,202 +2152,1433 @@ const uiController = {
                 break;
                 
             default:
+                // Noise, false-positive and SQL injection rules match on type and clauses alone
+                break;
+        }
+        
+        // Keywords can be matched as a regular expression instead
+        if (ruleEngine.keywordConditionTypes.includes(conditionType) && this.elements.ruleForm.keywordMatch) {
+            rule.keywordMatch = this.elements.ruleForm.keywordMatch.value;
+            
+            const primaryClause = ruleEngine.getPrimaryClause(rule);
+            const error = ruleEngine.getValueError(primaryClause.operator, primaryClause.value);
+            if (error) {
+                this.showNotification('error', `The ${primaryClause.field} condition ${error}.`);
                 return null;
+            }
+        }
+        
+        const conditions = this.getClausesFromForm();
+        if (!conditions) {
+            return null;
+        }
+        rule.conditions = conditions;
+        
+        return rule;
+    },
+    
+    /**
+     * Display rule test results
+     * @param {object} data - Test results data from the event bus
+     */
+    displayRuleTestResults: function(data) {
+        const testOutput = this.elements.ruleForm.testOutput;
+        if (!testOutput) return;
+        
+        const results = data.results;
+        
+        testOutput.innerHTML = '';
+        
+        if (results.length === 0) {
+            testOutput.textContent = 'No events matched the rule.';
+        } else {
+            const summary = document.createElement('div');
+            summary.innerHTML = `<p><strong>Total Matches: ${results.length}</strong></p>`;
+            
+            // Group results by user
+            const groupedByUser = {};
+            results.forEach(result => {
+                const user = result.event.user || 'Unknown';
+                if (!groupedByUser[user]) groupedByUser[user] = [];
+                groupedByUser[user].push(result);
+            });
+            
+            // Display grouped results
+            Object.entries(groupedByUser).forEach(([user, userResults]) => {
+                const userSummary = document.createElement('div');
+                userSummary.innerHTML = `<p>User: ${sanitizeString(user)} - Matches: ${userResults.length}</p>`;
+                
+                const details = document.createElement('ul');
+                details.style.marginLeft = '20px';
+                
+                userResults.forEach(result => {
+                    const event = result.event;
+                    const li = document.createElement('li');
+                    li.textContent = `${event.timestamp}: IP ${event.ip}, Type ${event.type}`;
+                    
+                    // Correlation matches list every contributing event
+                    if (result.events) {
+                        li.textContent += ` (${result.events.length} correlated events)`;
+                    }
+                    details.appendChild(li);
+                });
+                
+                userSummary.appendChild(details);
+                summary.appendChild(userSummary);
+            });
+            
+            // Add show details button
+            const showDetails = document.createElement('button');
+            showDetails.textContent = 'Show Full Details';
+            showDetails.dataset.expanded = 'false';
+            
+            showDetails.addEventListener('click', () => {
+                if (showDetails.dataset.expanded === 'false') {
+                    // Create details content
+                    const detailsContent = document.createElement('div');
+                    detailsContent.innerHTML = '<hr><h4>Full Event Details</h4>';
+                    
+                    results.forEach(result => {
+                        const eventDetails = document.createElement('p');
+                        eventDetails.textContent = `Rule matched event: ${JSON.stringify(result.event)}`;
+                        detailsContent.appendChild(eventDetails);
+                    });
+                    
+                    // Add after button
+                    showDetails.parentNode.insertBefore(detailsContent, showDetails.nextSibling);
+                    
+                    // Update button
+                    showDetails.textContent = 'Hide Details';
+                    showDetails.dataset.expanded = 'true';
+                } else {
+                    // Remove details
+                    const detailsDiv = showDetails.nextSibling;
+                    if (detailsDiv) {
+                        detailsDiv.remove();
+                    }
+                    
+                    // Update button
+                    showDetails.textContent = 'Show Full Details';
+                    showDetails.dataset.expanded = 'false';
+                }
+            });
+            
+            summary.appendChild(showDetails);
+            testOutput.appendChild(summary);
+        }
+        
+        if (data.traces) {
+            testOutput.appendChild(this.createRuleTrace(data));
+        }
+        
+        testOutput.hidden = false;
+    },
+    
+    /**
+     * Show the order the library evaluates rules in and which rule won each sample event
+     * @param {object} data - Candidate rule, rules in priority order and traces from the event bus
+     * @returns {HTMLElement} Trace section
+     */
+    createRuleTrace: function(data) {
+        const section = document.createElement('div');
+        section.className = 'rule-trace';
+        
+        const label = rule => `${this.getRuleName(rule)}${rule === data.rule ? ' (this rule)' : ''}`;
+        
+        const orderHeading = document.createElement('h4');
+        orderHeading.textContent = 'Evaluation Order';
+        section.appendChild(orderHeading);
+        
+        const order = document.createElement('ol');
+        data.rules.forEach(rule => {
+            const item = document.createElement('li');
+            item.textContent = label(rule) + (rule.stopProcessing ? ' · stops processing' : '');
+            if (rule === data.rule) {
+                item.className = 'rule-trace-candidate';
+            }
+            order.appendChild(item);
+        });
+        section.appendChild(order);
+        
+        const winnerHeading = document.createElement('h4');
+        winnerHeading.textContent = 'Winning Rule per Event';
+        section.appendChild(winnerHeading);
+        
+        const matchedTraces = data.traces.filter(trace => trace.winner);
+        if (matchedTraces.length === 0) {
+            const none = document.createElement('p');
+            none.textContent = 'No rule matched the sample events.';
+            section.appendChild(none);
+            return section;
+        }
+        
+        const winners = document.createElement('ul');
+        matchedTraces.forEach(trace => {
+            const item = document.createElement('li');
+            const others = trace.steps
+                .filter(step => step.events && step.rule !== trace.winner)
+                .map(step => label(step.rule));
+            
+            item.textContent = `${trace.event.timestamp} ${trace.event.type}: ${label(trace.winner)} won`;
+            if (others.length > 0) {
+                item.textContent += `; also matched ${others.join(', ')}`;
+            }
+            if (trace.stoppedBy) {
+                item.textContent += `; ${label(trace.stoppedBy)} stopped processing` +
+                    (trace.skipped.length > 0 ? `, skipping ${trace.skipped.map(label).join(', ')}` : '');
+            }
+            
+            if (trace.winner === data.rule) {
+                item.className = 'rule-trace-candidate';
+            }
+            winners.appendChild(item);
+        });
+        section.appendChild(winners);
+        
+        return section;
+    },
+    
+    /**
+     * Display a backtest report
+     * @param {object} data - Rule, source name and report from the event bus
+     */
+    displayBacktestResults: function(data) {
+        const testOutput = this.elements.ruleForm.testOutput;
+        if (!testOutput) return;
+        
+        const report = data.report;
+        const percent = value => value === null ? '—' : `${Math.round(value * 100)}%`;
+        
+        testOutput.innerHTML = '';
+        
+        const summary = document.createElement('div');
+        summary.className = 'backtest-summary';
+        summary.innerHTML = `
+            <p><strong>Backtest over ${sanitizeString(data.sourceName)} (${report.total} events)</strong></p>
+            <table class="backtest-metrics">
+                <tr><th scope="row">True positives</th><td>${report.truePositives.length}</td></tr>
+                <tr><th scope="row">False positives</th><td>${report.falsePositives.length}</td></tr>
+                <tr><th scope="row">Missed malicious</th><td>${report.missed.length}</td></tr>
+                <tr><th scope="row">Precision</th><td>${percent(report.precision)}</td></tr>
+                <tr><th scope="row">Recall</th><td>${percent(report.recall)}</td></tr>
+            </table>
+        `;
+        
+        // Explain what recall is measured against
+        const scope = document.createElement('p');
+        scope.className = 'backtest-note';
+        scope.textContent = report.scopeTypes ?
+            `Recall counts malicious ${report.scopeTypes.join(', ')} events.` :
+            'Recall counts all malicious events.';
+        if (report.unlabelled > 0) {
+            scope.textContent += ` ${report.unlabelled} events without a category were skipped.`;
+        }
+        summary.appendChild(scope);
+        
+        summary.appendChild(this.createBacktestEventList('False positives', report.falsePositives));
+        summary.appendChild(this.createBacktestEventList('Missed malicious events', report.missed));
+        
+        testOutput.appendChild(summary);
+        testOutput.hidden = false;
+    },
+    
+    /**
+     * List events from a backtest report
+     * @param {string} title - List title
+     * @param {array} events - Events
+     * @returns {HTMLElement} Collapsible list
+     */
+    createBacktestEventList: function(title, events) {
+        const maxShown = 20;
+        
+        const details = document.createElement('details');
+        const summary = document.createElement('summary');
+        summary.textContent = `${title} (${events.length})`;
+        details.appendChild(summary);
+        
+        const list = document.createElement('ul');
+        events.slice(0, maxShown).forEach(event => {
+            const li = document.createElement('li');
+            li.textContent = `${event.timestamp || '?'}: ${event.type} (${event.category}), IP ${event.ip || '—'}`;
+            list.appendChild(li);
+        });
+        
+        if (events.length > maxShown) {
+            const more = document.createElement('li');
+            more.textContent = `…and ${events.length - maxShown} more`;
+            list.appendChild(more);
+        }
+        
+        details.appendChild(list);
+        
+        return details;
+    },
+    
+    /**
+     * Show the imported backtest event set
+     * @param {object} data - File name, event count and issues from the event bus
+     */
+    handleBacktestEventsLoaded: function(data) {
+        const status = this.elements.ruleForm.backtestImportStatus;
+        if (status) {
+            status.textContent = `${data.fileName}: ${data.count} events`;
+            status.title = data.issues.join('\n');
+        }
+        
+        if (this.elements.ruleForm.backtestSource) {
+            this.elements.ruleForm.backtestSource.value = 'imported';
+        }
+        
+        this.showNotification(data.issues.length > 0 ? 'warning' : 'success', 
+            `Loaded ${data.count} events from ${data.fileName}.${data.issues.length > 0 ? ' ' + data.issues.join(' ') : ''}`);
+    },
+    
+    /**
+     * Handle rule added
+     * @param {object} data - Rule data from the event bus
+     */
+    handleRuleAdded: function(data) {
+        const rule = data.rule;
+        this.addRuleToLibrary(rule);
+        this.refreshRuleWarnings();
+        
+        // A restored rule leaves the archive
+        this.renderRuleArchive();
+    },
+    
+    /**
+     * Handle rule updated (edited or toggled)
+     * @param {object} data - Rule data from the event bus
+     */
+    handleRuleUpdated: function(data) {
+        const rule = data.rule;
+        const existing = this.findRuleItem(rule.id);
+        
+        if (existing) {
+            existing.replaceWith(this.createRuleItem(rule));
+        } else {
+            this.addRuleToLibrary(rule);
+        }
+        
+        // Saving an edit finishes editing
+        if (data.change === 'edited' && this.editingRuleId === rule.id) {
+            this.setEditingRule(null);
+        }
+        
+        // Stats don't change what a rule detects
+        if (data.change !== 'stats') {
+            this.refreshRuleWarnings();
+        }
+    },
+    
+    /**
+     * Handle rule deleted
+     * @param {object} data - Rule data from the event bus
+     */
+    handleRuleDeleted: function(data) {
+        const ruleItem = this.findRuleItem(data.rule.id);
+        if (ruleItem) {
+            ruleItem.remove();
+        }
+        
+        if (this.editingRuleId === data.rule.id) {
+            this.setEditingRule(null);
+        }
+        
+        if (this.historyRuleId === data.rule.id && this.elements.ruleHistory.card) {
+            this.historyRuleId = null;
+            this.elements.ruleHistory.card.hidden = true;
+        }
+        
+        this.refreshRulePriorities();
+        this.showNoRulesMessageIfEmpty();
+        this.refreshRuleWarnings();
+        this.renderRuleArchive();
+    },
+    
+    /**
+     * Handle an expired rule moving to the archive
+     * @param {object} data - Rule from the event bus
+     */
+    handleRuleArchived: function(data) {
+        // It leaves the library the same way a deleted rule does
+        this.handleRuleDeleted(data);
+        this.showNotification('info', `${this.getRuleName(data.rule)} expired and moved to the archive.`);
+    },
+    
+    /**
+     * Render the saved rules when they're loaded
+     * @param {object} data - Rules from the event bus
+     */
+    handleRulesLoaded: function(data) {
+        const activeRules = document.getElementById('active-rules');
+        if (!activeRules) return;
+        
+        activeRules.querySelectorAll('.rule-item').forEach(item => item.remove());
+        data.rules.forEach(rule => this.addRuleToLibrary(rule));
+        
+        this.showNoRulesMessageIfEmpty();
+        this.refreshRuleWarnings();
+        this.renderRuleArchive();
+    },
+    
+    /**
+     * Render the archive of expired rules
+     */
+    renderRuleArchive: function() {
+        const { list, count } = this.elements.ruleArchive;
+        if (!list) return;
+        
+        const archived = gameModel.state.archivedRules;
+        count.textContent = archived.length;
+        list.innerHTML = '';
+        
+        if (archived.length === 0) {
+            list.innerHTML = '<p class="no-rules-message">No archived rules.</p>';
+            return;
+        }
+        
+        // Most recently expired first
+        archived.slice().reverse().forEach(rule => {
+            const item = document.createElement('div');
+            item.className = 'rule-item archived-rule';
+            item.setAttribute('role', 'listitem');
+            
+            const info = document.createElement('div');
+            info.className = 'rule-info';
+            info.innerHTML = `<div class="rule-name">${sanitizeString(this.getRuleName(rule))}</div>` +
+                `<div class="rule-condition">${sanitizeString(this.formatRuleCondition(rule))}</div>` +
+                `<div class="rule-timing">Expired ${formatTime(rule.archivedAt)}</div>`;
+            
+            const actions = document.createElement('div');
+            actions.className = 'rule-actions';
+            
+            const restoreButton = document.createElement('button');
+            restoreButton.type = 'button';
+            restoreButton.textContent = 'Restore';
+            restoreButton.dataset.restoreRuleId = rule.id;
+            
+            const deleteButton = document.createElement('button');
+            deleteButton.type = 'button';
+            deleteButton.textContent = 'Delete';
+            deleteButton.dataset.deleteRuleId = rule.id;
+            
+            actions.appendChild(restoreButton);
+            actions.appendChild(deleteButton);
+            item.appendChild(info);
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Describe when a rule is in force
+     * @param {object} rule - Rule
+     * @returns {string} Countdown and schedule, or empty for rules that always apply
+     */
+    formatRuleTiming: function(rule) {
+        const now = gameModel.now();
+        const parts = [];
+        
+        if (rule.expiresAt !== undefined) {
+            parts.push(`Expires in ${formatDuration(rule.expiresAt - now)}`);
+        }
+        
+        if (rule.schedule) {
+            const inSchedule = ruleEngine.isInSchedule(rule.schedule, now);
+            parts.push(`Active ${rule.schedule.start}–${rule.schedule.end}${inSchedule ? '' : ' (outside schedule)'}`);
+        }
+        
+        return parts.join(' · ');
+    },
+    
+    /**
+     * Refresh the expiry countdowns and schedule states in the library
+     */
+    updateRuleTimings: function() {
+        document.querySelectorAll('#active-rules .rule-item').forEach(item => {
+            const timing = item.querySelector('.rule-timing');
+            const rule = ruleEngine.getRule(item.dataset.ruleId);
+            if (timing && rule) {
+                timing.textContent = this.formatRuleTiming(rule);
+            }
+        });
+        
+        // Scheduled and expiring rules drop in and out of coverage; redraw it
+        // only when one does (rule changes redraw it themselves)
+        const now = gameModel.now();
+        const activeStates = new Map();
+        let flipped = false;
+        gameModel.state.rules.forEach(rule => {
+            const active = ruleEngine.isRuleActive(rule, now);
+            const previous = this.ruleActiveStates.get(rule.id);
+            flipped = flipped || (previous !== undefined && previous !== active);
+            activeStates.set(rule.id, active);
+        });
+        this.ruleActiveStates = activeStates;
+        
+        if (flipped) {
+            this.renderAttackCoverage();
+        }
+    },
+    
+    /**
+     * Renumber the priority badges in library order
+     */
+    refreshRulePriorities: function() {
+        document.querySelectorAll('#active-rules .rule-item').forEach((item, index) => {
+            const priority = item.querySelector('.rule-priority');
+            if (priority) {
+                priority.textContent = `#${index + 1}`;
+            }
+        });
+    },
+    
+    /**
+     * Re-lint the rule library and update each rule's warnings
+     */
+    refreshRuleWarnings: function() {
+        this.ruleFindings = new Map();
+        ruleLinter.lintRules(gameModel.state.rules).forEach(finding => {
+            const findings = this.ruleFindings.get(finding.ruleId) || [];
+            findings.push(finding);
+            this.ruleFindings.set(finding.ruleId, findings);
+        });
+        
+        gameModel.state.rules.forEach(rule => {
+            const ruleItem = this.findRuleItem(rule.id);
+            const warnings = ruleItem && ruleItem.querySelector('.rule-warnings');
+            if (warnings) {
+                warnings.replaceWith(this.createRuleWarnings(rule));
+            }
+        });
+    },
+    
+    /**
+     * Create the linter warnings shown under a rule
+     * @param {object} rule - Rule
+     * @returns {HTMLElement} Warning list (hidden when there are none)
+     */
+    createRuleWarnings: function(rule) {
+        const warnings = document.createElement('ul');
+        warnings.className = 'rule-warnings';
+        
+        const findings = this.ruleFindings.get(rule.id) || [];
+        warnings.hidden = findings.length === 0;
+        
+        findings.forEach(finding => {
+            const warning = document.createElement('li');
+            warning.className = `rule-warning rule-warning-${finding.kind}`;
+            warning.textContent = `⚠ ${finding.message}`;
+            warnings.appendChild(warning);
+        });
+        
+        return warnings;
+    },
+    
+    /**
+     * Find a rule's item in the rule library
+     * @param {string} ruleId - Rule ID
+     * @returns {HTMLElement|null} Rule item
+     */
+    findRuleItem: function(ruleId) {
+        const activeRules = document.getElementById('active-rules');
+        if (!activeRules) return null;
+        
+        return Array.from(activeRules.querySelectorAll('.rule-item'))
+            .find(item => item.dataset.ruleId === ruleId) || null;
+    },
+    
+    /**
+     * Show the "no rules" message if the library is empty
+     */
+    showNoRulesMessageIfEmpty: function() {
+        const activeRules = document.getElementById('active-rules');
+        if (!activeRules || activeRules.querySelector('.rule-item, .no-rules-message')) return;
+        
+        const noRulesMsg = document.createElement('p');
+        noRulesMsg.className = 'no-rules-message';
+        noRulesMsg.textContent = 'No active rules. Create rules using the Rule Editor.';
+        activeRules.appendChild(noRulesMsg);
+    },
+    
+    /**
+     * Add a rule to the rule library
+     * @param {object} rule - Rule configuration
+     */
+    addRuleToLibrary: function(rule) {
+        const activeRules = document.getElementById('active-rules');
+        if (!activeRules) return;
+        
+        // Remove the "no rules" message if it exists
+        const noRulesMsg = activeRules.querySelector('.no-rules-message');
+        if (noRulesMsg) {
+            noRulesMsg.remove();
+        }
+        
+        // Add to rules list
+        activeRules.appendChild(this.createRuleItem(rule));
+    },
+    
+    /**
+     * Create the rule library item for a rule
+     * @param {object} rule - Rule configuration
+     * @returns {HTMLElement} Rule item
+     */
+    createRuleItem: function(rule) {
+        // Create rule item
+        const ruleItem = document.createElement('div');
+        ruleItem.className = 'rule-item';
+        ruleItem.dataset.ruleId = rule.id;
+        ruleItem.setAttribute('role', 'listitem');
+        ruleItem.setAttribute('draggable', true);
+        
+        if (rule.enabled === false) {
+            ruleItem.classList.add('rule-disabled');
+        }
+        
+        if (rule.id === this.editingRuleId) {
+            ruleItem.classList.add('rule-editing');
+        }
+        
+        const ruleName = this.getRuleName(rule);
+        
+        // Format condition
+        const condition = this.formatRuleCondition(rule);
+        
+        // Rule info
+        const ruleInfo = document.createElement('div');
+        ruleInfo.className = 'rule-info';
+        
+        const ruleNameElement = document.createElement('div');
+        ruleNameElement.className = 'rule-name';
+        
+        // Rules are evaluated top to bottom
+        const rulePriority = document.createElement('span');
+        rulePriority.className = 'rule-priority';
+        rulePriority.textContent = `#${gameModel.state.rules.indexOf(rule) + 1}`;
+        rulePriority.title = 'Priority (drag to reorder)';
+        ruleNameElement.appendChild(rulePriority);
+        ruleNameElement.appendChild(document.createTextNode(ruleName));
+        
+        const ruleCondition = document.createElement('div');
+        ruleCondition.className = 'rule-condition';
+        ruleCondition.textContent = condition;
+        
+        const actions = ruleEngine.getResponseActions(rule);
+        const ruleResponse = document.createElement('div');
+        ruleResponse.className = 'rule-response';
+        ruleResponse.textContent = actions.length > 0 ?
+            `Response: ${actions.map(action => this.formatAction(action)).join(' → ')}` :
+            (rule.markHandled ? 'Response: mark handled' : 'Response: alert only');
+        
+        if (rule.outcome) {
+            ruleResponse.textContent += rule.outcome === 'tag' ?
+                ` · Outcome: tag "${rule.tag}"` : ` · Outcome: ${this.formatAction(rule.outcome).toLowerCase()}`;
+        }
+        
+        if (rule.stopProcessing) {
+            ruleResponse.textContent += ' · Stops processing';
+        }
+        
+        const ruleTechnique = document.createElement('div');
+        ruleTechnique.className = 'rule-technique';
+        ruleTechnique.textContent = rule.mitreTechnique ? 
+            `ATT&CK: ${mitreCoverage.getTechniqueLabel(rule.mitreTechnique)}` : '';
+        
+        const ruleTiming = document.createElement('div');
+        ruleTiming.className = 'rule-timing';
+        ruleTiming.textContent = this.formatRuleTiming(rule);
+        
+        ruleInfo.appendChild(ruleNameElement);
+        ruleInfo.appendChild(ruleCondition);
+        ruleInfo.appendChild(ruleResponse);
+        ruleInfo.appendChild(ruleTechnique);
+        ruleInfo.appendChild(ruleTiming);
+        ruleInfo.appendChild(this.createRuleStats(rule));
+        ruleInfo.appendChild(this.createRuleWarnings(rule));
+        
+        // Rule actions
+        const ruleActions = document.createElement('div');
+        ruleActions.className = 'rule-actions';
+        
+        const enabled = rule.enabled !== false;
+        const enableButton = document.createElement('button');
+        enableButton.textContent = enabled ? 'Enabled' : 'Disabled';
+        enableButton.className = 'rule-enabled';
+        enableButton.setAttribute('aria-pressed', String(enabled));
+        enableButton.addEventListener('click', () => {
+            eventBus.publish('ui:toggleRule', { ruleId: rule.id, enabled: !enabled });
+        });
+        
+        const editButton = document.createElement('button');
+        editButton.textContent = 'Edit';
+        editButton.addEventListener('click', () => {
+            this.setEditingRule(rule);
+        });
+        
+        const duplicateButton = document.createElement('button');
+        duplicateButton.textContent = 'Duplicate';
+        duplicateButton.addEventListener('click', () => {
+            eventBus.publish('ui:duplicateRule', { ruleId: rule.id });
+        });
+        
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', () => {
+            eventBus.publish('ui:deleteRule', { ruleId: rule.id });
+        });
+        
+        const exportButton = document.createElement('button');
+        exportButton.textContent = 'Export Sigma';
+        exportButton.addEventListener('click', () => {
+            eventBus.publish('ui:exportSigma', { rule });
+        });
+        
+        const historyButton = document.createElement('button');
+        historyButton.textContent = 'History';
+        historyButton.addEventListener('click', () => {
+            this.showRuleHistory(rule.id);
+        });
+        
+        ruleActions.appendChild(enableButton);
+        ruleActions.appendChild(editButton);
+        ruleActions.appendChild(duplicateButton);
+        ruleActions.appendChild(historyButton);
+        ruleActions.appendChild(exportButton);
+        ruleActions.appendChild(deleteButton);
+        
+        // Assemble rule item
+        ruleItem.appendChild(ruleInfo);
+        ruleItem.appendChild(ruleActions);
+        
+        return ruleItem;
+    },
+    
+    /**
+     * Get the display name of a rule
+     * @param {object} rule - Rule configuration
+     * @returns {string} Name
+     */
+    getRuleName: function(rule) {
+        if (rule.title) {
+            return rule.title;
+        }
+        
+        if (rule.ruleType === 'query') {
+            return 'Query Rule';
+        }
+        
+        if (rule.ruleType === 'correlation') {
+            return `Correlation: ${rule.correlation.eventTypes.join(' → ')}`;
+        }
+        
+        const ruleName = rule.conditionType.replace(/_/g, ' ');
+        return ruleName.charAt(0).toUpperCase() + ruleName.slice(1);
+    },
+    
+    /**
+     * Open the history panel for a rule
+     * @param {string} ruleId - Rule ID
+     */
+    showRuleHistory: function(ruleId) {
+        const card = this.elements.ruleHistory.card;
+        if (!card) return;
+        
+        this.historyRuleId = ruleId;
+        this.renderRuleHistory();
+        
+        card.hidden = false;
+        card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    },
+    
+    /**
+     * Render the version list and version pickers of the history panel
+     */
+    renderRuleHistory: function() {
+        const history = this.elements.ruleHistory;
+        const rule = ruleEngine.getRule(this.historyRuleId);
+        if (!history.card || !rule) return;
+        
+        const versions = ruleHistory.getVersions(rule.id);
+        const latest = versions[versions.length - 1];
+        
+        history.title.textContent = `${this.getRuleName(rule)} · ${versions.length} version${versions.length === 1 ? '' : 's'}`;
+        
+        // Newest first
+        history.versions.innerHTML = '';
+        versions.slice().reverse().forEach(version => {
+            const item = document.createElement('li');
+            item.className = 'rule-history-version';
+            
+            const summary = document.createElement('span');
+            summary.textContent = `v${version.version} · ${formatTime(version.timestamp)} · ${version.change}` +
+                (version.note ? ` — ${version.note}` : '');
+            item.appendChild(summary);
+            
+            if (version !== latest) {
+                const rollbackButton = document.createElement('button');
+                rollbackButton.type = 'button';
+                rollbackButton.textContent = 'Roll back';
+                rollbackButton.dataset.version = version.version;
+                item.appendChild(rollbackButton);
+            }
+            
+            history.versions.appendChild(item);
+        });
+        
+        // Compare the latest version with the one before it
+        const previous = versions[versions.length - 2] || latest;
+        [history.from, history.to].forEach(select => {
+            select.innerHTML = '';
+            versions.forEach(version => {
+                const option = document.createElement('option');
+                option.value = version.version;
+                option.textContent = `v${version.version}`;
+                select.appendChild(option);
+            });
+        });
+        history.from.value = previous.version;
+        history.to.value = latest.version;
+        
+        this.renderRuleHistoryDiff();
+    },
+    
+    /**
+     * Render the field-level diff between the two chosen versions
+     */
+    renderRuleHistoryDiff: function() {
+        const history = this.elements.ruleHistory;
+        const versions = ruleHistory.getVersions(this.historyRuleId);
+        const from = versions.find(version => version.version === Number(history.from.value));
+        const to = versions.find(version => version.version === Number(history.to.value));
+        
+        history.diff.innerHTML = '';
+        if (!from || !to) return;
+        
+        const changes = ruleHistory.diffVersions(from, to);
+        if (changes.length === 0) {
+            history.diff.innerHTML = `<p class="rule-history-empty">No differences between v${from.version} and v${to.version}.</p>`;
+            return;
+        }
+        
+        const formatValue = value => value === undefined ? '—' : sanitizeString(String(value));
+        
+        let html = '<table class="rule-history-diff">';
+        html += `<thead><tr><th>Field</th><th>v${from.version}</th><th>v${to.version}</th></tr></thead><tbody>`;
+        changes.forEach(change => {
+            html += `<tr><td>${sanitizeString(change.field)}</td>` +
+                `<td class="diff-removed">${formatValue(change.from)}</td>` +
+                `<td class="diff-added">${formatValue(change.to)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        
+        history.diff.innerHTML = html;
+    },
+    
+    /**
+     * Create the effectiveness summary and sparkline for a rule
+     * @param {object} rule - Rule configuration
+     * @returns {HTMLElement} Stats element
+     */
+    createRuleStats: function(rule) {
+        const summary = ruleAnalytics.getSummary(rule);
+        
+        const ruleStats = document.createElement('div');
+        ruleStats.className = 'rule-stats';
+        
+        const text = document.createElement('span');
+        const precision = summary.precision === null ? '—' : `${Math.round(summary.precision * 100)}%`;
+        const timeSaved = summary.averageTimeSaved === null ? '—' : `${summary.averageTimeSaved.toFixed(1)}s`;
+        text.textContent = `Fired ${summary.fired} · Malicious ${summary.malicious} · ` +
+            `Noise ${summary.noise} · FP ${summary.falsePositive} · ` +
+            `Precision ${precision} · Avg saved ${timeSaved}`;
+        
+        ruleStats.appendChild(text);
+        ruleStats.appendChild(this.createSparkline(ruleAnalytics.getSeries(rule)));
+        
+        return ruleStats;
+    },
+    
+    /**
+     * Draw a sparkline of rule firings (all hits and malicious hits)
+     * @param {object} series - { fired, malicious } counts per bucket
+     * @returns {SVGElement} Sparkline
+     */
+    createSparkline: function(series) {
+        const width = 100;
+        const height = 20;
+        const max = Math.max(1, ...series.fired);
+        const step = width / Math.max(1, series.fired.length - 1);
+        
+        const points = values => values.map((value, index) => 
+            `${(index * step).toFixed(1)},${(height - 1 - (value / max) * (height - 2)).toFixed(1)}`
+        ).join(' ');
+        
+        const svgNamespace = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNamespace, 'svg');
+        svg.setAttribute('class', 'rule-sparkline');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('width', width);
+        svg.setAttribute('height', height);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-label', `Firings over the last ${series.fired.length} minutes`);
+        
+        [['fired', 'sparkline-fired'], ['malicious', 'sparkline-malicious']].forEach(([key, className]) => {
+            const line = document.createElementNS(svgNamespace, 'polyline');
+            line.setAttribute('class', className);
+            line.setAttribute('points', points(series[key]));
+            svg.appendChild(line);
+        });
+        
+        return svg;
+    },
+    
+    /**
+     * Load a rule into the editor to change it in place, or clear the editor
+     * @param {object|null} rule - Rule to edit, or null to stop editing
+     */
+    setEditingRule: function(rule) {
+        const form = this.elements.ruleForm;
+        
+        if (rule && !this.populateRuleForm(rule)) {
+            return;
+        }
+        
+        this.editingRuleId = rule ? rule.id : null;
+        
+        if (form.saveButton) {
+            form.saveButton.textContent = rule ? 'Update Rule' : 'Save Rule';
+        }
+        
+        if (form.cancelEditButton) {
+            form.cancelEditButton.hidden = !rule;
+        }
+        
+        document.querySelectorAll('#active-rules .rule-item').forEach(item => {
+            item.classList.toggle('rule-editing', item.dataset.ruleId === this.editingRuleId);
+        });
+        
+        if (rule && form.form) {
+            form.form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        }
+    },
+    
+    /**
+     * Fill the rule editor from a saved rule
+     * @param {object} rule - Rule configuration
+     * @returns {boolean} False if the rule can't be shown in the editor
+     */
+    populateRuleForm: function(rule) {
+        const form = this.elements.ruleForm;
+        
+        // The editor only builds flat clause lists
+        if ((rule.conditions || []).some(condition => condition.conditions)) {
+            this.showNotification('warning', 'Rules with nested condition groups cannot be edited in the Rule Editor.');
+            return false;
+        }
+        
+        form.ruleKind.value = rule.ruleType || 'event';
+        
+        if (rule.ruleType === 'query') {
+            form.queryInput.value = rule.query;
+            this.validateQueryInput();
+        } else if (rule.ruleType === 'correlation') {
+            const correlation = rule.correlation;
+            form.correlationMode.value = correlation.mode;
+            form.correlationTypes.value = correlation.eventTypes.join(', ');
+            form.correlationGroupBy.value = correlation.groupBy;
+            form.correlationWindow.value = correlation.windowSeconds;
+            if (correlation.minCount) {
+                form.correlationMinCount.value = correlation.minCount;
+            }
+        } else {
+            form.conditionType.value = rule.conditionType;
+            if (rule.threshold !== undefined) form.threshold.value = rule.threshold;
+            if (rule.processName !== undefined) form.processName.value = rule.processName;
+            if (rule.domainKeyword !== undefined) form.domainKeyword.value = rule.domainKeyword;
+            if (rule.errorCodeThreshold !== undefined) form.errorCode.value = rule.errorCodeThreshold;
+            if (rule.resourceKeyword !== undefined) form.resourceKeyword.value = rule.resourceKeyword;
+            if (rule.serviceName !== undefined) form.serviceName.value = rule.serviceName;
+            if (form.keywordMatch) form.keywordMatch.value = rule.keywordMatch || 'keyword';
+        }
+        
+        if (form.combinator) {
+            form.combinator.value = rule.combinator || 'AND';
+        }
+        
+        if (form.clauses) {
+            form.clauses.innerHTML = '';
+            (rule.conditions || []).forEach(clause => this.addClauseRow(clause));
+        }
+        
+        if (form.responseSteps) {
+            form.responseSteps.innerHTML = '';
+            ruleEngine.getResponseActions(rule).forEach(action => this.addResponseRow(action));
+        }
+        
+        if (form.outcome) {
+            form.outcome.value = rule.outcome || '';
+            form.outcomeTag.value = rule.tag || '';
+        }
+        
+        if (form.stopProcessing) {
+            form.stopProcessing.checked = Boolean(rule.stopProcessing);
+        }
+        
+        // A technique that matches the event type's stays on Auto
+        if (form.mitreTechnique) {
+            if (rule.mitreTechnique === null) {
+                form.mitreTechnique.value = 'none';
+            } else if (!rule.mitreTechnique || rule.mitreTechnique === ruleEngine.getDefaultTechnique(rule)) {
+                form.mitreTechnique.value = '';
+            } else {
+                form.mitreTechnique.value = rule.mitreTechnique;
+            }
+        }
+        
+        if (form.expiryMode) {
+            form.expiryMode.value = rule.expiresAt !== undefined ? 'at' : 'never';
+            form.expiryAt.value = rule.expiresAt !== undefined ? this.toDateTimeLocal(rule.expiresAt) : '';
+            form.scheduleStart.value = rule.schedule ? rule.schedule.start : '';
+            form.scheduleEnd.value = rule.schedule ? rule.schedule.end : '';
+        }
+        
+        this.updateRuleInputFields();
+        
+        return true;
+    },
+    
+    /**
+     * Fill the rule editor's technique picker from the ATT&CK catalog, in ID order
+     */
+    populateTechniqueOptions: function() {
+        const select = this.elements.ruleForm.mitreTechnique;
+        
+        Object.keys(mitreAttack.techniques).sort().forEach(techniqueId => {
+            const option = document.createElement('option');
+            option.value = techniqueId;
+            option.textContent = mitreCoverage.getTechniqueLabel(techniqueId);
+            select.appendChild(option);
+        });
+    },
+    
+    /**
+     * Render the ATT&CK coverage heatmap: a column per tactic, a cell per technique
+     */
+    renderAttackCoverage: function() {
+        const container = this.elements.attackCoverage;
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        mitreCoverage.getMatrix().forEach(column => {
+            const tacticColumn = document.createElement('div');
+            tacticColumn.className = 'attack-tactic';
+            tacticColumn.setAttribute('role', 'list');
+            tacticColumn.setAttribute('aria-label', column.tactic.name);
+            
+            const heading = document.createElement('div');
+            heading.className = 'attack-tactic-name';
+            heading.textContent = column.tactic.name;
+            heading.title = column.tactic.id;
+            tacticColumn.appendChild(heading);
+            
+            column.techniques.forEach(technique => {
+                const cell = document.createElement('div');
+                cell.className = `attack-technique coverage-${technique.level}`;
+                cell.setAttribute('role', 'listitem');
+                
+                // Seen but undetected is the gap worth closing first
+                if (technique.rules === 0 && technique.seen > 0) {
+                    cell.classList.add('coverage-gap');
+                }
+                
+                const ruleLabel = `${technique.rules} rule${technique.rules === 1 ? '' : 's'}`;
+                cell.title = `${technique.id}: ${technique.name}\n${ruleLabel} · ` +
+                    `seen ${technique.seen} · missed ${technique.missed}`;
+                cell.innerHTML = `<span class="attack-technique-id">${technique.id}</span>` +
+                    `<span class="attack-technique-name">${sanitizeString(technique.name)}</span>` +
+                    `<span class="attack-technique-stats">${ruleLabel} · ` +
+                    `${technique.seen} seen · ${technique.missed} missed</span>`;
+                
+                tacticColumn.appendChild(cell);
+            });
+            
+            container.appendChild(tacticColumn);
+        });
+    },
+    
+    /**
+     * Format a timestamp for a datetime-local input
+     * @param {number} timestamp - Timestamp in milliseconds
+     * @returns {string} Local date and time as YYYY-MM-DDTHH:MM
+     */
+    toDateTimeLocal: function(timestamp) {
+        const offset = new Date(timestamp).getTimezoneOffset() * 60000;
+        return new Date(timestamp - offset).toISOString().slice(0, 16);
+    },
+    
+    /**
+     * Download an exported Sigma rule
+     * @param {object} data - YAML and file name from the event bus
+     */
+    downloadSigmaRule: function(data) {
+        const blob = new Blob([data.yaml], { type: 'application/x-yaml' });
+        const url = URL.createObjectURL(blob);
+        
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = data.fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        
+        URL.revokeObjectURL(url);
+        
+        if (this.elements.ruleLibrary.report) {
+            this.elements.ruleLibrary.report.hidden = true;
         }
         
-        return rule;
+        this.showNotification('success', `Exported ${data.fileName}`);
     },
     
     /**
-     * Display rule test results
-     * @param {object} data - Test results data from the event bus
+     * List the constructs a Sigma conversion couldn't handle
+     * @param {object} data - Report title and issues from the event bus
      */
-    displayRuleTestResults: function(data) {
-        const testOutput = this.elements.ruleForm.testOutput;
-        if (!testOutput) return;
+    displaySigmaReport: function(data) {
+        const report = this.elements.ruleLibrary.report;
         
-        const results = data.results;
+        this.showNotification('error', data.title);
+        if (!report) return;
         
-        testOutput.innerHTML = '';
+        report.innerHTML = '';
         
-        if (results.length === 0) {
-            testOutput.textContent = 'No events matched the rule.';
+        const heading = document.createElement('p');
+        heading.innerHTML = `<strong>${sanitizeString(data.title)}</strong>`;
+        
+        const list = document.createElement('ul');
+        data.issues.forEach(issue => {
+            const item = document.createElement('li');
+            item.textContent = issue;
+            list.appendChild(item);
+        });
+        
+        const dismissButton = document.createElement('button');
+        dismissButton.type = 'button';
+        dismissButton.textContent = 'Dismiss';
+        dismissButton.addEventListener('click', () => {
+            report.hidden = true;
+        });
+        
+        report.appendChild(heading);
+        report.appendChild(list);
+        report.appendChild(dismissButton);
+        report.hidden = false;
+    },
+    
+    /**
+     * Render the organization's hosts and users
+     * @param {object} data - Inventory from the event bus
+     */
+    renderInventory: function(data) {
+        const elements = this.elements.inventory;
+        if (!elements.summary) return;
+        
+        const { hosts, users, source } = data.inventory;
+        const generated = source === 'generated';
+        
+        elements.summary.textContent = `${hosts.length} hosts and ${users.length} users, ` +
+            (generated ? 'generated from the session seed.' : `loaded from ${source}.`);
+        elements.generatedButton.hidden = generated;
+        
+        elements.hostCount.textContent = hosts.length;
+        let html = '<table class="inventory-table">';
+        html += '<thead><tr><th>Host</th><th>IP</th><th>OS</th><th>Subnet</th><th>Owner</th><th>Criticality</th></tr></thead><tbody>';
+        hosts.forEach(host => {
+            html += `<tr><td>${sanitizeString(host.hostname)}</td><td>${sanitizeString(host.ip)}</td>` +
+                `<td>${sanitizeString(host.os)}</td><td>${sanitizeString(host.subnet)}</td>` +
+                `<td>${sanitizeString(host.owner)}</td>` +
+                `<td class="criticality-${host.criticality}">${sanitizeString(host.criticality)}</td></tr>`;
+        });
+        elements.hostTable.innerHTML = html + '</tbody></table>';
+        
+        elements.userCount.textContent = users.length;
+        html = '<table class="inventory-table">';
+        html += '<thead><tr><th>User</th><th>Department</th><th>Privilege</th></tr></thead><tbody>';
+        users.forEach(user => {
+            html += `<tr><td>${sanitizeString(user.username)}</td><td>${sanitizeString(user.department)}</td>` +
+                `<td>${sanitizeString(user.privilege)}</td></tr>`;
+        });
+        elements.userTable.innerHTML = html + '</tbody></table>';
+    },
+    
+    /**
+     * Handle a recorded log loaded for replay
+     * @param {object} data - File name, event count, recorded duration and issues from the event bus
+     */
+    handleReplayLoaded: function(data) {
+        this.renderReplay();
+        
+        this.showNotification(data.issues.length > 0 ? 'warning' : 'success', 
+            `Loaded ${data.count} events spanning ${formatDuration(data.duration)} from ${data.fileName}.` +
+            (data.issues.length > 0 ? ' ' + data.issues.join(' ') : ''));
+    },
+    
+    /**
+     * Show the loaded log, how far the replay got and which controls apply
+     */
+    renderReplay: function() {
+        const elements = this.elements.logReplay;
+        if (!elements.summary) return;
+        
+        const count = logReplay.records.length;
+        const active = logReplay.isActive();
+        
+        if (count === 0) {
+            elements.summary.textContent = 'Load a JSONL, JSON or CSV log to replay it alongside the generated events.';
         } else {
-            const summary = document.createElement('div');
-            summary.innerHTML = `<p><strong>Total Matches: ${results.length}</strong></p>`;
-            
-            // Group results by user
-            const groupedByUser = {};
-            results.forEach(result => {
-                const user = result.event.user || 'Unknown';
-                if (!groupedByUser[user]) groupedByUser[user] = [];
-                groupedByUser[user].push(result.event);
-            });
-            
-            // Display grouped results
-            Object.entries(groupedByUser).forEach(([user, events]) => {
-                const userSummary = document.createElement('div');
-                userSummary.innerHTML = `<p>User: ${sanitizeString(user)} - Matches: ${events.length}</p>`;
-                
-                const details = document.createElement('ul');
-                details.style.marginLeft = '20px';
-                
-                events.forEach(event => {
-                    const li = document.createElement('li');
-                    li.textContent = `${event.timestamp}: IP ${event.ip}, Type ${event.type}`;
-                    details.appendChild(li);
-                });
-                
-                userSummary.appendChild(details);
-                summary.appendChild(userSummary);
-            });
+            elements.summary.textContent = `${logReplay.position} of ${count} events from ${logReplay.fileName} replayed` +
+                (active ? '; replaying on game time.' : logReplay.paused ? '; paused.' : '.');
+        }
+        
+        elements.progress.hidden = count === 0;
+        elements.progress.max = Math.max(count, 1);
+        elements.progress.value = logReplay.position;
+        
+        elements.startButton.disabled = count === 0 || active;
+        elements.startButton.textContent = logReplay.paused ? 'Resume Replay' : 'Start Replay';
+        elements.stopButton.disabled = !active && !logReplay.paused;
+        
+        this.renderEventSources();
+    },
+    
+    /**
+     * List the event sources with their state, and pause or resume buttons
+     */
+    renderEventSources: function() {
+        const list = this.elements.eventSourceList;
+        if (!list) {
+            return;
+        }
+        
+        list.innerHTML = '';
+        eventSources.describeAll().forEach(source => {
+            const item = document.createElement('div');
+            item.className = 'event-source-item';
+            item.setAttribute('role', 'listitem');
             
-            // Add show details button
-            const showDetails = document.createElement('button');
-            showDetails.textContent = 'Show Full Details';
-            showDetails.dataset.expanded = 'false';
+            const description = document.createElement('span');
+            description.innerHTML = `<strong>${sanitizeString(source.name)}</strong> ${sanitizeString(source.status)}` +
+                (source.detail ? ` <span class="event-source-detail">${sanitizeString(source.detail)}</span>` : '');
+            item.appendChild(description);
             
-            showDetails.addEventListener('click', () => {
-                if (showDetails.dataset.expanded === 'false') {
-                    // Create details content
-                    const detailsContent = document.createElement('div');
-                    detailsContent.innerHTML = '<hr><h4>Full Event Details</h4>';
-                    
-                    results.forEach(result => {
-                        const eventDetails = document.createElement('p');
-                        eventDetails.textContent = `Rule matched event: ${JSON.stringify(result.event)}`;
-                        detailsContent.appendChild(eventDetails);
-                    });
-                    
-                    // Add after button
-                    showDetails.parentNode.insertBefore(detailsContent, showDetails.nextSibling);
-                    
-                    // Update button
-                    showDetails.textContent = 'Hide Details';
-                    showDetails.dataset.expanded = 'true';
-                } else {
-                    // Remove details
-                    const detailsDiv = showDetails.nextSibling;
-                    if (detailsDiv) {
-                        detailsDiv.remove();
-                    }
-                    
-                    // Update button
-                    showDetails.textContent = 'Show Full Details';
-                    showDetails.dataset.expanded = 'false';
-                }
-            });
+            const action = source.status === 'running' ? 'pause' : source.status === 'paused' ? 'resume' : null;
+            if (action && source.capabilities.pausable) {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.textContent = action === 'pause' ? 'Pause' : 'Resume';
+                button.dataset.sourceId = source.id;
+                button.dataset.sourceAction = action;
+                item.appendChild(button);
+            }
             
-            summary.appendChild(showDetails);
-            testOutput.appendChild(summary);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Offer the fields the chosen suppression kind can match
+     */
+    updateSuppressionFields: function() {
+        const suppressions = this.elements.suppressions;
+        const isWindow = suppressions.kind.value === 'window';
+        const fields = isWindow ? gameModel.suppressionWindowFields : gameModel.allowlistFields;
+        const selected = suppressions.field.value;
+        
+        suppressions.field.innerHTML = '';
+        fields.forEach(field => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = field === 'ip' ? 'IP' : field.charAt(0).toUpperCase() + field.slice(1);
+            suppressions.field.appendChild(option);
+        });
+        
+        if (fields.includes(selected)) {
+            suppressions.field.value = selected;
         }
         
-        testOutput.hidden = false;
+        if (suppressions.durationGroup) {
+            suppressions.durationGroup.hidden = !isWindow;
+        }
     },
     
     /**
-     * Handle rule added
-     * @param {object} data - Rule data from the event bus
+     * Render the allowlist, suppression windows and audit trail from saved state
      */
-    handleRuleAdded: function(data) {
-        const rule = data.rule;
-        this.addRuleToLibrary(rule);
+    renderSuppressions: function() {
+        this.renderSuppressionList();
+        
+        const auditList = this.elements.suppressions.auditList;
+        if (!auditList) {
+            return;
+        }
+        
+        auditList.innerHTML = '';
+        gameModel.state.suppressedEvents.forEach(record => this.addSuppressedEventToAudit(record));
     },
     
     /**
-     * Add a rule to the rule library
-     * @param {object} rule - Rule configuration
+     * Render active allowlist entries and suppression windows
      */
-    addRuleToLibrary: function(rule) {
-        const activeRules = document.getElementById('active-rules');
-        if (!activeRules) return;
+    renderSuppressionList: function() {
+        const list = this.elements.suppressions.list;
+        if (!list) {
+            return;
+        }
         
-        // Remove the "no rules" message if it exists
-        const noRulesMsg = activeRules.querySelector('.no-rules-message');
-        if (noRulesMsg) {
-            noRulesMsg.remove();
+        const entries = gameModel.state.allowlist.concat(gameModel.state.suppressionWindows);
+        list.innerHTML = '';
+        
+        if (entries.length === 0) {
+            list.innerHTML = '<p class="no-suppressions-message">No allowlist entries or suppression windows.</p>';
+            return;
         }
         
-        // Create rule item
-        const ruleItem = document.createElement('div');
-        ruleItem.className = 'rule-item';
-        ruleItem.dataset.rule = JSON.stringify(rule);
+        entries.forEach(entry => {
+            const item = document.createElement('div');
+            item.className = 'suppression-item';
+            item.setAttribute('role', 'listitem');
+            
+            const until = entry.end ? 
+                ` until ${new Date(entry.end).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}` : '';
+            
+            const swallowed = entry.maliciousCount ?
+                `, <span class="suppressed-threats">${entry.maliciousCount} malicious</span>` : '';
+            
+            const description = document.createElement('span');
+            description.innerHTML = `<strong>${entry.end ? 'Window' : 'Allow'}:</strong> ` +
+                `${sanitizeString(entry.field)} = ${sanitizeString(entry.value)}${until}` +
+                (entry.note ? ` <em>(${sanitizeString(entry.note)})</em>` : '') +
+                ` <span class="suppression-count">${entry.suppressedCount || 0} suppressed${swallowed}</span>`;
+            
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.textContent = 'Remove';
+            removeButton.dataset.suppressionId = entry.id;
+            
+            item.appendChild(description);
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+    },
+    
+    /**
+     * Add a suppressed event to the audit view
+     * @param {object} record - Audit record ({ event, reason, suppressedAt, penalty })
+     */
+    addSuppressedEventToAudit: function(record) {
+        const { auditList, auditCount } = this.elements.suppressions;
+        if (!auditList) {
+            return;
+        }
+        
+        const event = record.event;
+        const item = document.createElement('li');
+        item.className = `suppressed-event ${event.category}` + (record.penalty ? ' swallowed-threat' : '');
+        item.dataset.event = JSON.stringify(event);
+        item.title = 'Click for log details';
+        item.innerHTML = `<span class="suppressed-time">${new Date(record.suppressedAt).toLocaleTimeString()}</span> ` +
+            `${sanitizeString(event.type)} ${sanitizeString(event.ip || event.user || event.service || '')} ` +
+            `<span class="suppressed-category">${sanitizeString(event.category)}</span>` +
+            `<div class="suppressed-reason">${sanitizeString(record.reason)}` +
+            (record.penalty ? ` <span class="suppressed-threats">(threat swallowed, -${record.penalty})</span>` : '') +
+            `</div>`;
+        
+        // Newest first, capped like the saved audit trail: only benign items go
+        auditList.insertBefore(item, auditList.firstChild);
+        if (auditList.children.length > gameModel.maxSuppressedEvents) {
+            const oldestBenign = Array.from(auditList.children).reverse()
+                .find(child => !child.classList.contains('swallowed-threat'));
+            if (oldestBenign) {
+                auditList.removeChild(oldestBenign);
+            }
+        }
         
-        // Format rule display name
-        let ruleName = rule.conditionType.replace('_', ' ');
-        ruleName = ruleName.charAt(0).toUpperCase() + ruleName.slice(1);
+        // Count every suppression, not just the ones still listed
+        if (auditCount) {
+            const totals = gameModel.state.suppressionTotals;
+            auditCount.textContent = totals.suppressed +
+                (totals.malicious ? `, ${totals.malicious} malicious` : '');
+        }
+    },
+    
+    /**
+     * Show a suppressed event in the audit view, and warn when it was a threat
+     * @param {object} record - Audit record ({ event, reason, suppressedAt, penalty })
+     */
+    handleEventSuppressed: function(record) {
+        this.addSuppressedEventToAudit(record);
+        this.renderSuppressionList();
         
-        // Format condition
+        if (record.penalty) {
+            this.showNotification('warning',
+                `${record.reason} swallowed a malicious ${record.event.type} event (-${record.penalty} points)`);
+        }
+    },
+    
+    /**
+     * Format the conditions of a rule for display
+     * @param {object} rule - Rule configuration
+     * @returns {string} Human-readable condition
+     */
+    formatRuleCondition: function(rule) {
         let condition = '';
+        if (rule.ruleType === 'query') {
+            return rule.query;
+        }
+        
+        if (rule.ruleType === 'correlation') {
+            const correlation = rule.correlation;
+            condition = correlation.mode === 'count' ?
+                `${correlation.minCount}+ events` : 'In order';
+            condition += ` from same ${correlation.groupBy} within ${correlation.windowSeconds}s`;
+        }
         if (rule.threshold) condition = `Threshold: ${rule.threshold}`;
         if (rule.processName) condition = `Process: ${rule.processName}`;
         if (rule.domainKeyword) condition = `Domain: ${rule.domainKeyword}`;
         if (rule.errorCodeThreshold) condition = `Error Code: ${rule.errorCodeThreshold}`;
         if (rule.resourceKeyword) condition = `Resource: ${rule.resourceKeyword}`;
         if (rule.serviceName) condition = `Service: ${rule.serviceName}`;
+        if (rule.keywordMatch === 'regex') condition += ' (regex)';
         
-        // Rule info
-        const ruleInfo = document.createElement('div');
-        ruleInfo.className = 'rule-info';
-        
-        const ruleNameElement = document.createElement('div');
-        ruleNameElement.className = 'rule-name';
-        ruleNameElement.textContent = ruleName;
-        
-        const ruleCondition = document.createElement('div');
-        ruleCondition.className = 'rule-condition';
-        ruleCondition.textContent = condition;
-        
-        ruleInfo.appendChild(ruleNameElement);
-        ruleInfo.appendChild(ruleCondition);
-        
-        // Rule actions
-        const ruleActions = document.createElement('div');
-        ruleActions.className = 'rule-actions';
-        
-        const enableButton = document.createElement('button');
-        enableButton.textContent = 'Enabled';
-        enableButton.className = 'rule-enabled';
-        enableButton.setAttribute('aria-pressed', 'true');
-        enableButton.addEventListener('click', () => {
-            if (enableButton.getAttribute('aria-pressed') === 'true') {
-                enableButton.setAttribute('aria-pressed', 'false');
-                enableButton.textContent = 'Disabled';
-                ruleItem.classList.add('rule-disabled');
-            } else {
-                enableButton.setAttribute('aria-pressed', 'true');
-                enableButton.textContent = 'Enabled';
-                ruleItem.classList.remove('rule-disabled');
-            }
-        });
-        
-        const deleteButton = document.createElement('button');
-        deleteButton.textContent = 'Delete';
-        deleteButton.addEventListener('click', () => {
-            // Delete rule from model
-            eventBus.publish('ui:deleteRule', { rule });
-            
-            // Remove from UI
-            ruleItem.remove();
-            
-            // Show no rules message if no rules left
-            if (!activeRules.querySelector('.rule-item')) {
-                const noRulesMsg = document.createElement('p');
-                noRulesMsg.className = 'no-rules-message';
-                noRulesMsg.textContent = 'No active rules. Create rules using the Rule Editor.';
-                activeRules.appendChild(noRulesMsg);
-            }
-        });
+        const clauses = (rule.conditions || []).map(clause => this.formatClause(clause));
+        if (clauses.length === 0) {
+            return condition || 'Every event of this type';
+        }
         
-        ruleActions.appendChild(enableButton);
-        ruleActions.appendChild(deleteButton);
+        // Types without a primary condition show only their clauses
+        return (condition ? [condition] : []).concat(clauses).join(` ${rule.combinator || 'AND'} `);
+    },
+    
+    /**
+     * Format a single clause or nested group for display
+     * @param {object} clause - Clause or group
+     * @returns {string} Human-readable clause
+     */
+    formatClause: function(clause) {
+        let text;
         
-        // Assemble rule item
-        ruleItem.appendChild(ruleInfo);
-        ruleItem.appendChild(ruleActions);
+        if (clause.conditions) {
+            const parts = clause.conditions.map(child => this.formatClause(child));
+            text = `(${parts.join(` ${clause.combinator || 'AND'} `)})`;
+        } else {
+            const operator = ruleEngine.operators[clause.operator];
+            text = `${clause.field} ${operator ? operator.label : clause.operator} ${clause.value}`;
+        }
         
-        // Add to rules list
-        activeRules.appendChild(ruleItem);
+        return clause.negate ? `NOT ${text}` : text;
     },
     
     /**
@@ -1377,6 +3612,49 @@ const uiController = {
             
             this.elements.caseBuilderDropZone.addEventListener('drop', this.handleDrop.bind(this));
         }
+        
+        // Reorder rules by dragging them within the library
+        const activeRules = document.getElementById('active-rules');
+        if (activeRules) {
+            activeRules.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('.rule-item');
+                if (!item) return;
+                
+                this.draggedRuleId = item.dataset.ruleId;
+                e.dataTransfer.setData('application/x-rule-id', item.dataset.ruleId);
+                e.dataTransfer.effectAllowed = 'move';
+                item.classList.add('rule-dragging');
+            });
+            
+            activeRules.addEventListener('dragover', (e) => {
+                const item = e.target.closest('.rule-item');
+                if (!this.draggedRuleId || !item) return;
+                
+                e.preventDefault();
+                activeRules.querySelectorAll('.rule-drop-target').forEach(target => {
+                    target.classList.remove('rule-drop-target');
+                });
+                item.classList.add('rule-drop-target');
+            });
+            
+            activeRules.addEventListener('drop', (e) => {
+                const item = e.target.closest('.rule-item');
+                if (!this.draggedRuleId || !item) return;
+                
+                e.preventDefault();
+                eventBus.publish('ui:moveRule', {
+                    ruleId: this.draggedRuleId,
+                    toIndex: gameModel.state.rules.findIndex(rule => rule.id === item.dataset.ruleId)
+                });
+            });
+            
+            activeRules.addEventListener('dragend', () => {
+                this.draggedRuleId = null;
+                activeRules.querySelectorAll('.rule-dragging, .rule-drop-target').forEach(item => {
+                    item.classList.remove('rule-dragging', 'rule-drop-target');
+                });
+            });
+        }
     },
     
     /**
@@ -1415,6 +3693,37 @@ const uiController = {
         }
     },
     
+    /**
+     * Show the event stream's seed with a link that replays it
+     * @param {object} data - Seed from the event bus
+     */
+    displaySeed: function(data) {
+        const { value, link } = this.elements.sessionSeed;
+        if (!value) return;
+        
+        value.textContent = data.seed;
+        
+        const url = new URL(window.location.href);
+        url.searchParams.set('seed', data.seed);
+        link.href = url.toString();
+    },
+    
+    /**
+     * Show the game time and the clock's speed
+     * @param {object} data - Clock state from the event bus ({ time, speed })
+     */
+    displayClock: function(data) {
+        const { time, speed } = this.elements.clockControls;
+        if (!time) return;
+        
+        time.textContent = formatTime(data.time);
+        time.dateTime = new Date(data.time).toISOString();
+        
+        if (data.speed !== undefined && speed) {
+            speed.value = String(data.speed);
+        }
+    },
+    
     /**
      * Handle game started
      */
@@ -1424,6 +3733,14 @@ const uiController = {
             this.elements.gameControls.startButton.disabled = true;
         }
         
+        if (this.elements.gameControls.pauseButton) {
+            this.elements.gameControls.pauseButton.disabled = false;
+        }
+        
+        if (this.elements.clockControls.stepButton) {
+            this.elements.clockControls.stepButton.disabled = true;
+        }
+        
         if (this.elements.gameControls.resetButton) {
             this.elements.gameControls.resetButton.disabled = false;
         }
@@ -1445,6 +3762,14 @@ const uiController = {
             this.elements.gameControls.startButton.disabled = false;
         }
         
+        if (this.elements.gameControls.pauseButton) {
+            this.elements.gameControls.pauseButton.disabled = true;
+        }
+        
+        if (this.elements.clockControls.stepButton) {
+            this.elements.clockControls.stepButton.disabled = false;
+        }
+        
         this.showNotification('info', 'Simulation paused.');
     },
     
@@ -1457,6 +3782,10 @@ const uiController = {
             this.elements.gameControls.startButton.disabled = false;
         }
         
+        if (this.elements.gameControls.pauseButton) {
+            this.elements.gameControls.pauseButton.disabled = true;
+        }
+        
         if (this.elements.gameControls.resetButton) {
             this.elements.gameControls.resetButton.disabled = true;
         }
@@ -26,6 +26,22 @@ export function formatTime(timestamp) {
     return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
 }
 
+/**
+ * Format a duration as h:mm:ss, or m:ss under an hour
+ * @param {number} ms - Duration in milliseconds (negative counts as zero)
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(ms) {
+    const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = String(totalSeconds % 60).padStart(2, '0');
+    
+    return hours > 0 ?
+        `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` :
+        `${minutes}:${seconds}`;
+}
+
 /**
  * Safely parse JSON
  * @param {string} jsonString - JSON string to parse
@@ -92,6 +108,35 @@ export function generateId() {
     return Date.now().toString(36) + Math.random().toString(36).substr(2, 5);
 }
 
+/**
+ * Generate a short random seed for a new session
+ * @returns {string} Seed
+ */
+export function generateSeed() {
+    return Math.random().toString(36).substr(2, 8);
+}
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32); the same seed
+ * always yields the same sequence
+ * @param {string} seed - Seed
+ * @returns {function} Function returning numbers in [0, 1), like Math.random
+ */
+export function createSeededRandom(seed) {
+    // Hash the seed to a 32-bit state (FNV-1a)
+    let state = 2166136261;
+    for (let i = 0; i < seed.length; i++) {
+        state = Math.imul(state ^ seed.charCodeAt(i), 16777619);
+    }
+    
+    return function() {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 /**
  * Deep clone an object
  * @param {object} obj - Object to clone
@@ -124,6 +169,432 @@ export function deepClone(obj) {
     throw new Error(`Unable to copy obj! Its type isn't supported.`);
 }
 
+/**
+ * Split a regex written as /pattern/flags into its parts (a bare pattern has no flags)
+ * @param {string} text - Regex text
+ * @returns {object} { pattern, flags }
+ */
+export function parseRegexLiteral(text) {
+    const source = String(text).trim();
+    const match = /^\/([\s\S]+)\/([a-z]*)$/.exec(source);
+    
+    return match ? { pattern: match[1], flags: match[2] } : { pattern: source, flags: '' };
+}
+
+// Characters each piece of a user-supplied regex is tried against to see
+// which it can match
+const regexSampleChars = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i))
+    .concat(['\t', '\n', '\r', '\u00a0', '\u00e9', '\u0436', '\u4e2d']);
+
+/**
+ * Find which sample characters a single regex atom (a character, escape or class) matches
+ * @param {string} atom - Atom source
+ * @param {string} flags - Regex flags
+ * @returns {Set|null} Matched characters, or null if it can't be told
+ */
+function sampleRegexAtom(atom, flags) {
+    try {
+        const regex = new RegExp(`^(?:${atom})$`, flags.replace(/[dgmy]/g, ''));
+        return new Set(regexSampleChars.filter(char => regex.test(char)));
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Combine two sets of characters (null meaning any character)
+ * @param {Set|null} a - Characters
+ * @param {Set|null} b - Characters
+ * @returns {Set|null} Characters in either
+ */
+function unionRegexChars(a, b) {
+    return a === null || b === null ? null : new Set([...a, ...b]);
+}
+
+/**
+ * Check whether two sets of characters (null meaning any character) share one
+ * @param {Set|null} a - Characters
+ * @param {Set|null} b - Characters
+ * @returns {boolean} True if some character is in both
+ */
+function regexCharsOverlap(a, b) {
+    if (a === null || b === null) {
+        return true;
+    }
+    
+    return [...a].some(char => b.has(char));
+}
+
+/**
+ * Compile a user-supplied regex, refusing patterns that can backtrack catastrophically.
+ * JavaScript can't time out a running match, so shapes known to blow up are
+ * rejected up front: nested repetition such as (a+)+, (.*a){12} or (a?){25},
+ * repeated alternatives that can match the same text such as (a|aa)+, adjacent
+ * repetition of the same characters such as .*.* or a?a?a?...aaa, and
+ * backreferences. Bounded repetition is allowed while the ways it can split
+ * a match stay few, as in (\d{1,3}\.){3}.
+ * @param {string} pattern - Pattern source
+ * @param {string} flags - Regex flags
+ * @returns {object} { regex, error } where exactly one is null
+ */
+export function compileSafeRegex(pattern, flags = '') {
+    const maxLength = 200;
+    
+    // Most ways bounded repetition may split a match
+    const maxSplits = 10000;
+    
+    if (pattern.length > maxLength) {
+        return { regex: null, error: `Pattern is longer than ${maxLength} characters` };
+    }
+    
+    let regex;
+    try {
+        regex = new RegExp(pattern, flags);
+    } catch (e) {
+        return { regex: null, error: e.message };
+    }
+    
+    if (/\\[1-9]|\\k</.test(pattern)) {
+        return { regex: null, error: 'Backreferences are not allowed' };
+    }
+    
+    // Walk the pattern an atom at a time, tracking for each open group how many
+    // ways its bounded repetition can split a match, whether it repeats without
+    // bound, which characters it can consume, what each alternative can start
+    // with, whether alternatives inside it can match the same text, the last
+    // unbounded atom in a row, and the run of bounded atoms over the same characters
+    const openGroup = () => ({
+        splits: 1, unbounded: false, ambiguous: false, lookaround: false,
+        chars: new Set(), firsts: [], first: undefined, lastUnbounded: undefined, run: null
+    });
+    const groups = [openGroup()];
+    
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        let group = groups[groups.length - 1];
+        let atom;
+        
+        if (char === '(') {
+            const inner = openGroup();
+            
+            // Skip group syntax such as (?: (?= (?<name>
+            const syntax = /^\?(?:[:=!]|<[=!]|<[^>]*>)/.exec(pattern.slice(i + 1));
+            if (syntax) {
+                inner.lookaround = /[=!]$/.test(syntax[0]);
+                i += syntax[0].length;
+            }
+            
+            groups.push(inner);
+            continue;
+        } else if (char === '|') {
+            group.firsts.push(group.first);
+            group.first = undefined;
+            group.lastUnbounded = undefined;
+            group.run = null;
+            continue;
+        } else if (char === ')' && groups.length > 1) {
+            const inner = groups.pop();
+            group = groups[groups.length - 1];
+            inner.firsts.push(inner.first);
+            
+            // Alternatives overlap when they can start with the same character
+            const firsts = inner.firsts.filter(first => first !== undefined);
+            inner.ambiguous = inner.ambiguous || firsts.some((first, index) =>
+                firsts.slice(index + 1).some(other => regexCharsOverlap(first, other)));
+            group.ambiguous = group.ambiguous || inner.ambiguous;
+            
+            // Lookarounds consume nothing
+            if (inner.lookaround) {
+                continue;
+            }
+            
+            // An empty alternative lets the group start with whatever follows it
+            atom = {
+                group: inner,
+                chars: inner.chars,
+                first: inner.firsts.some(first => first == null) ? null : inner.firsts.reduce(unionRegexChars)
+            };
+        } else if (char === '^' || char === '$') {
+            continue;
+        } else {
+            let end = i;
+            
+            if (char === '\\') {
+                end += /^\\(?:x[0-9a-fA-F]{2}|u\{[0-9a-fA-F]+\}|u[0-9a-fA-F]{4}|c[a-zA-Z]|[pP]\{[^}]*\}|[\s\S])/
+                    .exec(pattern.slice(i))[0].length - 1;
+            } else if (char === '[') {
+                // Skip the character class
+                end++;
+                if (pattern[end] === '^') end++;
+                if (pattern[end] === ']') end++;
+                while (end < pattern.length && pattern[end] !== ']') {
+                    if (pattern[end] === '\\') end++;
+                    end++;
+                }
+            }
+            
+            const source = pattern.slice(i, end + 1);
+            i = end;
+            
+            // Word boundaries consume nothing
+            if (source === '\\b' || source === '\\B') {
+                continue;
+            }
+            
+            const chars = sampleRegexAtom(source, flags);
+            atom = { group: null, chars, first: chars };
+        }
+        
+        // Read the atom's quantifier, if any, skipping a lazy modifier
+        let min = 1;
+        let max = 1;
+        const quantifier = /^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/.exec(pattern.slice(i + 1));
+        if (quantifier) {
+            i += quantifier[0].length;
+            if (quantifier[1]) {
+                min = quantifier[1] === '+' ? 1 : 0;
+                max = quantifier[1] === '?' ? 1 : Infinity;
+            } else {
+                min = parseInt(quantifier[2]);
+                max = !quantifier[3] ? min : quantifier[4] === '' ? Infinity : parseInt(quantifier[4]);
+            }
+        }
+        
+        // Each repeat of a group can split its match its own way
+        const inner = atom.group;
+        const splits = max === Infinity ? Infinity :
+            Math.pow(inner ? inner.splits : 1, max) * (max - min + 1);
+        
+        const nested = max === Infinity ? inner && inner.splits > 1 : inner && splits > maxSplits;
+        if (nested || (inner && max > 1 && inner.unbounded)) {
+            return { regex: null, error: 'Nested repetition such as (a+)+ can freeze the dashboard' };
+        }
+        
+        if (inner && max > 1 && inner.ambiguous) {
+            return { regex: null, error: 'Repeated alternatives that can match the same text, such as (a|aa)+, can freeze the dashboard' };
+        }
+        
+        // Optional atoms between two unbounded ones don't keep them apart
+        if (max === Infinity) {
+            if (group.lastUnbounded !== undefined && regexCharsOverlap(group.lastUnbounded, atom.chars)) {
+                return { regex: null, error: 'Adjacent repetition of the same characters, such as .*.*, can freeze the dashboard' };
+            }
+            group.lastUnbounded = atom.chars;
+        } else if (min > 0) {
+            group.lastUnbounded = undefined;
+        }
+        
+        // Bounded atoms in a row that can match the same characters multiply
+        // the ways to split a match
+        if (max === Infinity) {
+            group.run = null;
+        } else if (group.run && regexCharsOverlap(group.run.chars, atom.chars)) {
+            group.run = { chars: unionRegexChars(group.run.chars, atom.chars), splits: group.run.splits * splits };
+            if (group.run.splits > maxSplits) {
+                return { regex: null, error: 'Stacked optional repetition such as a?a?a?...aaa can freeze the dashboard' };
+            }
+        } else {
+            group.run = { chars: atom.chars, splits };
+        }
+        
+        group.splits = max === Infinity ? group.splits : group.splits * splits;
+        group.unbounded = group.unbounded || max === Infinity || Boolean(inner && inner.unbounded);
+        group.chars = unionRegexChars(group.chars, atom.chars);
+        if (group.first === undefined) {
+            group.first = min === 0 ? null : atom.first;
+        }
+    }
+    
+    return { regex, error: null };
+}
+
+/**
+ * Test a value against a regex from compileSafeRegex, capping the input so a
+ * slow pattern that slipped past the checks stays bounded
+ * @param {RegExp} regex - Compiled regex
+ * @param {*} value - Value to test
+ * @returns {boolean} True if the pattern matches
+ */
+export function testSafeRegex(regex, value) {
+    const maxInputLength = 1000;
+    
+    // Reset in case the pattern uses the global or sticky flag
+    regex.lastIndex = 0;
+    return regex.test(String(value).slice(0, maxInputLength));
+}
+
+/**
+ * Convert a dotted IPv4 address to a number
+ * @param {string} ip - IPv4 address
+ * @returns {number|null} Address as a number, or null if invalid
+ */
+export function ipToNumber(ip) {
+    const parts = String(ip).trim().split('.');
+    
+    if (parts.length !== 4 || !parts.every(part => /^\d{1,3}$/.test(part) && parseInt(part) <= 255)) {
+        return null;
+    }
+    
+    return parts.reduce((total, part) => total * 256 + parseInt(part), 0);
+}
+
+/**
+ * Convert a number to a dotted IPv4 address
+ * @param {number} number - Address as a number
+ * @returns {string} IPv4 address
+ */
+export function numberToIp(number) {
+    const parts = [];
+    
+    for (let i = 0; i < 4; i++) {
+        parts.unshift(number % 256);
+        number = Math.floor(number / 256);
+    }
+    
+    return parts.join('.');
+}
+
+/**
+ * Parse an IPv4 CIDR range such as 192.168.10.0/24 (a bare address is a /32)
+ * @param {string} cidr - CIDR range
+ * @returns {object|null} { start, end } address numbers, or null if invalid
+ */
+export function parseCidr(cidr) {
+    const [address, bits = '32', extra] = String(cidr).trim().split('/');
+    const base = ipToNumber(address);
+    
+    if (base === null || extra !== undefined || !/^\d{1,2}$/.test(bits) || parseInt(bits) > 32) {
+        return null;
+    }
+    
+    // Plain arithmetic: bitwise operators would overflow into negative numbers
+    const size = Math.pow(2, 32 - parseInt(bits));
+    const start = Math.floor(base / size) * size;
+    
+    return { start, end: start + size - 1 };
+}
+
+/**
+ * Check whether an IPv4 address falls inside a CIDR range
+ * @param {string} ip - IPv4 address
+ * @param {string} cidr - CIDR range
+ * @returns {boolean} True if the address is in range
+ */
+export function ipInCidr(ip, cidr) {
+    const address = ipToNumber(ip);
+    const range = parseCidr(cidr);
+    
+    return address !== null && range !== null && address >= range.start && address <= range.end;
+}
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {array} Rows, each an array of field strings; blank lines are skipped
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    
+    return rows;
+}
+
+/**
+ * Parse a file of records: a JSON array, JSON Lines, or CSV with a header row
+ * (CSV when the name ends in .csv or the text doesn't start with [ or {)
+ * @param {string} text - File contents
+ * @param {string} fileName - File name
+ * @returns {object} { records, header, issues } where header is the CSV header
+ *                   row (null for JSON) and empty CSV cells are left out
+ */
+export function parseRecordFile(text, fileName = '') {
+    const issues = [];
+    const trimmed = String(text).trim();
+    let records = [];
+    let header = null;
+    
+    if (!trimmed) {
+        issues.push('The file is empty.');
+        return { records, header, issues };
+    }
+    
+    if (/\.csv$/i.test(fileName) || !/^[[{]/.test(trimmed)) {
+        const [columns, ...rows] = parseCsv(trimmed);
+        header = columns.map(column => column.trim());
+        
+        records = rows.map(row => {
+            const record = {};
+            header.forEach((column, index) => {
+                const value = row[index] !== undefined ? row[index].trim() : '';
+                if (value !== '') {
+                    record[column] = value;
+                }
+            });
+            return record;
+        });
+    } else if (trimmed.startsWith('[')) {
+        try {
+            records = JSON.parse(trimmed);
+        } catch (e) {
+            issues.push(`Invalid JSON: ${e.message}.`);
+        }
+        
+        if (!Array.isArray(records)) {
+            issues.push('The JSON is not an array of records.');
+            records = [];
+        }
+    } else {
+        trimmed.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                records.push(JSON.parse(line));
+            } catch (e) {
+                issues.push(`Line ${index + 1} is not valid JSON.`);
+            }
+        });
+    }
+    
+    const objects = records.filter(record => record && typeof record === 'object' && !Array.isArray(record));
+    if (objects.length < records.length) {
+        issues.push(`${records.length - objects.length} records are not objects and were skipped.`);
+    }
+    
+    return { records: objects, header, issues };
+}
+
 /**
  * Display an error modal
  * @param {string} title - Error title